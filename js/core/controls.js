@@ -5,13 +5,16 @@
  * - PointerLockControls: For First-Person view (mouse look).
  * - Keyboard Input: WASD for movement, Shift for sprint.
  * - Physics: Basic velocity and collision detection.
+ * - Drive Mode: Key C to get in/out of the car (physics live in vehicle.js).
  * - Time Control: Keys 1-4 to change time of day.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
-import { PointerLockControls } from 'https://cdn.jsdelivr.net/npm/three@0.152.0/examples/jsm/controls/PointerLockControls.js';
+import * as THREE from 'three';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
 import { camera, scene } from './scene.js';
-import { buildingColliders } from '../world/buildings.js';
+import { collidesWithBuildings, cityLimit } from '../world/buildings.js';
+import { levelSettings } from '../data/levelData.js';
+import { vehicle, enterVehicle, exitVehicle, updateVehicle } from './vehicle.js';
 
 // Exported controls instance
 export let controls;
@@ -22,6 +25,10 @@ let moveBackward = false;
 let moveLeft = false;
 let moveRight = false;
 let sprint = false;
+let handbrake = false;
+
+// Getting into the car is blocked while this is false (e.g. in the level editor)
+let driveAllowed = true;
 
 // Physics Vectors
 const velocity = new THREE.Vector3(); // Current speed and direction
@@ -56,8 +63,8 @@ export function initControls(onPopupOpenCallback) {
     controls = new PointerLockControls(camera, document.body);
     scene.add(controls.getObject());
 
-    // Set initial position
-    controls.getObject().position.set(0, 2, 20);
+    // Set initial position (the level's spawn point)
+    controls.getObject().position.set(levelSettings.spawn.x, 2, levelSettings.spawn.z);
 
     // Click to lock pointer (when popup is not open)
     document.body.addEventListener("click", (e) => {
@@ -67,6 +74,9 @@ export function initControls(onPopupOpenCallback) {
         if (popup && popup.style.display === "flex") return;
         if (popup && popup.contains(e.target)) return;
 
+        // Clicks on HUD buttons/panels should not grab the mouse
+        if (e.target.closest && e.target.closest(".ui-interactive")) return;
+
         if (!controls.isLocked) {
             try {
                 controls.lock();
@@ -83,6 +93,38 @@ export function initControls(onPopupOpenCallback) {
     return controls;
 }
 
+/**
+ * Allow or block getting into the car with `C`.
+ */
+export function setDriveAllowed(allowed) {
+    driveAllowed = allowed;
+}
+
+/**
+ * Check if the player is currently driving
+ */
+export function isDriving() {
+    return vehicle.active;
+}
+
+/**
+ * Toggle between walking and driving.
+ * When leaving the car, the player is placed beside it at eye height.
+ */
+export function toggleDriveMode() {
+    if (!controls) return;
+
+    if (vehicle.active) {
+        const exitSpot = exitVehicle();
+        controls.getObject().position.set(exitSpot.x, 2, exitSpot.z);
+        velocity.set(0, 0, 0);
+    } else {
+        const lookDir = new THREE.Vector3();
+        controls.getDirection(lookDir);
+        enterVehicle(controls.getObject().position, lookDir);
+    }
+}
+
 /**
  * Update player movement based on delta time
  * @param {number} delta - Time since last frame
@@ -90,6 +132,18 @@ export function initControls(onPopupOpenCallback) {
 export function updateMovement(delta) {
     if (!controls) return;
 
+    // Drive mode: WASD controls the car instead of the walking camera
+    if (vehicle.active) {
+        updateVehicle(delta, {
+            throttle: moveForward,
+            brake: moveBackward,
+            left: moveLeft,
+            right: moveRight,
+            handbrake: handbrake
+        });
+        return;
+    }
+
     // Apply friction
     velocity.x -= velocity.x * 10.0 * delta;
     velocity.z -= velocity.z * 10.0 * delta;
@@ -129,7 +183,7 @@ export function updateMovement(delta) {
     controls.getObject().position.y = 2;
 
     // Apply strict city boundaries (Blocking Area)
-    const limit = 130;
+    const limit = cityLimit;
     const pos = controls.getObject().position;
 
     if (pos.x < -limit) {
@@ -155,16 +209,7 @@ export function updateMovement(delta) {
  */
 function checkBuildingCollisions(position) {
     const playerRadius = 1.0;
-    return buildingColliders.some(b => {
-        const halfW = b.width / 2 + playerRadius;
-        const halfD = b.depth / 2 + playerRadius;
-        return (
-            position.x > b.x - halfW &&
-            position.x < b.x + halfW &&
-            position.z > b.z - halfD &&
-            position.z < b.z + halfD
-        );
-    });
+    return collidesWithBuildings(position, playerRadius);
 }
 
 /**
@@ -188,6 +233,12 @@ function onKeyDown(e) {
         case "ShiftRight":
             sprint = true;
             break;
+        case "Space":
+            handbrake = true;
+            break;
+        case "KeyC":
+            if (!e.repeat && (driveAllowed || vehicle.active)) toggleDriveMode();
+            break;
         // Time control keys
         case "Digit1":
             dayNightAuto = false;
@@ -233,5 +284,8 @@ function onKeyUp(e) {
         case "ShiftRight":
             sprint = false;
             break;
+        case "Space":
+            handbrake = false;
+            break;
     }
 }
@@ -0,0 +1,459 @@
+/**
+ * Level Editor Module
+ *
+ * In-game editor for the placed objects of the level (press `E` on foot to open/close):
+ * - Place: Pick a sign type, a street lamp or a zebra crossing with `[` / `]`, press `F`
+ *   to put it on the ground where you look (new signs face you).
+ * - Select: Click a sign, street lamp or zebra crossing (a yellow box marks the selection).
+ * - Edit: `G` carries the selection along with your view (`G` or a click drops it),
+ *   `Z` / `X` rotate it, `Delete` removes it. Crossings always span a North-South road.
+ * - Check: The selected sign is checked like on load (signCheck.js); its problems and
+ *   suggested fixes are listed in the panel.
+ * - Export: Downloads the level file with the edited signs, lamps and crossings
+ *   (save it as levels/<name>.json and open the game with `?level=<name>`).
+ *
+ * Edits change the scene and the level tables (signConfigs, lampConfigs, crossingConfigs)
+ * at once. Sign rules, road markings, traffic and pedestrians are built when the level
+ * loads, so they follow the edits once the exported level is loaded.
+ */
+
+import * as THREE from 'three';
+import { camera, scene } from './scene.js';
+import { controls, setDriveAllowed } from './controls.js';
+import { vehicle } from './vehicle.js';
+import { t, localize, onLocaleChange } from './i18n.js';
+import { SIGN_IDS } from '../data/quizData.js';
+import { signConfigs, labelMap } from '../data/signData.js';
+import { lampConfigs, crossingConfigs, exportLevel, validateLevel, getLevelName } from '../data/levelData.js';
+import { clickableSigns, addSign, removeSign, updateSign } from '../world/signs.js';
+import { streetLamps, addStreetLamp, removeStreetLamp, updateStreetLamp } from '../world/lighting.js';
+import { roadGrid, addZebraCrossing, removeZebraCrossing, getZebraCrossingMesh } from '../world/buildings.js';
+import { checkSign, checkSignPlacements, describeFinding } from '../world/signCheck.js';
+
+// Editor Settings
+export const editorConfig = {
+    reach: 40,        // Farthest ground point you can place at (m)
+    snap: 0.5,        // Positions snap to this grid (m)
+    rotateStep: 15,   // Degrees per Z / X press
+    crossingOverhang: 1 // Crossing stripes reach this far beyond the asphalt on both sides (m)
+};
+
+// Editor state
+// selected: { kind: "sign" | "lamp" | "crossing", entry, object } - entry is the sign/lamp
+// entry of the world module or the crossing config, object the scene object to frame.
+const editor = {
+    active: false,
+    toolIndex: 0,
+    selected: null,
+    moving: false
+};
+
+// Scene helpers: cursor on the ground and the selection box
+let cursor = null;
+let selectionBox = null;
+let cursorValid = false;
+
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const raycaster = new THREE.Raycaster();
+const screenCenter = new THREE.Vector2(0, 0);
+
+// Callback telling whether a popup is open (editor keys are ignored then)
+let isPopupOpen = () => false;
+
+/**
+ * Whether the editor is open.
+ */
+export function isEditorActive() {
+    return editor.active;
+}
+
+/**
+ * Everything that can be placed: every sign of the catalog, then lamp and crossing.
+ */
+function getTools() {
+    return [...SIGN_IDS.map((id) => ({ kind: "sign", id })), { kind: "lamp" }, { kind: "crossing" }];
+}
+
+/**
+ * Display name of a tool or a selection.
+ */
+function nameOf(kind, id) {
+    if (kind === "sign") return localize(labelMap[id]);
+    return t(`editor.${kind}`);
+}
+
+const snap = (value) => Math.round(value / editorConfig.snap) * editorConfig.snap;
+
+/**
+ * Keep an angle within -PI..PI.
+ */
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Centerline of the North-South road nearest to x.
+ */
+function nearestRoadX(x) {
+    const { min, max, spacing } = roadGrid;
+    return Math.max(min, Math.min(max, Math.round((x - min) / spacing) * spacing + min));
+}
+
+/**
+ * Zebra crossing span over the North-South road nearest to x.
+ */
+function crossingSpan(x) {
+    const roadX = nearestRoadX(x);
+    const half = roadGrid.width / 2 + editorConfig.crossingOverhang;
+    return { xStart: roadX - half, xEnd: roadX + half };
+}
+
+/**
+ * Ground point in the middle of the view (within reach), written to `target`.
+ * @returns {boolean} False when looking at the sky or too far away
+ */
+function aimAtGround(target) {
+    raycaster.setFromCamera(screenCenter, camera);
+    if (!raycaster.ray.intersectPlane(groundPlane, target)) return false;
+    return target.distanceTo(camera.position) <= editorConfig.reach;
+}
+
+/**
+ * Everything that can be selected, as selection items.
+ */
+function getSelectables() {
+    return [
+        ...clickableSigns.map((entry) => ({ kind: "sign", entry, object: entry.mesh })),
+        ...streetLamps.map((entry) => ({ kind: "lamp", entry, object: entry.group })),
+        ...crossingConfigs.map((entry) => ({ kind: "crossing", entry, object: getZebraCrossingMesh(entry) }))
+    ];
+}
+
+/**
+ * The selectable object in the middle of the view (nearest first), or null.
+ */
+function pickSelectable() {
+    const items = getSelectables();
+    const owners = new Map(items.map((item) => [item.object, item]));
+
+    raycaster.setFromCamera(screenCenter, camera);
+    const hits = raycaster.intersectObjects(items.map((item) => item.object), true);
+    for (const hit of hits) {
+        for (let o = hit.object; o; o = o.parent) {
+            if (owners.has(o)) return owners.get(o);
+        }
+    }
+    return null;
+}
+
+/**
+ * Select an item (or clear the selection with null).
+ */
+function select(item) {
+    editor.selected = item;
+    editor.moving = false;
+    refreshSelectionBox();
+    updateEditorPanel();
+}
+
+function refreshSelectionBox() {
+    const item = editor.selected;
+    selectionBox.visible = !!item;
+    if (item) selectionBox.setFromObject(item.object);
+}
+
+/**
+ * Put the active tool's object where the cursor is and select it.
+ */
+function placeAtCursor() {
+    if (!cursorValid) return;
+
+    const tool = getTools()[editor.toolIndex];
+    const x = snap(cursor.position.x);
+    const z = snap(cursor.position.z);
+
+    if (tool.kind === "sign") {
+        // Face the editor (0 = facing South / +Z), in whole rotation steps
+        const step = THREE.MathUtils.degToRad(editorConfig.rotateStep);
+        const facing = Math.round(Math.atan2(camera.position.x - x, camera.position.z - z) / step) * step;
+        const config = { id: tool.id, x, y: 0, z, rotationY: wrapAngle(facing), scale: 1.0 };
+        signConfigs.push(config);
+        const entry = addSign(config);
+        select({ kind: "sign", entry, object: entry.mesh });
+    } else if (tool.kind === "lamp") {
+        const config = { x, z, rotationY: 0 };
+        lampConfigs.push(config);
+        const entry = addStreetLamp(config);
+        select({ kind: "lamp", entry, object: entry.group });
+    } else {
+        const config = { ...crossingSpan(x), z };
+        crossingConfigs.push(config);
+        select({ kind: "crossing", entry: config, object: addZebraCrossing(config) });
+    }
+}
+
+/**
+ * Move the selection to a ground point. A sign's rule zone moves along with it.
+ */
+function moveSelection(point) {
+    const item = editor.selected;
+    const x = snap(point.x);
+    const z = snap(point.z);
+
+    if (item.kind === "crossing") {
+        const span = crossingSpan(x);
+        const crossing = item.entry;
+        if (crossing.xStart === span.xStart && crossing.xEnd === span.xEnd && crossing.z === z) return;
+
+        // Stripes are laid out on creation: repaint the crossing at its new spot
+        removeZebraCrossing(crossing);
+        Object.assign(crossing, span, { z });
+        item.object = addZebraCrossing(crossing);
+    } else {
+        const config = item.entry.config;
+        if (config.x === x && config.z === z) return;
+
+        if (config.rule) {
+            config.rule.zone.x += x - config.x;
+            config.rule.zone.z += z - config.z;
+        }
+        config.x = x;
+        config.z = z;
+        item.object.position.x = x;
+        item.object.position.z = z;
+        syncSelection(item);
+    }
+
+    refreshSelectionBox();
+    updateEditorPanel();
+}
+
+/**
+ * Let the world module of a moved or turned sign/lamp follow its scene object.
+ */
+function syncSelection(item) {
+    if (item.kind === "sign") updateSign(item.entry);
+    else updateStreetLamp(item.entry);
+}
+
+/**
+ * Turn the selected sign or lamp by a number of rotation steps.
+ */
+function rotateSelection(steps) {
+    const item = editor.selected;
+    if (!item || item.kind === "crossing") return;
+
+    const config = item.entry.config;
+    config.rotationY = wrapAngle(config.rotationY + steps * THREE.MathUtils.degToRad(editorConfig.rotateStep));
+    item.object.rotation.y = config.rotationY;
+    syncSelection(item);
+
+    refreshSelectionBox();
+    updateEditorPanel();
+}
+
+/**
+ * Remove the selection from the scene and from its level table.
+ */
+function deleteSelection() {
+    const item = editor.selected;
+    if (!item) return;
+
+    const dropFrom = (table, entry) => {
+        const index = table.indexOf(entry);
+        if (index !== -1) table.splice(index, 1);
+    };
+
+    if (item.kind === "sign") {
+        removeSign(item.entry);
+        dropFrom(signConfigs, item.entry.config);
+    } else if (item.kind === "lamp") {
+        removeStreetLamp(item.entry);
+        dropFrom(lampConfigs, item.entry.config);
+    } else {
+        removeZebraCrossing(item.entry);
+        dropFrom(crossingConfigs, item.entry);
+    }
+    select(null);
+}
+
+/**
+ * Download the edited level as a level file (checked first, like on load).
+ */
+function downloadLevel() {
+    const level = exportLevel();
+    const problems = validateLevel(level);
+    if (problems.length > 0) {
+        alert(t("editor.exportInvalid", { problems: problems.join("\n- ") }));
+        return;
+    }
+
+    // Misplaced signs don't stop the export, but the editor should know about them
+    const findings = checkSignPlacements();
+    if (findings.length > 0 && !confirm(t("editor.exportWarnings", { problems: findings.map(describeFinding).join("\n- ") }))) {
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(level, null, 2) + "\n"], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${getLevelName()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Open or close the editor. It can't be opened while driving.
+ */
+export function toggleEditor() {
+    if (!editor.active && vehicle.active) return;
+
+    editor.active = !editor.active;
+    setDriveAllowed(!editor.active);
+    if (!editor.active) select(null);
+
+    cursor.visible = false;
+    const panel = document.getElementById("editorPanel");
+    if (panel) panel.style.display = editor.active ? "block" : "none";
+    updateEditorPanel();
+}
+
+/**
+ * Show the active tool and the selection in the editor panel.
+ */
+function updateEditorPanel() {
+    if (!editor.active) return;
+
+    const tool = getTools()[editor.toolIndex];
+    const toolText = document.getElementById("editorTool");
+    if (toolText) toolText.textContent = t("editor.tool", { name: nameOf(tool.kind, tool.id) });
+
+    const selectionText = document.getElementById("editorSelection");
+    if (!selectionText) return;
+
+    const item = editor.selected;
+    if (!item) {
+        selectionText.textContent = t("editor.noSelection");
+    } else if (item.kind === "crossing") {
+        const { xStart, xEnd, z } = item.entry;
+        selectionText.textContent = t("editor.selectedCrossing", { name: nameOf("crossing"), x: ((xStart + xEnd) / 2).toFixed(1), z: z.toFixed(1) });
+    } else {
+        const config = item.entry.config;
+        selectionText.textContent = t("editor.selected", {
+            name: nameOf(item.kind, item.entry.id),
+            x: config.x.toFixed(1),
+            z: config.z.toFixed(1),
+            rotation: Math.round(THREE.MathUtils.radToDeg(config.rotationY))
+        });
+    }
+    selectionText.classList.toggle("moving", editor.moving);
+
+    const warnings = document.getElementById("editorWarnings");
+    if (warnings) {
+        warnings.textContent = item && item.kind === "sign" ? checkSign(item.entry.config).map(describeFinding).join("\n") : "";
+    }
+}
+
+/**
+ * Handle the editor keys (E anywhere on foot, the rest only while editing).
+ */
+function onEditorKey(e) {
+    if (e.target.closest && e.target.closest("input, select, textarea")) return;
+    if (isPopupOpen()) return;
+
+    if (e.code === "KeyE") {
+        if (!e.repeat) toggleEditor();
+        return;
+    }
+    if (!editor.active) return;
+
+    const tools = getTools();
+    switch (e.code) {
+        case "BracketLeft":
+        case "BracketRight":
+            editor.toolIndex = (editor.toolIndex + (e.code === "BracketRight" ? 1 : -1) + tools.length) % tools.length;
+            updateEditorPanel();
+            break;
+        case "KeyF":
+            if (!e.repeat) placeAtCursor();
+            break;
+        case "KeyG":
+            if (!e.repeat && editor.selected) {
+                editor.moving = !editor.moving;
+                updateEditorPanel();
+            }
+            break;
+        case "KeyZ":
+            rotateSelection(-1);
+            break;
+        case "KeyX":
+            rotateSelection(1);
+            break;
+        case "Delete":
+        case "Backspace":
+            if (!e.repeat) deleteSelection();
+            break;
+    }
+}
+
+/**
+ * Clicks while editing select (or drop what is being moved) instead of opening signs.
+ */
+function onEditorClick() {
+    if (!editor.active || !controls || !controls.isLocked) return;
+
+    if (editor.moving) {
+        editor.moving = false;
+        updateEditorPanel();
+        return;
+    }
+    select(pickSelectable());
+}
+
+/**
+ * Set up the editor (scene helpers, keys, panel buttons).
+ * @param {Function} popupOpenCallback - Returns true while a popup is open
+ */
+export function initEditor(popupOpenCallback) {
+    if (popupOpenCallback) isPopupOpen = popupOpenCallback;
+
+    cursor = new THREE.Mesh(
+        new THREE.RingGeometry(0.6, 0.8, 32),
+        new THREE.MeshBasicMaterial({ color: 0xffdd00, side: THREE.DoubleSide, depthTest: false })
+    );
+    cursor.rotation.x = -Math.PI / 2;
+    cursor.renderOrder = 1;
+    cursor.visible = false;
+    scene.add(cursor);
+
+    selectionBox = new THREE.BoxHelper(undefined, 0xffdd00);
+    selectionBox.visible = false;
+    scene.add(selectionBox);
+
+    document.addEventListener("keydown", onEditorKey);
+    document.addEventListener("click", onEditorClick);
+
+    const exportBtn = document.getElementById("editorExport");
+    if (exportBtn) exportBtn.addEventListener("click", downloadLevel);
+    const closeBtn = document.getElementById("editorClose");
+    if (closeBtn) closeBtn.addEventListener("click", toggleEditor);
+
+    onLocaleChange(updateEditorPanel);
+}
+
+/**
+ * Follow the view with the cursor (and the object being moved). Called every frame.
+ */
+export function updateEditor() {
+    if (!editor.active) return;
+
+    cursorValid = aimAtGround(cursor.position);
+    cursor.position.y = 0.05;
+    cursor.visible = cursorValid;
+
+    if (editor.moving && cursorValid) moveSelection(cursor.position);
+}
@@ -0,0 +1,79 @@
+/**
+ * Exam Module
+ *
+ * "Ujian SIM" mode, modelled on the written driving-licence test:
+ * - Builds one mixed paper from the question pools of every sign in SIGN_IDS.
+ * - The paper has a time limit; the UI shows the countdown and submits at 0.
+ * - Grading applies the pass mark and breaks the result down per sign category.
+ *
+ * Reuses the Quiz engine for drawing, shuffling and grading, so every question type works here.
+ * UI-free like quiz.js; the Popup module renders the paper.
+ */
+
+import { SIGN_IDS, quizData, EXAM_CONFIG } from '../data/quizData.js';
+import { signCategories, categoryLabels } from '../data/signData.js';
+import { shuffle, prepareQuestion, gradeQuizSession } from './quiz.js';
+import { t, localize } from './i18n.js';
+
+/**
+ * Build a mixed exam paper.
+ *
+ * @param {Object} config - Exam settings (defaults to EXAM_CONFIG)
+ * @returns {Object|null} Session { signId: "exam", questions, durationSeconds, passMark },
+ *   or null if there are no questions at all
+ */
+export function createExamSession(config = EXAM_CONFIG) {
+    const questions = [];
+
+    SIGN_IDS.forEach((signId) => {
+        const pool = quizData[signId] || [];
+        shuffle(pool.map((_, i) => i))
+            .slice(0, config.questionsPerSign)
+            .forEach((poolIndex) => questions.push(prepareQuestion(signId, poolIndex)));
+    });
+
+    if (questions.length === 0) return null;
+
+    return {
+        signId: "exam",
+        questions: shuffle(questions),
+        durationSeconds: config.durationSeconds,
+        passMark: config.passMark
+    };
+}
+
+/**
+ * Grade a submitted paper.
+ *
+ * @param {Object} session - Session from createExamSession
+ * @param {Array} responses - One response per question (see quiz.js)
+ * @returns {Object} gradeQuizSession result plus
+ *   { percent, passed, breakdown: [{ category, label, correct, total }] }
+ */
+export function gradeExamSession(session, responses) {
+    const graded = gradeQuizSession(session, responses);
+
+    const byCategory = {};
+    graded.results.forEach(({ question, isCorrect }) => {
+        const category = signCategories[question.signId] || "lainnya";
+        if (!byCategory[category]) {
+            byCategory[category] = {
+                category: category,
+                label: categoryLabels[category] ? localize(categoryLabels[category], `category.${category}`) : t("exam.otherCategory"),
+                correct: 0,
+                total: 0
+            };
+        }
+        byCategory[category].total++;
+        if (isCorrect) byCategory[category].correct++;
+    });
+
+    const percent = graded.total > 0 ? graded.correct / graded.total : 0;
+
+    return {
+        ...graded,
+        percent: percent,
+        passed: percent >= session.passMark,
+        breakdown: Object.values(byCategory)
+    };
+}
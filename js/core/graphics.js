@@ -0,0 +1,294 @@
+/**
+ * Graphics Module
+ *
+ * Quality settings for lab machines from gaming PCs to Chromebooks:
+ * - Presets: Low / Medium / High set the pixel ratio, shadow type and size, how many street
+ *   lamps cast light, the fog distance and the number of clouds and rain drops. Antialiasing
+ *   belongs to the preset too, but WebGL only applies it when the page loads.
+ * - Auto: Watches the frame time, steps one preset down when frames are slow and tries one
+ *   step up after a long smooth stretch (waiting longer after every step up that failed).
+ * - Persistence: The chosen preset and the level Auto settled on are stored in localStorage,
+ *   so the next load starts there.
+ *
+ * UI: <select id="graphicsSelect"> in the HUD.
+ */
+
+import * as THREE from 'three';
+import { scene, camera, renderer } from './scene.js';
+import { t, onLocaleChange } from './i18n.js';
+import { sunLight, setLampLightLimit, updateLampLights, setCloudCount, setFogDistance } from '../world/lighting.js';
+import { setRainDropLimit } from '../world/weather.js';
+
+// Quality levels, lowest first (Auto moves along this list)
+export const QUALITY_LEVELS = ["low", "medium", "high"];
+
+// Preset that hands the choice to the frame-rate governor
+export const AUTO_PRESET = "auto";
+
+// Settings per quality level
+export const GRAPHICS_PRESETS = {
+    low: {
+        pixelRatio: 0.75,          // Render scale (never above the screen's devicePixelRatio)
+        antialias: false,          // Applied on the next page load
+        shadowType: null,          // No shadows
+        shadowMapSize: 512,        // Sun shadow map (px)
+        lampLights: 4,             // Street lamps with a PointLight (nearest to the player)
+        fogFar: 120,               // Fog far plane (m) in clear weather; buildings beyond it are not drawn
+        cloudCount: 5,
+        rainDrops: 600             // Rain streaks drawn at once
+    },
+    medium: {
+        pixelRatio: 1,
+        antialias: true,
+        shadowType: THREE.PCFShadowMap,
+        shadowMapSize: 1024,
+        lampLights: 12,
+        fogFar: 160,
+        cloudCount: 10,
+        rainDrops: 1500
+    },
+    high: {
+        pixelRatio: 2,
+        antialias: true,
+        shadowType: THREE.PCFSoftShadowMap,
+        shadowMapSize: 2048,
+        lampLights: Infinity,
+        fogFar: 200,
+        cloudCount: 15,
+        rainDrops: 3000
+    }
+};
+
+// Frame-Rate Governor Settings (Auto)
+export const governorConfig = {
+    slowFrameMs: 1000 / 40,   // Average frame time above this steps down
+    fastFrameMs: 1000 / 55,   // Average frame time below this counts as smooth
+    sampleTime: 2,            // Seconds of frames per average
+    upgradeAfter: 15,         // Seconds of smooth frames before trying one level up (doubles per failed try)
+    settleTime: 3,            // Seconds ignored after a change (shaders recompile, textures upload)
+    maxFrameTime: 0.5         // Longer frames (tab in the background) are not counted (s)
+};
+
+const GRAPHICS_KEY = "rambuMiniCity.graphics";
+
+// How often the lamp PointLights move to the lamps nearest to the player (s)
+const LAMP_LIGHT_INTERVAL = 0.5;
+
+const settings = {
+    preset: AUTO_PRESET,   // "low" | "medium" | "high" | "auto"
+    autoLevel: "medium"    // Level Auto runs at
+};
+
+// Level currently applied to the renderer and the world
+let activeLevel = null;
+
+const governor = {
+    time: 0,             // Seconds in the running sample
+    frames: 0,           // Frames in the running sample
+    smoothTime: 0,       // Seconds of smooth samples in a row
+    settle: 0,           // Seconds left to ignore
+    failedUpgrades: 0,   // Steps up that had to be taken back
+    justUpgraded: false  // The last change was a step up
+};
+
+let lampTimer = 0;
+
+/**
+ * Quality level the chosen preset stands for.
+ */
+function targetLevel() {
+    return settings.preset === AUTO_PRESET ? settings.autoLevel : settings.preset;
+}
+
+/**
+ * Store the settings (failures only warn: private browsing may block storage).
+ */
+function saveSettings() {
+    try {
+        localStorage.setItem(GRAPHICS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Saving graphics settings failed:", error);
+    }
+}
+
+/**
+ * Restore the saved settings. Call before initScene.
+ * @returns {Object} Renderer options { antialias } for initScene
+ */
+export function loadGraphicsSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GRAPHICS_KEY) || "null");
+        if (saved && (saved.preset === AUTO_PRESET || GRAPHICS_PRESETS[saved.preset])) settings.preset = saved.preset;
+        if (saved && GRAPHICS_PRESETS[saved.autoLevel]) settings.autoLevel = saved.autoLevel;
+    } catch (error) {
+        console.warn("Reading graphics settings failed:", error);
+    }
+    return { antialias: GRAPHICS_PRESETS[targetLevel()].antialias };
+}
+
+/**
+ * Switch the shadow type and map size. Materials recompile for the new shadow type.
+ */
+function applyShadows(preset) {
+    const enabled = preset.shadowType !== null;
+    const changed = renderer.shadowMap.enabled !== enabled || (enabled && renderer.shadowMap.type !== preset.shadowType);
+
+    renderer.shadowMap.enabled = enabled;
+    if (enabled) renderer.shadowMap.type = preset.shadowType;
+
+    if (sunLight && sunLight.shadow.mapSize.x !== preset.shadowMapSize) {
+        sunLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        if (sunLight.shadow.map) {
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null; // Recreated at the new size on the next frame
+        }
+    }
+
+    if (changed) {
+        scene.traverse((object) => {
+            if (!object.material) return;
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach((m) => (m.needsUpdate = true));
+        });
+    }
+}
+
+/**
+ * Apply a quality level to the renderer and the world.
+ * @param {string} level - One of QUALITY_LEVELS
+ */
+function applyLevel(level) {
+    const preset = GRAPHICS_PRESETS[level];
+    activeLevel = level;
+
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.pixelRatio));
+    applyShadows(preset);
+    setFogDistance(preset.fogFar);
+    setCloudCount(preset.cloudCount);
+    setRainDropLimit(preset.rainDrops);
+    setLampLightLimit(preset.lampLights);
+    updateLampLights(camera.position);
+
+    governor.time = 0;
+    governor.frames = 0;
+    governor.smoothTime = 0;
+    governor.settle = governorConfig.settleTime;
+
+    refreshSelect();
+}
+
+/**
+ * Choose a preset ("low", "medium", "high" or "auto"), apply and store it.
+ */
+export function setGraphicsPreset(preset) {
+    if (preset !== AUTO_PRESET && !GRAPHICS_PRESETS[preset]) return;
+
+    settings.preset = preset;
+    governor.failedUpgrades = 0;
+    governor.justUpgraded = false;
+    saveSettings();
+    applyLevel(targetLevel());
+}
+
+/**
+ * Active preset and the quality level in use.
+ * @returns {{ preset: string, level: string }}
+ */
+export function getGraphicsState() {
+    return { preset: settings.preset, level: activeLevel };
+}
+
+/**
+ * Auto: move one level down or up and remember it for the next load.
+ */
+function stepAutoLevel(step) {
+    const index = QUALITY_LEVELS.indexOf(activeLevel) + step;
+    if (index < 0 || index >= QUALITY_LEVELS.length) return;
+
+    if (step < 0 && governor.justUpgraded) governor.failedUpgrades++;
+    governor.justUpgraded = step > 0;
+
+    settings.autoLevel = QUALITY_LEVELS[index];
+    saveSettings();
+    applyLevel(settings.autoLevel);
+}
+
+/**
+ * Frame-rate governor (Auto only): average the frame time over `sampleTime` and decide.
+ */
+function updateGovernor(delta) {
+    if (settings.preset !== AUTO_PRESET || delta > governorConfig.maxFrameTime) return;
+    if (governor.settle > 0) {
+        governor.settle -= delta;
+        return;
+    }
+
+    governor.time += delta;
+    governor.frames++;
+    if (governor.time < governorConfig.sampleTime) return;
+
+    const averageMs = (governor.time / governor.frames) * 1000;
+    const sampleTime = governor.time;
+    governor.time = 0;
+    governor.frames = 0;
+
+    if (averageMs > governorConfig.slowFrameMs) {
+        stepAutoLevel(-1);
+    } else if (averageMs < governorConfig.fastFrameMs) {
+        governor.smoothTime += sampleTime;
+        if (governor.smoothTime >= governorConfig.upgradeAfter * 2 ** governor.failedUpgrades) stepAutoLevel(1);
+    } else {
+        governor.smoothTime = 0;
+    }
+}
+
+/**
+ * Run the governor and move the lamp lights along with the player. Called every frame.
+ * @param {number} delta - Time since last frame (s)
+ */
+export function updateGraphics(delta) {
+    if (!activeLevel) return;
+    updateGovernor(delta);
+
+    lampTimer += delta;
+    if (lampTimer >= LAMP_LIGHT_INTERVAL) {
+        lampTimer = 0;
+        updateLampLights(camera.position);
+    }
+}
+
+/**
+ * Labels of the quality select in the current language (Auto shows the level it runs at).
+ */
+function refreshSelect() {
+    const select = document.getElementById("graphicsSelect");
+    if (!select) return;
+
+    [...QUALITY_LEVELS, AUTO_PRESET].forEach((preset) => {
+        const option = select.querySelector(`option[value="${preset}"]`);
+        if (!option) return;
+        option.textContent = preset === AUTO_PRESET
+            ? t("graphics.auto", { level: t(`graphics.${settings.autoLevel}`) })
+            : t(`graphics.${preset}`);
+    });
+    select.value = settings.preset;
+    select.title = t("graphics.hint");
+}
+
+/**
+ * Apply the saved quality and set up the select. Call once the world and lighting exist.
+ */
+export function initGraphics() {
+    const select = document.getElementById("graphicsSelect");
+    if (select) {
+        select.innerHTML = "";
+        [...QUALITY_LEVELS, AUTO_PRESET].forEach((preset) => {
+            const option = document.createElement("option");
+            option.value = preset;
+            select.appendChild(option);
+        });
+        select.addEventListener("change", () => setGraphicsPreset(select.value));
+        onLocaleChange(refreshSelect);
+    }
+
+    applyLevel(targetLevel());
+}
@@ -0,0 +1,174 @@
+/**
+ * I18n Module
+ *
+ * Locale system for all learner-facing text:
+ * - UI strings: Looked up by key in the locale packs (js/data/locales/*.js) with `t()`.
+ * - Content: Sign info, labels and quiz questions are stored as `{ id: "...", en: "..." }`
+ *   maps next to their data and picked with `localize()`.
+ * - Fallback: Text missing in the active locale falls back to the default locale (Indonesian).
+ *   Every missing key is flagged once in the console and collected in `missingKeys`;
+ *   keys missing from every pack render as "⟦key⟧" so they stand out on screen.
+ * - Persistence: The chosen language is stored in localStorage.
+ *
+ * Static HTML opts in with `data-i18n="key"` (text) or `data-i18n-html="key"` (markup).
+ */
+
+import { strings as idStrings } from '../data/locales/id.js';
+import { strings as enStrings } from '../data/locales/en.js';
+
+// Available locales (code -> name shown in the switcher)
+export const LOCALES = {
+    id: "Bahasa Indonesia",
+    en: "English"
+};
+
+export const DEFAULT_LOCALE = "id";
+
+const LOCALE_KEY = "rambuMiniCity.locale";
+
+// UI string packs per locale
+const packs = {
+    id: idStrings,
+    en: enStrings
+};
+
+// Keys that had to fall back ("locale:key"), for translators
+export const missingKeys = new Set();
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Callbacks notified after the locale changed
+const listeners = [];
+
+/**
+ * Active locale code.
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch language, persist the choice and refresh everything that listens.
+ * @param {string} code - Locale code (key of LOCALES)
+ */
+export function setLocale(code) {
+    if (!LOCALES[code] || code === currentLocale) return;
+
+    currentLocale = code;
+    try {
+        localStorage.setItem(LOCALE_KEY, code);
+    } catch (error) {
+        console.warn("Saving language failed:", error);
+    }
+
+    applyTranslations();
+    listeners.forEach((callback) => callback(code));
+}
+
+/**
+ * Register a callback for locale changes (e.g. to redraw HUD text).
+ */
+export function onLocaleChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Flag a missing translation once.
+ */
+function flagMissing(locale, key) {
+    const id = `${locale}:${key}`;
+    if (missingKeys.has(id)) return;
+    missingKeys.add(id);
+    console.warn(`[i18n] Missing "${key}" for locale "${locale}"`);
+}
+
+/**
+ * Translate a UI string.
+ *
+ * @param {string} key - Key in the locale packs (e.g. "hud.score")
+ * @param {Object} params - Values for `{name}` placeholders
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    let text = packs[currentLocale][key];
+
+    if (text === undefined) {
+        flagMissing(currentLocale, key);
+        text = packs[DEFAULT_LOCALE][key];
+        if (text === undefined) return `⟦${key}⟧`;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Pick the active language from a content value.
+ *
+ * @param {string|Object} value - Plain string (not translated) or `{ id, en }` map
+ * @param {string} context - Where the value comes from, used when flagging (e.g. "quiz.stop.3.q")
+ * @returns {string}
+ */
+export function localize(value, context = "content") {
+    if (value === null || value === undefined) return "";
+    if (typeof value !== "object") return String(value);
+
+    if (value[currentLocale] !== undefined) return value[currentLocale];
+
+    flagMissing(currentLocale, context);
+    if (value[DEFAULT_LOCALE] !== undefined) return value[DEFAULT_LOCALE];
+    return `⟦${context}⟧`;
+}
+
+/**
+ * Fill static HTML marked with data-i18n / data-i18n-html.
+ * @param {ParentNode} root - Where to look (defaults to the whole document)
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-html]").forEach((el) => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+
+    document.documentElement.lang = currentLocale;
+    document.title = t("app.title");
+}
+
+/**
+ * Restore the saved language, translate the page and set up the switcher
+ * (<select id="languageSelect"> and key L to cycle through the languages).
+ */
+export function initI18n() {
+    try {
+        const saved = localStorage.getItem(LOCALE_KEY);
+        if (saved && LOCALES[saved]) currentLocale = saved;
+    } catch (error) {
+        console.warn("Reading saved language failed:", error);
+    }
+
+    applyTranslations();
+
+    const select = document.getElementById("languageSelect");
+    if (select) {
+        select.innerHTML = "";
+        Object.keys(LOCALES).forEach((code) => {
+            const option = document.createElement("option");
+            option.value = code;
+            option.textContent = LOCALES[code];
+            select.appendChild(option);
+        });
+        select.value = currentLocale;
+
+        select.addEventListener("change", () => setLocale(select.value));
+        onLocaleChange((code) => (select.value = code));
+    }
+
+    document.addEventListener("keydown", (e) => {
+        if (e.code !== "KeyL" || e.repeat) return;
+        if (e.target.closest && e.target.closest("input, select, textarea")) return;
+
+        const codes = Object.keys(LOCALES);
+        setLocale(codes[(codes.indexOf(currentLocale) + 1) % codes.length]);
+    });
+}
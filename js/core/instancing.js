@@ -0,0 +1,160 @@
+/**
+ * Instancing Module
+ *
+ * Draws the repeated props of the city (trees, zebra stripes, street lamps, sign poles)
+ * with one InstancedMesh per shared geometry + material instead of one draw call per part:
+ * - Pools: sharedGeometry() / sharedMaterial() hand out one object per key, so equal parts
+ *   of different props end up in the same batch.
+ * - Batches: instanceObject() hides the meshes of a prop and draws them as instances.
+ *   The hidden meshes stay in the prop, so picking, bounding boxes and lights still work on it.
+ * - Props moved at runtime (level editor) call updateInstancedObject(), removed props
+ *   call removeInstancedObject().
+ *
+ * Transparent parts (sign boards) are left as regular meshes: instances are not depth-sorted.
+ */
+
+import * as THREE from 'three';
+import { scene } from './scene.js';
+
+// Instancing Settings
+export const instancingConfig = {
+    initialCapacity: 64     // Instances a new batch has room for (doubles when full)
+};
+
+// Shared geometries and materials (key -> object)
+const geometryPool = new Map();
+const materialPool = new Map();
+
+// Batches (key -> { mesh: InstancedMesh, parts: [{ batch, index, mesh }] })
+const batches = new Map();
+
+/**
+ * Shared geometry for a key, created on first use.
+ * @param {string} key - Pool key (e.g. "tree.trunk")
+ * @param {Function} create - Builds the geometry
+ */
+export function sharedGeometry(key, create) {
+    if (!geometryPool.has(key)) geometryPool.set(key, create());
+    return geometryPool.get(key);
+}
+
+/**
+ * Shared material for a key, created on first use.
+ * @param {string} key - Pool key (e.g. "lamp.pole")
+ * @param {Function} create - Builds the material
+ */
+export function sharedMaterial(key, create) {
+    if (!materialPool.has(key)) materialPool.set(key, create());
+    return materialPool.get(key);
+}
+
+/**
+ * Batch drawing a mesh's geometry + material with its shadow settings.
+ */
+function getBatch(mesh) {
+    const key = `${mesh.geometry.uuid}|${mesh.material.uuid}|${mesh.castShadow}|${mesh.receiveShadow}`;
+    let batch = batches.get(key);
+    if (!batch) {
+        batch = { mesh: null, parts: [] };
+        batches.set(key, batch);
+        resizeBatch(batch, mesh, instancingConfig.initialCapacity);
+    }
+    return batch;
+}
+
+/**
+ * Replace a batch's InstancedMesh with one of a new capacity (instances are kept).
+ */
+function resizeBatch(batch, source, capacity) {
+    const mesh = new THREE.InstancedMesh(source.geometry, source.material, capacity);
+    mesh.castShadow = source.castShadow;
+    mesh.receiveShadow = source.receiveShadow;
+    mesh.count = batch.parts.length;
+
+    const old = batch.mesh;
+    if (old) {
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        scene.remove(old);
+        old.dispose();
+    }
+    scene.add(mesh);
+    batch.mesh = mesh;
+}
+
+/**
+ * Copy a part's world matrix into its instance.
+ */
+function writePart(part) {
+    const mesh = part.batch.mesh;
+    mesh.setMatrixAt(part.index, part.mesh.matrixWorld);
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.boundingSphere = null; // Recomputed for culling and raycasting
+    mesh.boundingBox = null;
+}
+
+/**
+ * Draw the meshes of a prop as instances.
+ * The prop may stay out of the scene when nothing needs to pick it (trees).
+ *
+ * @param {THREE.Object3D} object - Prop built from shared geometries and materials
+ * @returns {THREE.Object3D} The same object
+ */
+export function instanceObject(object) {
+    object.updateMatrixWorld(true);
+    const parts = [];
+
+    object.traverse((child) => {
+        if (!child.isMesh || child.material.transparent) return;
+
+        const batch = getBatch(child);
+        if (batch.parts.length === batch.mesh.instanceMatrix.count) {
+            resizeBatch(batch, child, batch.parts.length * 2);
+        }
+        const part = { batch, index: batch.parts.length, mesh: child };
+        batch.parts.push(part);
+        batch.mesh.count = batch.parts.length;
+        writePart(part);
+
+        child.visible = false; // Drawn by the batch
+        parts.push(part);
+    });
+
+    object.userData.instances = parts;
+    return object;
+}
+
+/**
+ * Follow a prop that was moved or turned.
+ * @param {THREE.Object3D} object - Prop passed to instanceObject
+ */
+export function updateInstancedObject(object) {
+    object.updateMatrixWorld(true);
+    (object.userData.instances || []).forEach(writePart);
+}
+
+/**
+ * Stop drawing a prop's instances (the last instance of a batch takes the freed slot).
+ * @param {THREE.Object3D} object - Prop passed to instanceObject
+ */
+export function removeInstancedObject(object) {
+    (object.userData.instances || []).forEach((part) => {
+        const batch = part.batch;
+        const last = batch.parts.pop();
+        if (last !== part) {
+            last.index = part.index;
+            batch.parts[part.index] = last;
+            writePart(last);
+        }
+        batch.mesh.count = batch.parts.length;
+    });
+    object.userData.instances = [];
+}
+
+/**
+ * Number of batches and of the instances they draw (for the debug display).
+ */
+export function getInstancingStats() {
+    let instances = 0;
+    batches.forEach((batch) => (instances += batch.parts.length));
+    return { batches: batches.size, instances };
+}
@@ -0,0 +1,22 @@
+/**
+ * Offline Module
+ *
+ * Registers the service worker (sw.js) that caches the game for offline use,
+ * so it also starts in school labs without a reliable connection. The page manifest
+ * (manifest.webmanifest) makes the game installable as an app.
+ */
+
+// Service worker script (relative to index.html, so it controls the whole game folder)
+const SERVICE_WORKER_URL = "sw.js";
+
+/**
+ * Register the service worker. Does nothing where service workers are unavailable
+ * (old browsers, or the page opened as a file instead of through a server).
+ */
+export function initOffline() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+        console.warn("Service worker registration failed:", error);
+    });
+}
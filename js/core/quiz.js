@@ -0,0 +1,192 @@
+/**
+ * Quiz Engine Module
+ *
+ * Turns the question pools in `quizData` into randomized quiz sessions:
+ * - Draws N questions from a sign's pool (so retakes differ).
+ * - Shuffles the question order and the answer options of every question.
+ * - Keeps the mapping from shuffled options back to the original answers,
+ *   so grading never depends on on-screen positions.
+ * - Supports several question types (see quizData.js for the data format):
+ *   mcq, image, truefalse, multi, order.
+ *
+ * The engine is UI-free; the Popup module renders sessions and passes responses back.
+ * Question text is localized (core/i18n.js) when a question is prepared.
+ *
+ * Response format per type (what the UI hands to grading):
+ * - mcq / image / truefalse: shuffled option index (-1 = unanswered)
+ * - multi: array of picked shuffled option indices
+ * - order: array with the chosen position (0-based, -1 = none) for every shuffled option
+ */
+
+import { quizData, QUESTIONS_PER_QUIZ } from '../data/quizData.js';
+import { signTextures, labelMap } from '../data/signData.js';
+import { t, localize } from './i18n.js';
+
+// Fixed option labels for true/false questions (kept in this order, not shuffled)
+const TRUE_FALSE_OPTIONS = ["quiz.true", "quiz.false"];
+
+/**
+ * Fisher-Yates shuffle. Returns a new array, the input is left untouched.
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random source returning [0, 1)
+ */
+export function shuffle(items, random = Math.random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Prepare one pool entry for display, in the active language.
+ *
+ * @param {string} signId - Sign the question belongs to
+ * @param {number} poolIndex - Index of the question inside quizData[signId]
+ * @returns {Object} { signId, poolIndex, type, q, explanation, ref, options, order, answer }
+ *   - options: [{ text, img? }] in display order
+ *   - order:   order[displayIndex] = original index in `a`
+ *   - answer:  expected response (see module header for the format per type)
+ */
+export function prepareQuestion(signId, poolIndex) {
+    const item = quizData[signId][poolIndex];
+    const type = item.type || "mcq";
+    const context = `quiz.${signId}.${poolIndex}`;
+
+    const base = {
+        signId: signId,
+        poolIndex: poolIndex,
+        type: type,
+        q: localize(item.q, `${context}.q`),
+        explanation: item.e ? localize(item.e, `${context}.e`) : "",
+        ref: item.ref || null
+    };
+
+    if (type === "truefalse") {
+        return {
+            ...base,
+            options: TRUE_FALSE_OPTIONS.map((key) => ({ text: t(key) })),
+            order: [0, 1],
+            answer: item.c ? 0 : 1
+        };
+    }
+
+    const order = shuffle(item.a.map((_, i) => i));
+    const options = order.map((i) => {
+        if (type === "image") {
+            const id = item.a[i];
+            return { text: localize(labelMap[id] || id, `labelMap.${id}`), img: signTextures[id] };
+        }
+        return { text: localize(item.a[i], `${context}.a.${i}`) };
+    });
+
+    let answer;
+    if (type === "multi") {
+        answer = item.c.map((i) => order.indexOf(i)).sort((a, b) => a - b);
+    } else if (type === "order") {
+        // The option shown at display index k belongs at position order[k]
+        answer = order.slice();
+    } else {
+        answer = order.indexOf(item.c);
+    }
+
+    return { ...base, options, order, answer };
+}
+
+/**
+ * Create a randomized quiz for one sign.
+ *
+ * @param {string} signId - Sign ID (key of quizData)
+ * @param {number} count - How many questions to draw from the pool
+ * @returns {Object|null} Session { signId, questions: [...] }, or null if the sign has no quiz
+ */
+export function createQuizSession(signId, count = QUESTIONS_PER_QUIZ) {
+    const pool = quizData[signId];
+    if (!pool || pool.length === 0) return null;
+
+    const drawn = shuffle(pool.map((_, i) => i)).slice(0, Math.min(count, pool.length));
+
+    return {
+        signId: signId,
+        questions: drawn.map((poolIndex) => prepareQuestion(signId, poolIndex))
+    };
+}
+
+/**
+ * Check a single response.
+ * @param {Object} question - Prepared question
+ * @param {*} response - Response in the format of the question type
+ */
+export function isResponseCorrect(question, response) {
+    if (question.type === "multi") {
+        if (!Array.isArray(response)) return false;
+        const picked = response.slice().sort((a, b) => a - b);
+        return picked.length === question.answer.length &&
+            picked.every((value, i) => value === question.answer[i]);
+    }
+
+    if (question.type === "order") {
+        if (!Array.isArray(response)) return false;
+        return question.answer.every((position, i) => response[i] === position);
+    }
+
+    return response === question.answer;
+}
+
+/**
+ * True if the player gave any response at all.
+ */
+export function isAnswered(question, response) {
+    if (question.type === "multi") return Array.isArray(response) && response.length > 0;
+    if (question.type === "order") return Array.isArray(response) && response.some((p) => p >= 0);
+    return typeof response === "number" && response >= 0;
+}
+
+/**
+ * Human-readable text of a response (for the results view).
+ */
+export function describeResponse(question, response) {
+    if (!isAnswered(question, response)) return t("quiz.unanswered");
+
+    if (question.type === "multi") {
+        return response.map((i) => question.options[i].text).join(", ");
+    }
+
+    if (question.type === "order") {
+        return question.options
+            .map((option, i) => ({ text: option.text, position: response[i] }))
+            .sort((a, b) => (a.position < 0 ? 99 : a.position) - (b.position < 0 ? 99 : b.position))
+            .map((entry) => `${entry.position >= 0 ? entry.position + 1 : "?"}. ${entry.text}`)
+            .join(" → ");
+    }
+
+    return question.options[response].text;
+}
+
+/**
+ * Human-readable text of the correct answer.
+ */
+export function describeAnswer(question) {
+    return describeResponse(question, question.answer);
+}
+
+/**
+ * Grade a session against the shuffled mapping.
+ *
+ * @param {Object} session - Session from createQuizSession
+ * @param {Array} responses - One response per question (see module header)
+ * @returns {Object} { correct, total, results: [{ question, answer, isCorrect }] }
+ */
+export function gradeQuizSession(session, responses) {
+    let correct = 0;
+
+    const results = session.questions.map((question, index) => {
+        const answer = responses[index] ?? -1;
+        const isCorrect = isResponseCorrect(question, answer);
+        if (isCorrect) correct++;
+        return { question, answer, isCorrect };
+    });
+
+    return { correct, total: session.questions.length, results };
+}
@@ -0,0 +1,71 @@
+/**
+ * Random Module
+ *
+ * Seeded pseudo-random numbers for world generation, so every load builds the same city:
+ * - Seed: Read from the page URL (`?seed=1234` or any text, e.g. `?seed=kelas7b`),
+ *   otherwise DEFAULT_SEED. Shown in the HUD so screenshots and bug reports can name it.
+ * - Streams: Each generator (buildings, trees, clouds, ...) draws from its own stream,
+ *   derived from the seed and a stream name. Adding random calls to one generator
+ *   does not reshuffle the others.
+ *
+ * Only the static world is seeded. Live simulation (traffic, pedestrians, birds)
+ * keeps using Math.random().
+ */
+
+// Seed used when the URL has none
+export const DEFAULT_SEED = 1;
+
+// URL query parameter that holds the seed
+const SEED_PARAM = "seed";
+
+/**
+ * Hash text to an unsigned 32-bit integer (FNV-1a).
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed from the page URL: whole numbers are used as they are, any other text is hashed.
+ * @returns {string} The seed as written in the URL (or DEFAULT_SEED)
+ */
+function readSeed() {
+    if (typeof location === "undefined") return String(DEFAULT_SEED);
+    const value = new URLSearchParams(location.search).get(SEED_PARAM);
+    return value && value.trim() ? value.trim() : String(DEFAULT_SEED);
+}
+
+// Seed of this session (as shown to the player) and its numeric form
+export const worldSeed = readSeed();
+const seedNumber = /^\d+$/.test(worldSeed) ? Number(worldSeed) >>> 0 : hashText(worldSeed);
+
+/**
+ * Create a random number generator for one generator stream (mulberry32).
+ * @param {string} stream - Stream name, e.g. "buildings"
+ * @returns {function(): number} Drop-in replacement for Math.random() (0 <= n < 1)
+ */
+export function createRandom(stream) {
+    let state = (seedNumber ^ hashText(stream)) >>> 0;
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Link to this page with the given seed (keeps the other URL parameters).
+ */
+export function getSeedUrl(seed = worldSeed) {
+    const url = new URL(location.href);
+    url.searchParams.set(SEED_PARAM, seed);
+    return url.toString();
+}
@@ -0,0 +1,146 @@
+/**
+ * Review Module
+ *
+ * Spaced-repetition scheduler (Leitner boxes) for every quiz question:
+ * - Every graded answer, from sign quizzes and from reviews, updates that question's card.
+ * - Correct answer: the card moves up one box and is due again after a longer interval.
+ * - Wrong answer: the card drops back to box 1 and comes back soon.
+ * - Review sessions mix the due cards of all signs, most overdue first.
+ *
+ * The schedule is part of the saved progress (see save.js), so it survives reloads.
+ * Times are real wall-clock milliseconds, not in-game time.
+ */
+
+import { quizData } from '../data/quizData.js';
+import { prepareQuestion } from './quiz.js';
+
+// Interval before a card in box N (1-based) is due again
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+export const REVIEW_INTERVALS = [10 * MINUTE, 1 * DAY, 3 * DAY, 7 * DAY, 21 * DAY];
+
+// Maximum questions in one review session
+export const QUESTIONS_PER_REVIEW = 10;
+
+// Scheduled cards: cards["signId:poolIndex"] = { box, due, lastReviewed }
+const cards = {};
+
+/**
+ * Card key for a question.
+ */
+function cardKey(signId, poolIndex) {
+    return `${signId}:${poolIndex}`;
+}
+
+/**
+ * Record one graded answer and reschedule its card.
+ *
+ * @param {string} signId - Sign the question belongs to
+ * @param {number} poolIndex - Index in quizData[signId]
+ * @param {boolean} isCorrect - Whether the answer was right
+ * @param {number} now - Timestamp (ms)
+ */
+export function recordAnswer(signId, poolIndex, isCorrect, now = Date.now()) {
+    const key = cardKey(signId, poolIndex);
+    const card = cards[key] || { box: 1, due: now, lastReviewed: 0 };
+
+    card.box = isCorrect ? Math.min(card.box + 1, REVIEW_INTERVALS.length) : 1;
+    card.due = now + REVIEW_INTERVALS[card.box - 1];
+    card.lastReviewed = now;
+
+    cards[key] = card;
+    return card;
+}
+
+/**
+ * Feed every result of a graded session into the schedule.
+ * @param {Array} results - `results` from gradeQuizSession
+ */
+export function recordResults(results, now = Date.now()) {
+    results.forEach(({ question, isCorrect }) => {
+        recordAnswer(question.signId, question.poolIndex, isCorrect, now);
+    });
+}
+
+/**
+ * All scheduled cards whose question still exists (the catalog may have changed).
+ * @returns {Array} [{ signId, poolIndex, box, due, lastReviewed }]
+ */
+function getLiveCards() {
+    return Object.keys(cards)
+        .map((key) => {
+            const split = key.lastIndexOf(":");
+            return {
+                signId: key.slice(0, split),
+                poolIndex: Number(key.slice(split + 1)),
+                ...cards[key]
+            };
+        })
+        .filter((card) => quizData[card.signId] && quizData[card.signId][card.poolIndex]);
+}
+
+/**
+ * Cards that are due, most overdue first.
+ */
+export function getDueCards(now = Date.now()) {
+    return getLiveCards()
+        .filter((card) => card.due <= now)
+        .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Number of questions waiting for review.
+ */
+export function getDueCount(now = Date.now()) {
+    return getDueCards(now).length;
+}
+
+/**
+ * Time of the next upcoming review, or null if nothing is scheduled.
+ */
+export function getNextDue() {
+    const dues = getLiveCards().map((card) => card.due);
+    return dues.length > 0 ? Math.min(...dues) : null;
+}
+
+/**
+ * Create a review session from the due cards (same shape as a quiz session,
+ * with `signId: "review"` and questions from different signs).
+ *
+ * @param {number} count - Maximum number of questions
+ * @returns {Object|null} Session, or null if nothing is due
+ */
+export function createReviewSession(count = QUESTIONS_PER_REVIEW, now = Date.now()) {
+    const due = getDueCards(now).slice(0, count);
+    if (due.length === 0) return null;
+
+    return {
+        signId: "review",
+        questions: due.map((card) => prepareQuestion(card.signId, card.poolIndex))
+    };
+}
+
+/**
+ * Copy of the schedule for saving.
+ */
+export function getReviewState() {
+    const copy = {};
+    Object.keys(cards).forEach((key) => (copy[key] = { ...cards[key] }));
+    return { cards: copy };
+}
+
+/**
+ * Replace the schedule with saved data. Malformed cards are dropped.
+ * @param {Object} state - { cards } as produced by getReviewState
+ */
+export function setReviewState(state) {
+    Object.keys(cards).forEach((key) => delete cards[key]);
+
+    const saved = state && state.cards ? state.cards : {};
+    Object.keys(saved).forEach((key) => {
+        const card = saved[key];
+        if (!card || typeof card.due !== "number") return;
+        const box = Math.max(1, Math.min(REVIEW_INTERVALS.length, Math.round(card.box) || 1));
+        cards[key] = { box: box, due: card.due, lastReviewed: Number(card.lastReviewed) || 0 };
+    });
+}
@@ -0,0 +1,221 @@
+/**
+ * Save Module
+ *
+ * Persists player progress across page reloads:
+ * - Storage: localStorage under a single key, as a versioned JSON snapshot.
+ * - Contents: Quiz scores, sign mastery, review schedule, last player position and time of day.
+ * - Migrations: Older snapshots are upgraded step by step to the current version.
+ * - Transfer: Export/Import the same snapshot as a .json file (moving between lab computers).
+ */
+
+import { controls, getTimeOfDay, setTimeOfDay } from './controls.js';
+import { vehicle } from './vehicle.js';
+import { cityLimit } from '../world/buildings.js';
+import { SIGN_IDS } from '../data/quizData.js';
+import { signScores, signStates } from '../ui/popup.js';
+import { getReviewState, setReviewState } from './review.js';
+import { updateHud, updateMissionBox, updateSignChecklist, updateReviewBox } from '../ui/hud.js';
+import { t } from './i18n.js';
+
+// Storage Configuration
+const SAVE_KEY = "rambuMiniCity.save";
+const AUTOSAVE_INTERVAL = 10000; // ms
+
+// Current schema version. Bump this and add a migration when the snapshot format changes.
+export const SAVE_VERSION = 2;
+
+// Schema Migrations
+// migrations[n] takes a version-n snapshot and returns a version-(n+1) snapshot.
+const migrations = {
+    // v2: spaced-repetition schedule (nothing scheduled yet for old saves)
+    1: (data) => ({ ...data, version: 2, review: { cards: {} } })
+};
+
+/**
+ * Build a snapshot of the current progress.
+ *
+ * Schema (version 2):
+ * {
+ *    version: 2,
+ *    savedAt: ISO date string,
+ *    scores: { signId: points },
+ *    mastery: { signId: boolean },
+ *    review: { cards: { "signId:poolIndex": { box, due, lastReviewed } } },
+ *    player: { x, y, z },
+ *    timeOfDay: 0..1
+ * }
+ */
+export function createSnapshot() {
+    // While driving, the camera is the chase cam: store the car's spot instead
+    const pos = vehicle.active ? vehicle.position : controls.getObject().position;
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        scores: { ...signScores },
+        mastery: { ...signStates },
+        review: getReviewState(),
+        player: { x: pos.x, y: 2, z: pos.z },
+        timeOfDay: getTimeOfDay()
+    };
+}
+
+/**
+ * Validate a raw snapshot and upgrade it to the current version.
+ * @param {Object} raw - Parsed JSON
+ * @returns {Object} Snapshot in the current schema
+ * @throws {Error} If the data is not a usable save
+ */
+export function migrateSnapshot(raw) {
+    if (!raw || typeof raw !== "object" || typeof raw.version !== "number") {
+        throw new Error(t("save.errorNoVersion"));
+    }
+    if (raw.version > SAVE_VERSION) {
+        throw new Error(t("save.errorTooNew", { version: raw.version, current: SAVE_VERSION }));
+    }
+
+    let data = raw;
+    while (data.version < SAVE_VERSION) {
+        const migrate = migrations[data.version];
+        if (!migrate) {
+            throw new Error(t("save.errorNoMigration", { version: data.version }));
+        }
+        data = migrate(data);
+    }
+    return data;
+}
+
+/**
+ * Apply a (current-version) snapshot to the running game.
+ * Unknown sign IDs are ignored so old saves survive catalog changes.
+ */
+export function applySnapshot(data) {
+    SIGN_IDS.forEach((id) => {
+        const score = data.scores ? data.scores[id] : undefined;
+        if (typeof score === "number") signScores[id] = score;
+        else delete signScores[id];
+
+        signStates[id] = !!(data.mastery && data.mastery[id]);
+    });
+
+    setReviewState(data.review);
+
+    if (data.player && controls && !vehicle.active) {
+        const clamp = (v) => Math.max(-cityLimit, Math.min(cityLimit, Number(v) || 0));
+        controls.getObject().position.set(clamp(data.player.x), 2, clamp(data.player.z));
+    }
+
+    if (typeof data.timeOfDay === "number") {
+        setTimeOfDay(((data.timeOfDay % 1) + 1) % 1);
+    }
+
+    updateHud(signScores);
+    updateMissionBox(signStates);
+    updateSignChecklist(signStates);
+    updateReviewBox();
+}
+
+/**
+ * Write the current progress to localStorage.
+ */
+export function saveProgress() {
+    if (!controls) return;
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(createSnapshot()));
+    } catch (error) {
+        console.warn("Saving progress failed:", error);
+    }
+}
+
+/**
+ * Restore progress from localStorage.
+ * @returns {boolean} True if a save was found and applied
+ */
+export function loadProgress() {
+    let raw;
+    try {
+        raw = localStorage.getItem(SAVE_KEY);
+    } catch (error) {
+        console.warn("Reading saved progress failed:", error);
+        return false;
+    }
+    if (!raw) return false;
+
+    try {
+        applySnapshot(migrateSnapshot(JSON.parse(raw)));
+        return true;
+    } catch (error) {
+        console.warn("Saved progress ignored:", error);
+        return false;
+    }
+}
+
+/**
+ * Download the current progress as a JSON file.
+ */
+export function exportProgress() {
+    const snapshot = createSnapshot();
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `progres-rambu-${snapshot.savedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load progress from a JSON file chosen by the user, then persist it.
+ * @param {File} file - File from an <input type="file">
+ */
+export async function importProgress(file) {
+    const text = await file.text();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t("save.errorInvalidJson"));
+    }
+
+    applySnapshot(migrateSnapshot(parsed));
+    saveProgress();
+}
+
+/**
+ * Initialize the save system.
+ * Restores the last session, starts autosave and hooks up the Export/Import buttons.
+ */
+export function initSave() {
+    loadProgress();
+
+    setInterval(saveProgress, AUTOSAVE_INTERVAL);
+    window.addEventListener("beforeunload", saveProgress);
+
+    const exportBtn = document.getElementById("exportSave");
+    const importBtn = document.getElementById("importSave");
+    const fileInput = document.getElementById("importFile");
+
+    if (exportBtn) exportBtn.addEventListener("click", exportProgress);
+
+    if (importBtn && fileInput) {
+        importBtn.addEventListener("click", () => fileInput.click());
+
+        fileInput.addEventListener("change", async () => {
+            const file = fileInput.files[0];
+            fileInput.value = ""; // Allow importing the same file again
+            if (!file) return;
+
+            try {
+                await importProgress(file);
+                alert(t("save.importSuccess"));
+            } catch (error) {
+                alert(t("save.importFailed", { message: error.message }));
+            }
+        });
+    }
+}
@@ -8,7 +8,7 @@
  * - Global Utilities: Clock for delta time, Raycaster for interaction.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 
 // Exported scene objects for use in other modules
 export let scene;
@@ -19,8 +19,9 @@ export let raycaster = new THREE.Raycaster();
 
 /**
  * Initialize the 3D scene
+ * @param {Object} [options] - { antialias } (fixed for the lifetime of the renderer)
  */
-export function initScene() {
+export function initScene({ antialias = true } = {}) {
     // Create scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0xaee6ff);
@@ -33,8 +34,8 @@ export function initScene() {
         1000
     );
 
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    // Create renderer (pixel ratio and shadow quality are set by graphics.js)
+    renderer = new THREE.WebGLRenderer({ antialias });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
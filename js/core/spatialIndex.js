@@ -0,0 +1,122 @@
+/**
+ * Spatial Index Module
+ *
+ * Uniform grid over the ground plane (X/Z) for broad-phase queries, so per-frame checks
+ * only look at what is near instead of scanning every object of the level:
+ * - Items: Any object with a ground rectangle { minX, minZ, maxX, maxZ }; an item is listed
+ *   in every cell its rectangle touches.
+ * - Queries: Items whose rectangle overlaps a rectangle or lies within a radius of a point.
+ *   Results are candidates only: callers still run their exact test on them.
+ *
+ * Used for the building colliders (player, car, sign checks) and the clickable signs.
+ * New moving systems (NPCs, props) can create their own index with createSpatialIndex().
+ */
+
+/**
+ * Ground rectangle of a center and a size.
+ * @param {number} x - Center X
+ * @param {number} z - Center Z
+ * @param {number} width - Size along X
+ * @param {number} depth - Size along Z
+ */
+export function boundsOf(x, z, width = 0, depth = width) {
+    return { minX: x - width / 2, minZ: z - depth / 2, maxX: x + width / 2, maxZ: z + depth / 2 };
+}
+
+/**
+ * Create an empty index.
+ * @param {number} cellSize - Cell edge length (m); about the size of a typical item works best
+ * @returns {Object} Index { insert, remove, update, query, queryRadius, size }
+ */
+export function createSpatialIndex(cellSize) {
+    const cells = new Map(); // cell key -> Array of records
+    const records = new Map(); // item -> { item, bounds, keys, mark }
+    let queryMark = 0; // Stamps the records already returned by the running query
+
+    const cellOf = (value) => Math.floor(value / cellSize);
+    const keyOf = (cx, cz) => (cx + 32768) * 65536 + (cz + 32768);
+
+    function keysOf(bounds) {
+        const keys = [];
+        for (let cx = cellOf(bounds.minX); cx <= cellOf(bounds.maxX); cx++) {
+            for (let cz = cellOf(bounds.minZ); cz <= cellOf(bounds.maxZ); cz++) keys.push(keyOf(cx, cz));
+        }
+        return keys;
+    }
+
+    /**
+     * Add an item with its ground rectangle.
+     */
+    function insert(item, bounds) {
+        if (records.has(item)) remove(item);
+        const record = { item, bounds: { ...bounds }, keys: keysOf(bounds), mark: 0 };
+        record.keys.forEach((key) => {
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(record);
+        });
+        records.set(item, record);
+    }
+
+    /**
+     * Take an item out of the index (unknown items are ignored).
+     */
+    function remove(item) {
+        const record = records.get(item);
+        if (!record) return;
+        record.keys.forEach((key) => {
+            const cell = cells.get(key);
+            cell.splice(cell.indexOf(record), 1);
+            if (cell.length === 0) cells.delete(key);
+        });
+        records.delete(item);
+    }
+
+    /**
+     * Items whose rectangle overlaps the given rectangle.
+     * @param {Object} bounds - { minX, minZ, maxX, maxZ }
+     * @param {Function} [filter] - Extra test on a candidate's rectangle
+     * @returns {Array} Candidates (each item once)
+     */
+    function query(bounds, filter) {
+        const found = [];
+        const mark = ++queryMark;
+        for (let cx = cellOf(bounds.minX); cx <= cellOf(bounds.maxX); cx++) {
+            for (let cz = cellOf(bounds.minZ); cz <= cellOf(bounds.maxZ); cz++) {
+                const cell = cells.get(keyOf(cx, cz));
+                if (!cell) continue;
+                for (const record of cell) {
+                    if (record.mark === mark) continue;
+                    record.mark = mark;
+                    const b = record.bounds;
+                    if (b.maxX < bounds.minX || b.minX > bounds.maxX || b.maxZ < bounds.minZ || b.minZ > bounds.maxZ) continue;
+                    if (filter && !filter(b)) continue;
+                    found.push(record.item);
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Items whose rectangle comes within a radius of a ground point.
+     * @returns {Array} Candidates (each item once)
+     */
+    function queryRadius(x, z, radius) {
+        return query(boundsOf(x, z, radius * 2), (b) => {
+            const dx = Math.max(b.minX - x, 0, x - b.maxX);
+            const dz = Math.max(b.minZ - z, 0, z - b.maxZ);
+            return dx * dx + dz * dz <= radius * radius;
+        });
+    }
+
+    return {
+        insert,
+        remove,
+        update: insert, // Re-inserting moves an item
+        query,
+        queryRadius,
+        get size() {
+            return records.size;
+        }
+    };
+}
@@ -0,0 +1,268 @@
+/**
+ * Vehicle Module
+ *
+ * Drive mode for the player (toggled from the Controls module):
+ * - Spawning: Places the car on the nearest lane of the road network.
+ *   Indonesia drives on the LEFT, so the car starts in the left lane of its road.
+ * - Physics: Simple bicycle model with acceleration, braking, drag and a minimum turning radius.
+ *   Wet roads (weather.js) cut the grip, so the car accelerates and brakes slower.
+ * - Collision: Reuses the building colliders and the city boundary.
+ * - Camera: Smoothed chase camera that follows behind the car.
+ *
+ * Heading convention: heading 0 faces +Z, and forward = (sin(heading), 0, cos(heading)).
+ * Increasing the heading turns the car to the LEFT.
+ */
+
+import * as THREE from 'three';
+import { camera, scene } from './scene.js';
+import { cityLimit, collidesWithBuildings } from '../world/buildings.js';
+import { Car } from '../objects/Car.js';
+import { getNearestLane } from '../world/roadNetwork.js';
+import { weather } from '../world/weather.js';
+
+// Vehicle Tuning (meters, seconds, radians)
+export const vehicleConfig = {
+    wheelBase: 2.7,          // Distance between front and rear axle
+    minTurnRadius: 5.5,      // Tightest circle the car can drive at full lock
+    maxSpeed: 22,            // ~80 km/h
+    maxReverseSpeed: 5,      // ~18 km/h
+    acceleration: 5,         // Throttle (m/s²)
+    brakeDeceleration: 12,   // Foot brake (m/s²)
+    handbrakeDeceleration: 18,
+    wetGripLoss: 0.4,        // Share of acceleration/braking lost on a fully wet road
+    rollingResistance: 0.8,  // Coasting slow-down (m/s²)
+    drag: 0.008,             // Air drag, grows with speed²
+    steerSpeed: 2.0,         // How fast the wheels reach the target angle (rad/s)
+    collisionRadius: 1.6,    // Circle used against building colliders
+    enterDistance: 6         // How close the player must be to re-enter a parked car
+};
+
+// Chase Camera Offsets
+const CHASE_DISTANCE = 7;
+const CHASE_HEIGHT = 3.2;
+const CHASE_LOOK_AHEAD = 4;
+const CHASE_STIFFNESS = 6; // Higher = camera sticks tighter to the car
+
+// Vehicle State (exported for HUD/other systems)
+export const vehicle = {
+    active: false,       // True while the player is driving
+    mesh: null,          // Car object (stays parked in the world after exiting)
+    position: new THREE.Vector3(),
+    heading: 0,
+    speed: 0,            // m/s, negative while reversing
+    steer: 0             // Current front wheel angle (positive = left)
+};
+
+// Reusable vectors (avoid per-frame allocations)
+const forward = new THREE.Vector3();
+const proposed = new THREE.Vector3();
+const chaseTarget = new THREE.Vector3();
+const lookTarget = new THREE.Vector3();
+
+/**
+ * Current speed in km/h (always positive).
+ */
+export function getVehicleSpeedKmh() {
+    return Math.abs(vehicle.speed) * 3.6;
+}
+
+/**
+ * Forward unit vector for a heading.
+ * @param {number} heading - Heading in radians
+ * @param {THREE.Vector3} target - Vector to write into
+ */
+export function headingToForward(heading, target = new THREE.Vector3()) {
+    return target.set(Math.sin(heading), 0, Math.cos(heading));
+}
+
+/**
+ * Puts the player into the car.
+ * Re-enters the parked car when it is close by, otherwise moves the car to
+ * the nearest lane of the road grid, pointing the way the player is looking.
+ *
+ * @param {THREE.Vector3} playerPosition - Where the player is standing
+ * @param {THREE.Vector3} lookDirection - Where the player is looking
+ */
+export function enterVehicle(playerPosition, lookDirection) {
+    if (!vehicle.mesh) {
+        vehicle.mesh = new Car(0xcc2222);
+        scene.add(vehicle.mesh);
+        placeOnNearestLane(playerPosition, lookDirection);
+    } else {
+        // Ground distance only (the player stands at eye height, the car sits on the road)
+        const dx = vehicle.position.x - playerPosition.x;
+        const dz = vehicle.position.z - playerPosition.z;
+        if (Math.hypot(dx, dz) > vehicleConfig.enterDistance) {
+            placeOnNearestLane(playerPosition, lookDirection);
+        }
+    }
+
+    vehicle.active = true;
+    vehicle.speed = 0;
+    vehicle.steer = 0;
+    syncMesh(0);
+
+    // Snap the camera straight to the chase position on entry
+    updateChaseCamera(1);
+}
+
+/**
+ * Takes the player out of the car.
+ * The car stays parked; the returned spot is beside the driver's door
+ * (right-hand drive) or the passenger side if the driver's side is blocked.
+ *
+ * @returns {THREE.Vector3} Where the player should stand
+ */
+export function exitVehicle() {
+    vehicle.active = false;
+    vehicle.speed = 0;
+
+    headingToForward(vehicle.heading, forward);
+    const left = new THREE.Vector3(forward.z, 0, -forward.x);
+
+    const exitSpot = vehicle.position.clone().addScaledVector(left, -2.2);
+    if (collidesWithBuildings(exitSpot, 1.0)) {
+        exitSpot.copy(vehicle.position).addScaledVector(left, 2.2);
+    }
+    return exitSpot;
+}
+
+/**
+ * Moves the car onto the closest road lane.
+ * Chooses the nearest road of the road network, then the travel direction
+ * closest to where the player is looking.
+ */
+function placeOnNearestLane(playerPosition, lookDirection) {
+    const nearest = getNearestLane(playerPosition, Math.atan2(lookDirection.x, lookDirection.z));
+    const inside = (v) => Math.max(-cityLimit + 5, Math.min(cityLimit - 5, v));
+
+    vehicle.position.set(inside(nearest.point.x), 0, inside(nearest.point.z));
+    vehicle.heading = nearest.lane.heading;
+}
+
+/**
+ * Approach a target value by at most `step`.
+ */
+function approach(value, target, step) {
+    if (value < target) return Math.min(value + step, target);
+    return Math.max(value - step, target);
+}
+
+/**
+ * Update car physics based on delta time.
+ *
+ * @param {number} delta - Time since last frame
+ * @param {Object} input - { throttle, brake, left, right, handbrake } booleans
+ */
+export function updateVehicle(delta, input) {
+    if (!vehicle.active) return;
+
+    const cfg = vehicleConfig;
+
+    // 1. Steering
+    // Full lock follows from the turning radius: tan(steer) = wheelBase / radius.
+    // Lock is reduced at speed so the car stays controllable.
+    const maxSteer = Math.atan(cfg.wheelBase / cfg.minTurnRadius);
+    const speedRatio = Math.min(1, Math.abs(vehicle.speed) / cfg.maxSpeed);
+    const steerLimit = maxSteer * (1 - 0.5 * speedRatio);
+    const steerTarget = (Number(input.left) - Number(input.right)) * steerLimit;
+    vehicle.steer = approach(vehicle.steer, steerTarget, cfg.steerSpeed * delta);
+
+    // 2. Longitudinal Forces
+    // W = gas (or brake while rolling backwards), S = brake (or reverse once stopped).
+    // Tyres grip less on a wet road (the slippery sign).
+    let speed = vehicle.speed;
+    const grip = 1 - cfg.wetGripLoss * weather.wetness;
+
+    if (input.throttle) {
+        if (speed < -0.1) speed = approach(speed, 0, cfg.brakeDeceleration * grip * delta);
+        else speed += cfg.acceleration * grip * delta;
+    }
+    if (input.brake) {
+        if (speed > 0.1) speed = approach(speed, 0, cfg.brakeDeceleration * grip * delta);
+        else speed -= cfg.acceleration * 0.6 * grip * delta;
+    }
+    if (input.handbrake) {
+        speed = approach(speed, 0, cfg.handbrakeDeceleration * grip * delta);
+    }
+
+    // Rolling resistance + air drag always pull towards zero
+    const resistance = cfg.rollingResistance + cfg.drag * speed * speed;
+    if (!input.throttle && !input.brake) {
+        speed = approach(speed, 0, resistance * delta);
+    } else {
+        speed = approach(speed, 0, cfg.drag * speed * speed * delta);
+    }
+
+    vehicle.speed = Math.max(-cfg.maxReverseSpeed, Math.min(cfg.maxSpeed, speed));
+
+    // 3. Yaw (Bicycle Model): yawRate = v / L * tan(steer)
+    vehicle.heading += (vehicle.speed / cfg.wheelBase) * Math.tan(vehicle.steer) * delta;
+
+    // 4. Move (with collision check)
+    headingToForward(vehicle.heading, forward);
+    const distance = vehicle.speed * delta;
+    proposed.copy(vehicle.position).addScaledVector(forward, distance);
+
+    if (collidesWithBuildings(proposed, cfg.collisionRadius)) {
+        // Try sliding along the wall on one axis before giving up
+        const slideX = proposed.clone().setZ(vehicle.position.z);
+        const slideZ = proposed.clone().setX(vehicle.position.x);
+
+        if (!collidesWithBuildings(slideX, cfg.collisionRadius)) {
+            proposed.copy(slideX);
+            vehicle.speed *= 0.7;
+        } else if (!collidesWithBuildings(slideZ, cfg.collisionRadius)) {
+            proposed.copy(slideZ);
+            vehicle.speed *= 0.7;
+        } else {
+            // Head-on impact: small bounce back
+            proposed.copy(vehicle.position);
+            vehicle.speed = -vehicle.speed * 0.2;
+        }
+    }
+
+    // Apply strict city boundaries (same limit as walking)
+    if (Math.abs(proposed.x) > cityLimit || Math.abs(proposed.z) > cityLimit) {
+        proposed.x = Math.max(-cityLimit, Math.min(cityLimit, proposed.x));
+        proposed.z = Math.max(-cityLimit, Math.min(cityLimit, proposed.z));
+        vehicle.speed = 0;
+    }
+
+    vehicle.position.copy(proposed);
+    syncMesh(distance);
+    updateChaseCamera(delta);
+}
+
+/**
+ * Copies the simulated state onto the car model.
+ */
+function syncMesh(distance) {
+    if (!vehicle.mesh) return;
+    vehicle.mesh.position.copy(vehicle.position);
+    vehicle.mesh.rotation.y = vehicle.heading;
+    vehicle.mesh.setSteer(vehicle.steer);
+    vehicle.mesh.spinWheels(distance);
+}
+
+/**
+ * Chase Camera
+ * Eases the camera towards a point behind and above the car, looking slightly ahead of it.
+ * @param {number} delta - Time since last frame (1 = snap instantly)
+ */
+function updateChaseCamera(delta) {
+    headingToForward(vehicle.heading, forward);
+
+    chaseTarget.copy(vehicle.position)
+        .addScaledVector(forward, -CHASE_DISTANCE)
+        .setY(CHASE_HEIGHT);
+
+    // Frame-rate independent smoothing
+    const t = 1 - Math.exp(-CHASE_STIFFNESS * delta);
+    camera.position.lerp(chaseTarget, t);
+
+    lookTarget.copy(vehicle.position)
+        .addScaledVector(forward, CHASE_LOOK_AHEAD)
+        .setY(1.2);
+    camera.lookAt(lookTarget);
+}
@@ -1,108 +1,78 @@
 /**
  * Building Configuration Data
- * 
- * Defines the layout of the city buildings.
+ *
+ * Defines the layout of the city buildings, from the level's `buildings` section (see levelData.js).
  * Uses a Grid System where buildings are placed at regular intervals.
- * 
+ *
  * Categories:
  * 1. Reserved Locations: Specific spots for landmarks (School, Parking).
  * 2. Skyscrapers: Fixed tall buildings at specific coordinates.
  * 3. Generated Buildings: Procedurally filled non-reserved spots.
  */
 
-// Define special reserved locations (Landmarks)
-// These coordinates are blocked from procedural generation.
-const reservedLocations = [
-    { x: 0, z: -40 },  // School Complex
-    { x: 40, z: -40 }, // Public Parking Lot
-];
-
-// Define skyscraper locations (Fixed Landmarks)
-// Tall buildings placed in clusters to form a "Downtown" look.
-export const skyscrapers = [
-    // Northwest cluster
-    { x: -80, z: 80, width: 14, height: 38, depth: 14, color: 0x9e9e9e },
-    { x: -40, z: 80, width: 14, height: 45, depth: 14, color: 0x757575 },
-    { x: -80, z: 40, width: 14, height: 35, depth: 14, color: 0x616161 },
+import { createRandom } from '../core/random.js';
 
-    // Southeast cluster
-    { x: 80, z: -80, width: 14, height: 42, depth: 14, color: 0x5d4037 },
-    { x: 40, z: -80, width: 14, height: 40, depth: 14, color: 0x6d4c41 },
+// Fixed buildings (Landmark skyscrapers)
+// Format: { x, z, width, height, depth, color }
+export const skyscrapers = [];
 
-    // Scattered High-rises
-    { x: 80, z: 80, width: 14, height: 36, depth: 14, color: 0x455a64 },
-    { x: -40, z: -80, width: 14, height: 33, depth: 14, color: 0x37474f },
+// Calculate Tree Offsets
+export const skyscraperTreeOffsets = [
+    { dx: 8, dz: 8 }, { dx: -8, dz: 8 },
+    { dx: 8, dz: -8 }, { dx: -8, dz: -8 },
+    { dx: 10, dz: 0 }, { dx: -10, dz: 0 }
 ];
 
+// Export split lists (we put all non-sky buildings in mediumBuildings for simplicity)
+export const roadsideBuildings = []; // Deprecated/Empty - we use pure grid now for safety
+export const mediumBuildings = [];
+
 /**
- * Helper to check if a specific grid coordinate is already occupied
- * by a reserved landmark or a fixed skyscraper.
+ * Fill the building lists for a level.
+ *
+ * Generated buildings fill every grid spot that is not reserved (landmarks) or taken
+ * by a fixed building. Sizes and colors come from a seeded stream, so the same seed
+ * always builds the same city.
+ *
+ * @param {Object} buildings - The level's `buildings` section:
+ *   { fixed: [...], generated: { grid, downtown: { halfSize, height }, outskirts: { height }, size, colors } }
+ * @param {Array<{x, z}>} reservedLocations - Spots kept free for landmarks
  */
-function isOccupied(x, z) {
-    // Check reserved list
-    if (reservedLocations.some(p => p.x === x && p.z === z)) return true;
-    // Check skyscrapers list
-    if (skyscrapers.some(p => p.x === x && p.z === z)) return true;
-    return false;
-}
-
-// Generate Standard Buildings (Medium/Small) for ALL empty block centers
-// Grid range: -120 to 120 (Covering the entire playable map area)
-const generatedBuildings = [];
-const gridRange = [-120, -80, -40, 0, 40, 80, 120];
+export function generateBuildings(buildings, reservedLocations) {
+    // Seeded stream for the generated building sizes and colors
+    const random = createRandom("buildingData");
+    const { grid, downtown, outskirts, size, colors } = buildings.generated;
+    const between = ([min, max]) => min + random() * (max - min);
 
-gridRange.forEach(x => {
-    gridRange.forEach(z => {
-        // Skip if occupied
-        if (isOccupied(x, z)) return;
+    skyscrapers.length = 0;
+    mediumBuildings.length = 0;
+    skyscrapers.push(...buildings.fixed);
 
-        // Determine building style based on region
-        let height;
+    // Grid spot already taken by a landmark or a fixed skyscraper?
+    const isOccupied = (x, z) =>
+        reservedLocations.some(p => p.x === x && p.z === z) ||
+        skyscrapers.some(p => p.x === x && p.z === z);
 
-        // Central area (taller)
-        if (Math.abs(x) <= 40 && Math.abs(z) <= 40) {
-            height = 20 + Math.random() * 10;
-        }
-        // Outskirts (shorter)
-        else {
-            height = 10 + Math.random() * 8;
-        }
+    grid.forEach(x => {
+        grid.forEach(z => {
+            // Skip if occupied
+            if (isOccupied(x, z)) return;
 
-        // Metropolitan Neutral Palette
-        const metroColors = [
-            0x808080, // Gray
-            0xA9A9A9, // DarkGray
-            0xC0C0C0, // Silver
-            0xD3D3D3, // LightGray
-            0x778899, // LightSlateGray
-            0x708090, // SlateGray
-            0x5F9EA0, // CadetBlue (Muted)
-            0xB0C4DE, // LightSteelBlue
-            0xE5E4E2, // Platinum
-            0xF5F5F5  // WhiteSmoke
-        ];
+            // Central area (taller), outskirts (shorter)
+            const isDowntown = Math.abs(x) <= downtown.halfSize && Math.abs(z) <= downtown.halfSize;
+            const height = between(isDowntown ? downtown.height : outskirts.height);
 
-        // Pick a random color from palette
-        const color = metroColors[Math.floor(Math.random() * metroColors.length)];
+            // Pick a random color from palette
+            const color = colors[Math.floor(random() * colors.length)];
 
-        generatedBuildings.push({
-            x: x,
-            z: z,
-            width: 12 + Math.random() * 2,
-            height: height,
-            depth: 12 + Math.random() * 2,
-            color: color
+            mediumBuildings.push({
+                x: x,
+                z: z,
+                width: between(size),
+                height: height,
+                depth: between(size),
+                color: color
+            });
         });
     });
-});
-
-// Calculate Tree Offsets
-export const skyscraperTreeOffsets = [
-    { dx: 8, dz: 8 }, { dx: -8, dz: 8 },
-    { dx: 8, dz: -8 }, { dx: -8, dz: -8 },
-    { dx: 10, dz: 0 }, { dx: -10, dz: 0 }
-];
-
-// Export split lists (we put all non-sky buildings in mediumBuildings for simplicity)
-export const roadsideBuildings = []; // Deprecated/Empty - we use pure grid now for safety
-export const mediumBuildings = generatedBuildings;
+}
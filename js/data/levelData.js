@@ -0,0 +1,329 @@
+/**
+ * Level Data Module
+ *
+ * Loads a level file (levels/<name>.json) that describes a whole city layout:
+ * 1. Roads: The road grid (spacing, extent, widths) and the city limit.
+ * 2. Landmarks: School, parking lot, ... with their colliders and tree-free areas.
+ * 3. Buildings: Fixed buildings plus the rules for filling the remaining grid spots.
+ * 4. Street Lamps, Signals (phase plans per junction) and Zebra Crossings.
+ * 5. Signs: Where every sign of the catalog stands (format documented in signData.js).
+ *
+ * The level is picked with `?level=<name>` in the page URL (default: "default", the original city).
+ * It is validated on load; any problem stops the game with a list of every problem. Once applied,
+ * the tables below and the building, signal and sign tables are filled from it; the world
+ * generators (initWorld, initLighting, initSignals, ...) build the city from those tables.
+ */
+
+import { checkSignPlacement, applySignPlacements, signConfigs, toSignPlacement } from './signData.js';
+import { SIGN_IDS } from './quizData.js';
+import { generateBuildings } from './buildingData.js';
+import { signalJunctions, defaultSignalTimings } from './signalData.js';
+import { LOCALES } from '../core/i18n.js';
+
+// Level folder and the level used when the URL names none (relative to index.html)
+export const LEVEL_FOLDER = "levels/";
+export const DEFAULT_LEVEL = "default";
+
+// Level format version understood by this loader
+export const LEVEL_VERSION = 1;
+
+// Level format:
+// {
+//    version: 1,
+//    name: { id, en },
+//    roads: { width, spacing, min, max, length, sidewalkWidth, curbHeight }, // Grid: centerlines min..max every `spacing`
+//    cityLimit: 130,                          // Player/vehicle boundary (+/-), beyond the last road
+//    spawn: { x, z },                         // Player start (without a save)
+//    landmarks: [{ type: "school" | "parking", x, z,
+//                  collider?: { width, depth },       // Blocks walking/driving
+//                  noTreeZone?: { x, z, width, depth }, // No decorative trees here
+//                  entrance?: { x, z } }],            // School only: where the students gather
+//    buildings: {
+//       fixed: [{ x, z, width, height, depth, color: "#9e9e9e" }],
+//       generated: { grid: [...], downtown: { halfSize, height: [min, max] },
+//                    outskirts: { height: [min, max] }, size: [min, max], colors: ["#808080", ...] }
+//    },
+//    lamps: [{ x, z, rotationDeg }],
+//    signals: { timings: { green, yellow, allRed, walk }, junctions: [...] }, // See signalData.js
+//    crossings: [{ xStart, xEnd, z }],        // Zebra crossings over North-South roads
+//    signs: [{ id, x, y, z, rotationDeg, scale, rule?, marking?, note? }]
+// }
+// Note: North is -Z. rotationDeg 0 faces South (+Z).
+
+const LANDMARK_TYPES = ["school", "parking"];
+const APPROACHES = ["north", "south", "east", "west"];
+
+// Level settings (filled in place by applyLevel)
+export const levelSettings = {
+    name: { id: "", en: "" },
+    roads: {},
+    cityLimit: 0,
+    spawn: { x: 0, z: 0 }
+};
+
+// Landmarks: { type, x, z, collider?, noTreeZone?, entrance? }
+export const landmarkConfigs = [];
+
+// Street lamps: { x, z, rotationY (radians) }
+export const lampConfigs = [];
+
+// Zebra crossings: { xStart, xEnd, z }
+export const crossingConfigs = [];
+
+// The level currently applied (null until loaded)
+let currentLevel = null;
+
+/**
+ * The level currently applied, or null before loading.
+ */
+export function getLevel() {
+    return currentLevel;
+}
+
+/**
+ * Record an error unless every listed field of `value` is a finite number.
+ */
+function checkNumbers(errors, where, value, fields) {
+    if (!value || typeof value !== "object") {
+        errors.push(`${where}: missing (expected ${fields.join(", ")})`);
+        return;
+    }
+    fields.forEach((field) => {
+        if (!Number.isFinite(value[field])) errors.push(`${where}: "${field}" must be a number`);
+    });
+}
+
+/**
+ * Record an error unless `value` is a [min, max] number range.
+ */
+function checkRange(errors, where, value) {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite) || value[0] > value[1]) {
+        errors.push(`${where}: must be a [min, max] range`);
+    }
+}
+
+function isHexColor(value) {
+    return /^#[0-9a-f]{6}$/i.test(value || "");
+}
+
+/**
+ * Collect the problems of the road grid and city limit.
+ */
+function checkRoads(errors, level) {
+    const roads = level.roads;
+    checkNumbers(errors, "Roads", roads, ["width", "spacing", "min", "max", "length", "sidewalkWidth", "curbHeight"]);
+    if (errors.length > 0) return;
+
+    if (roads.width <= 0 || roads.spacing <= roads.width) errors.push(`Roads: "spacing" must be larger than "width"`);
+    if (roads.min > roads.max || (roads.max - roads.min) % roads.spacing !== 0) {
+        errors.push(`Roads: "min" to "max" must be a whole number of "spacing" steps`);
+    }
+    if (!Number.isFinite(level.cityLimit) || level.cityLimit <= Math.max(Math.abs(roads.min), Math.abs(roads.max))) {
+        errors.push(`"cityLimit" must be a number beyond the outermost road`);
+    }
+    checkNumbers(errors, "Spawn", level.spawn, ["x", "z"]);
+}
+
+/**
+ * True when (x, z) is a junction of the level's road grid.
+ */
+function isOnGrid(roads, x, z) {
+    const onLine = (v) => v >= roads.min && v <= roads.max && (v - roads.min) % roads.spacing === 0;
+    return onLine(x) && onLine(z);
+}
+
+/**
+ * Check a parsed level without applying it. The sign catalog must already be applied
+ * (sign placements may only use known sign ids).
+ *
+ * @param {Object} level - Parsed level file
+ * @returns {Array<string>} Human-readable problems (empty if the level is valid)
+ */
+export function validateLevel(level) {
+    const errors = [];
+
+    if (!level || typeof level !== "object") return ["Level is not a JSON object"];
+    if (level.version !== LEVEL_VERSION) {
+        errors.push(`Unsupported level version ${level.version} (expected ${LEVEL_VERSION})`);
+    }
+    if (!level.name || !Object.keys(LOCALES).every((code) => typeof level.name[code] === "string")) {
+        errors.push(`"name" needs a text for every language (${Object.keys(LOCALES).join(", ")})`);
+    }
+
+    checkRoads(errors, level);
+    if (errors.length > 0) return errors; // Everything below is placed on the grid
+
+    // Landmarks
+    (Array.isArray(level.landmarks) ? level.landmarks : []).forEach((landmark, i) => {
+        const where = `Landmark ${i + 1}`;
+        if (!LANDMARK_TYPES.includes(landmark && landmark.type)) {
+            errors.push(`${where}: type must be one of ${LANDMARK_TYPES.join(", ")}`);
+            return;
+        }
+        checkNumbers(errors, where, landmark, ["x", "z"]);
+        if (landmark.collider !== undefined) checkNumbers(errors, `${where} collider`, landmark.collider, ["width", "depth"]);
+        if (landmark.noTreeZone !== undefined) checkNumbers(errors, `${where} noTreeZone`, landmark.noTreeZone, ["x", "z", "width", "depth"]);
+        if (landmark.entrance !== undefined) checkNumbers(errors, `${where} entrance`, landmark.entrance, ["x", "z"]);
+    });
+
+    // Buildings
+    const buildings = level.buildings || {};
+    if (!Array.isArray(buildings.fixed)) errors.push(`Buildings: "fixed" must be a list`);
+    (buildings.fixed || []).forEach((building, i) => {
+        checkNumbers(errors, `Building ${i + 1}`, building, ["x", "z", "width", "height", "depth"]);
+        if (building && !isHexColor(building.color)) errors.push(`Building ${i + 1}: "color" must be a hex color like "#9e9e9e"`);
+    });
+    const generated = buildings.generated;
+    if (!generated || !Array.isArray(generated.grid) || !generated.grid.every(Number.isFinite)) {
+        errors.push(`Buildings: "generated.grid" must be a list of coordinates`);
+    } else {
+        checkNumbers(errors, "Buildings downtown", generated.downtown, ["halfSize"]);
+        checkRange(errors, "Buildings downtown height", generated.downtown && generated.downtown.height);
+        checkRange(errors, "Buildings outskirts height", generated.outskirts && generated.outskirts.height);
+        checkRange(errors, "Buildings size", generated.size);
+        if (!Array.isArray(generated.colors) || generated.colors.length === 0 || !generated.colors.every(isHexColor)) {
+            errors.push(`Buildings: "generated.colors" must be a list of hex colors`);
+        }
+    }
+
+    // Street lamps
+    if (!Array.isArray(level.lamps)) errors.push(`"lamps" must be a list`);
+    (level.lamps || []).forEach((lamp, i) => checkNumbers(errors, `Lamp ${i + 1}`, lamp, ["x", "z", "rotationDeg"]));
+
+    // Signals
+    const signals = level.signals || {};
+    Object.keys(signals.timings || {}).forEach((key) => {
+        if (!(key in defaultSignalTimings) || !Number.isFinite(signals.timings[key])) {
+            errors.push(`Signal timings: "${key}" is not a known timing`);
+        }
+    });
+    (signals.junctions || []).forEach((junction, i) => {
+        const where = `Signal ${i + 1}`;
+        checkNumbers(errors, where, junction, ["x", "z"]);
+        if (junction && !isOnGrid(level.roads, junction.x, junction.z)) errors.push(`${where}: (${junction.x}, ${junction.z}) is not a junction`);
+        if (!junction || !Array.isArray(junction.phases) || junction.phases.length === 0) {
+            errors.push(`${where}: needs at least one phase`);
+            return;
+        }
+        junction.phases.forEach((phase, p) => {
+            if (!phase || !Array.isArray(phase.approaches) || phase.approaches.length === 0 ||
+                !phase.approaches.every((approach) => APPROACHES.includes(approach))) {
+                errors.push(`${where} phase ${p + 1}: "approaches" must list ${APPROACHES.join(", ")}`);
+            }
+        });
+    });
+
+    // Zebra crossings
+    (Array.isArray(level.crossings) ? level.crossings : []).forEach((crossing, i) => {
+        checkNumbers(errors, `Crossing ${i + 1}`, crossing, ["xStart", "xEnd", "z"]);
+        if (crossing && crossing.xStart >= crossing.xEnd) errors.push(`Crossing ${i + 1}: "xStart" must be less than "xEnd"`);
+    });
+
+    // Signs
+    if (!Array.isArray(level.signs)) errors.push(`"signs" must be a list`);
+    (level.signs || []).forEach((placement, i) => {
+        const where = `Sign ${i + 1}`;
+        if (!SIGN_IDS.includes(placement && placement.id)) errors.push(`${where}: unknown sign "${placement && placement.id}"`);
+        checkSignPlacement(errors, where, placement);
+    });
+
+    return errors;
+}
+
+/**
+ * Fill the level tables (and the building, signal and sign tables) from a validated level.
+ * The exported objects are updated in place, so existing imports see the new data.
+ *
+ * @param {Object} level - Level that passed validateLevel
+ */
+export function applyLevel(level) {
+    levelSettings.name = level.name;
+    levelSettings.roads = { ...level.roads };
+    levelSettings.cityLimit = level.cityLimit;
+    levelSettings.spawn = { ...level.spawn };
+
+    landmarkConfigs.length = 0;
+    landmarkConfigs.push(...(level.landmarks || []));
+
+    lampConfigs.length = 0;
+    level.lamps.forEach((lamp) => lampConfigs.push({ x: lamp.x, z: lamp.z, rotationY: (lamp.rotationDeg * Math.PI) / 180 }));
+
+    crossingConfigs.length = 0;
+    (level.crossings || []).forEach(({ xStart, xEnd, z }) => crossingConfigs.push({ xStart, xEnd, z }));
+
+    generateBuildings(level.buildings, landmarkConfigs);
+
+    const signals = level.signals || {};
+    Object.assign(defaultSignalTimings, signals.timings);
+    signalJunctions.length = 0;
+    signalJunctions.push(...(signals.junctions || []));
+
+    applySignPlacements(level.signs);
+    currentLevel = level;
+
+    // Catalog signs this level does not place cannot be found (missions stay open)
+    const placed = new Set(level.signs.map((placement) => placement.id));
+    SIGN_IDS.filter((id) => !placed.has(id)).forEach((id) => console.warn(`[level] Sign "${id}" is not placed in this level`));
+}
+
+/**
+ * The applied level with its signs, street lamps and zebra crossings taken from the
+ * current tables (which the level editor changes), ready to be saved as a level file.
+ * @returns {Object} Level in the file format above
+ */
+export function exportLevel() {
+    const round = (value) => Number(value.toFixed(2));
+    return {
+        ...currentLevel,
+        lamps: lampConfigs.map((lamp) => ({
+            x: round(lamp.x),
+            z: round(lamp.z),
+            rotationDeg: Number(((lamp.rotationY * 180) / Math.PI).toFixed(1))
+        })),
+        crossings: crossingConfigs.map(({ xStart, xEnd, z }) => ({ xStart: round(xStart), xEnd: round(xEnd), z: round(z) })),
+        signs: signConfigs.map(toSignPlacement)
+    };
+}
+
+/**
+ * Level named by `?level=<name>` in the page URL (letters, digits, - and _ only), else DEFAULT_LEVEL.
+ */
+export function getLevelName() {
+    const name = typeof location !== "undefined" ? new URLSearchParams(location.search).get("level") : null;
+    return name && /^[\w-]+$/.test(name) ? name : DEFAULT_LEVEL;
+}
+
+/**
+ * Level file of the level named in the page URL.
+ */
+export function getLevelUrl() {
+    return `${LEVEL_FOLDER}${getLevelName()}.json`;
+}
+
+/**
+ * Load, validate and apply a level. Must finish after the sign catalog and
+ * before the world is built.
+ *
+ * @param {string} url - Level location (defaults to the one named in the URL)
+ * @returns {Promise<Object>} The applied level
+ * @throws {Error} Listing every problem found, if the level is missing or invalid
+ */
+export async function loadLevel(url = getLevelUrl()) {
+    let level;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        level = await response.json();
+    } catch (error) {
+        throw new Error(`Level "${url}" could not be loaded (${error.message})`);
+    }
+
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+        errors.forEach((problem) => console.error(`[level] ${problem}`));
+        throw new Error(`Level "${url}" is invalid:\n- ${errors.join("\n- ")}`);
+    }
+
+    applyLevel(level);
+    return level;
+}
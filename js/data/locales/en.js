@@ -0,0 +1,144 @@
+/**
+ * English Locale Pack
+ *
+ * UI strings looked up by the I18n module (core/i18n.js).
+ * Placeholders like {count} are filled in by `t(key, params)`.
+ * Keys missing here fall back to id.js and are flagged in the console.
+ */
+
+export const strings = {
+    // Page & start overlay
+    "app.title": "Mini City 3D - First Person Explore",
+    "overlay.start": "Mini City - Explore the City (click the screen to start)",
+    "overlay.move": "Use <b>W A S D</b> to move, the <b>mouse</b> to look around, hold <b>Shift</b> to sprint",
+    "overlay.time": "Press <b>1</b>=Morning, <b>2</b>=Noon, <b>3</b>=Dusk, <b>4</b>=Night, <b>N</b>=Auto, <b>H</b>=Weather",
+    "overlay.modes": "Press <b>C</b> to get in/out of the car, <b>Space</b>=Handbrake, <b>R</b>=Review, <b>U</b>=Licence exam, <b>L</b>=Change language, <b>E</b>=Level editor",
+    "app.loadFailed": "Failed to load the game: {message}",
+
+    // HUD
+    "hud.score": "Score: {points} / {max}",
+    "hud.mission": "Mission: Learn all signs ({done}/{total})",
+    "hud.missionDone": "Mission: All signs learned! ✅",
+    "hud.checklistTitle": "Sign Progress",
+    "hud.loading": "Loading...",
+    "hud.done": "Done",
+    "hud.pending": "Pending",
+    "hud.hintIdle": "Walk up to a sign and click it to see the sign & quiz",
+    "hud.hintClick": "Click to View Sign & Quiz",
+    "hud.violations": "Violations ({count})",
+    "hud.reviewsDue": "Reviews due: {count} (press R)",
+    "hud.nextReview": "Next review in {wait}",
+    "hud.waitMinutes": "{n} min",
+    "hud.waitHours": "{n} h",
+    "hud.waitDays": "{n} d",
+    "hud.reviewButton": "Review",
+    "hud.examButton": "Licence Exam",
+    "hud.language": "Language",
+    "hud.graphics": "Graphics",
+    "hud.seed": "{level} · city seed: {seed}",
+    "hud.seedHint": "Share this link so everyone sees the same city",
+
+    // Graphics quality
+    "graphics.low": "Low",
+    "graphics.medium": "Medium",
+    "graphics.high": "High",
+    "graphics.auto": "Auto ({level})",
+    "graphics.hint": "Auto adjusts the quality to keep the game smooth. Edge smoothing (antialiasing) changes after reloading the page.",
+
+    // Weather
+    "weather.clear": "Clear",
+    "weather.rain": "Rain",
+    "weather.fog": "Heavy fog",
+    "weather.wetRoad": "slippery road",
+
+    // Save panel
+    "save.export": "Export Progress",
+    "save.import": "Import Progress",
+    "save.importSuccess": "Progress imported.",
+    "save.importFailed": "Importing progress failed: {message}",
+    "save.errorNoVersion": "The file is not valid progress data (no version found).",
+    "save.errorTooNew": "The progress data version ({version}) is newer than this game ({current}).",
+    "save.errorNoMigration": "There is no migration for progress data version {version}.",
+    "save.errorInvalidJson": "The file does not contain valid JSON.",
+
+    // Level editor
+    "editor.title": "Level Editor",
+    "editor.tool": "Place: {name}",
+    "editor.lamp": "Street lamp",
+    "editor.crossing": "Zebra crossing",
+    "editor.noSelection": "Nothing selected",
+    "editor.selected": "Selected: {name} (X {x}, Z {z}, {rotation}°)",
+    "editor.selectedCrossing": "Selected: {name} (X {x}, Z {z})",
+    "editor.help": "<b>[ ]</b>=Change type, <b>F</b>=Place where you look, <b>Click</b>=Select, <b>G</b>=Move, <b>Z X</b>=Rotate, <b>Delete</b>=Remove, <b>Esc</b>=Free the mouse to export",
+    "editor.export": "Export Level",
+    "editor.close": "Close (E)",
+    "editor.exportInvalid": "The level can't be exported yet:\n- {problems}",
+    "editor.exportWarnings": "Some signs are misplaced:\n- {problems}\n\nExport anyway?",
+
+    // Sign popup
+    "popup.defaultTitle": "Traffic Sign",
+    "popup.noInfo": "Detailed information for this sign is not available yet.",
+    "popup.imageAlt": "Sign",
+    "popup.startQuiz": "Start Quiz",
+
+    // Quiz
+    "quiz.noData": "No quiz available yet.",
+    "quiz.check": "Check Answers",
+    "quiz.pickAll": "(Choose every correct answer)",
+    "quiz.pickOrder": "(Choose the order 1 - {count})",
+    "quiz.optionAlt": "Option {n}",
+    "quiz.true": "True",
+    "quiz.false": "False",
+    "quiz.unanswered": "(Not answered)",
+    "quiz.resultTitle": "Quiz Results",
+    "quiz.score": "<b>{correct}</b> of <b>{total}</b> questions correct.",
+    "quiz.yourAnswer": "Your answer",
+    "quiz.answerKey": "Answer key",
+    "quiz.explanation": "Explanation",
+    "quiz.reference": "Reference",
+    "quiz.backToInfo": "Back to Info",
+    "quiz.close": "Close",
+
+    // Review mode
+    "review.title": "Sign Review",
+    "review.nothingDue": "Nothing to review right now. Come back later!",
+    "review.resultTitle": "Review Results",
+
+    // Exam mode
+    "exam.title": "Driving Licence Exam (Theory)",
+    "exam.intro": "{count} questions. You pass with at least {pass}% correct. Answers are only graded after you submit.",
+    "exam.submit": "Submit Answers",
+    "exam.timeLeft": "Time left: {time}",
+    "exam.resultTitle": "Licence Exam Results",
+    "exam.passed": "PASSED",
+    "exam.failed": "FAILED",
+    "exam.category": "Category",
+    "exam.otherCategory": "Other",
+    "exam.correct": "Correct",
+
+    // Traffic-rule violations
+    "rules.speedLimit": "Exceeded the {limit} km/h speed limit ({speed} km/h)",
+    "rules.stop": "Did not come to a full stop before the STOP line",
+    "rules.noLeftTurn": "Turned left at a junction where left turns are forbidden",
+    "rules.noRightTurn": "Turned right at a junction where right turns are forbidden",
+    "rules.noParking": "Stopped/parked in a No Parking area",
+
+    // Sign placement check
+    "signCheck.onRoad": "{sign} at X {x}, Z {z} stands on the asphalt.",
+    "signCheck.offRoad": "{sign} at X {x}, Z {z} is not on a sidewalk.",
+    "signCheck.building": "{sign} at X {x}, Z {z} stands inside a building.",
+    "signCheck.wrongSide": "{sign} at X {x}, Z {z} is on the wrong side of the road for {dir} traffic (traffic keeps left).",
+    "signCheck.facing": "{sign} at X {x}, Z {z} faces {facing}, but the drivers coming towards it need it to face {expected}.",
+    "signCheck.occluded": "{sign} at X {x}, Z {z} is hidden behind buildings for {dir} traffic.",
+    "signCheck.fixMove": "Suggested fix: move it to X {x}, Z {z}.",
+    "signCheck.fixRotate": "Suggested fix: set rotationDeg to {rotation}.",
+    "signCheck.fixNone": "Suggested fix: move it to a sidewalk next to its lane.",
+    "signCheck.dir.north": "northbound",
+    "signCheck.dir.south": "southbound",
+    "signCheck.dir.east": "eastbound",
+    "signCheck.dir.west": "westbound",
+    "signCheck.face.north": "north",
+    "signCheck.face.south": "south",
+    "signCheck.face.east": "east",
+    "signCheck.face.west": "west"
+};
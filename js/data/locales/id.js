@@ -0,0 +1,144 @@
+/**
+ * Indonesian Locale Pack (default)
+ *
+ * UI strings looked up by the I18n module (core/i18n.js).
+ * Placeholders like {count} are filled in by `t(key, params)`.
+ * Every key here must also exist in en.js.
+ */
+
+export const strings = {
+    // Page & start overlay
+    "app.title": "Mini City 3D - Jelajahi Kota",
+    "overlay.start": "Mini City - Jelajahi Kota (klik layar untuk mulai)",
+    "overlay.move": "Gunakan <b>W A S D</b> untuk bergerak, <b>mouse</b> untuk melihat, tekan <b>Shift</b> untuk sprint",
+    "overlay.time": "Tekan <b>1</b>=Pagi, <b>2</b>=Siang, <b>3</b>=Senja, <b>4</b>=Malam, <b>N</b>=Auto, <b>H</b>=Cuaca",
+    "overlay.modes": "Tekan <b>C</b> untuk naik/turun mobil, <b>Spasi</b>=Rem tangan, <b>R</b>=Review soal, <b>U</b>=Ujian SIM, <b>L</b>=Ganti bahasa, <b>E</b>=Editor level",
+    "app.loadFailed": "Gagal memuat game: {message}",
+
+    // HUD
+    "hud.score": "Skor: {points} / {max}",
+    "hud.mission": "Misi: Pelajari semua rambu ({done}/{total})",
+    "hud.missionDone": "Misi: Semua rambu sudah dipelajari! ✅",
+    "hud.checklistTitle": "Progress Rambu",
+    "hud.loading": "Memuat...",
+    "hud.done": "Selesai",
+    "hud.pending": "Belum",
+    "hud.hintIdle": "Dekati rambu dan klik untuk melihat rambu & kuis",
+    "hud.hintClick": "Klik untuk melihat rambu & kuis",
+    "hud.violations": "Pelanggaran ({count})",
+    "hud.reviewsDue": "Review jatuh tempo: {count} (tekan R)",
+    "hud.nextReview": "Review berikutnya dalam {wait}",
+    "hud.waitMinutes": "{n} menit",
+    "hud.waitHours": "{n} jam",
+    "hud.waitDays": "{n} hari",
+    "hud.reviewButton": "Review",
+    "hud.examButton": "Ujian SIM",
+    "hud.language": "Bahasa",
+    "hud.graphics": "Grafis",
+    "hud.seed": "{level} · seed kota: {seed}",
+    "hud.seedHint": "Bagikan tautan ini agar semua melihat kota yang sama",
+
+    // Graphics quality
+    "graphics.low": "Rendah",
+    "graphics.medium": "Sedang",
+    "graphics.high": "Tinggi",
+    "graphics.auto": "Otomatis ({level})",
+    "graphics.hint": "Otomatis menyesuaikan kualitas agar permainan tetap lancar. Penghalusan tepi (antialiasing) berubah setelah halaman dimuat ulang.",
+
+    // Weather
+    "weather.clear": "Cerah",
+    "weather.rain": "Hujan",
+    "weather.fog": "Kabut tebal",
+    "weather.wetRoad": "jalan licin",
+
+    // Save panel
+    "save.export": "Ekspor Progres",
+    "save.import": "Impor Progres",
+    "save.importSuccess": "Progres berhasil diimpor.",
+    "save.importFailed": "Gagal mengimpor progres: {message}",
+    "save.errorNoVersion": "File bukan data progres yang valid (versi tidak ditemukan).",
+    "save.errorTooNew": "Versi data progres ({version}) lebih baru dari game ini ({current}).",
+    "save.errorNoMigration": "Tidak ada migrasi untuk data progres versi {version}.",
+    "save.errorInvalidJson": "File tidak berisi JSON yang valid.",
+
+    // Level editor
+    "editor.title": "Editor Level",
+    "editor.tool": "Pasang: {name}",
+    "editor.lamp": "Lampu jalan",
+    "editor.crossing": "Zebra cross",
+    "editor.noSelection": "Belum ada yang dipilih",
+    "editor.selected": "Dipilih: {name} (X {x}, Z {z}, {rotation}°)",
+    "editor.selectedCrossing": "Dipilih: {name} (X {x}, Z {z})",
+    "editor.help": "<b>[ ]</b>=Ganti jenis, <b>F</b>=Pasang di titik yang dilihat, <b>Klik</b>=Pilih, <b>G</b>=Pindahkan, <b>Z X</b>=Putar, <b>Delete</b>=Hapus, <b>Esc</b>=Lepas mouse untuk ekspor",
+    "editor.export": "Ekspor Level",
+    "editor.close": "Tutup (E)",
+    "editor.exportInvalid": "Level belum bisa diekspor:\n- {problems}",
+    "editor.exportWarnings": "Beberapa rambu salah tempat:\n- {problems}\n\nTetap ekspor?",
+
+    // Sign popup
+    "popup.defaultTitle": "Rambu Lalu Lintas",
+    "popup.noInfo": "Informasi detail untuk rambu ini belum tersedia.",
+    "popup.imageAlt": "Rambu",
+    "popup.startQuiz": "Mulai Kuis",
+
+    // Quiz
+    "quiz.noData": "Data kuis belum tersedia.",
+    "quiz.check": "Cek Jawaban",
+    "quiz.pickAll": "(Pilih semua jawaban yang benar)",
+    "quiz.pickOrder": "(Pilih urutan 1 - {count})",
+    "quiz.optionAlt": "Pilihan {n}",
+    "quiz.true": "Benar",
+    "quiz.false": "Salah",
+    "quiz.unanswered": "(Tidak dijawab)",
+    "quiz.resultTitle": "Hasil Kuis",
+    "quiz.score": "Benar <b>{correct}</b> dari <b>{total}</b> soal.",
+    "quiz.yourAnswer": "Jawab",
+    "quiz.answerKey": "Kunci",
+    "quiz.explanation": "Pembahasan",
+    "quiz.reference": "Dasar",
+    "quiz.backToInfo": "Kembali ke Info",
+    "quiz.close": "Tutup",
+
+    // Review mode
+    "review.title": "Review Rambu",
+    "review.nothingDue": "Belum ada soal yang perlu diulang sekarang. Kembali lagi nanti!",
+    "review.resultTitle": "Hasil Review",
+
+    // Exam mode
+    "exam.title": "Ujian SIM (Teori)",
+    "exam.intro": "{count} soal. Lulus jika benar minimal {pass}%. Jawaban baru dinilai setelah dikumpulkan.",
+    "exam.submit": "Kumpulkan Jawaban",
+    "exam.timeLeft": "Sisa waktu: {time}",
+    "exam.resultTitle": "Hasil Ujian SIM",
+    "exam.passed": "LULUS",
+    "exam.failed": "TIDAK LULUS",
+    "exam.category": "Kategori",
+    "exam.otherCategory": "Lainnya",
+    "exam.correct": "Benar",
+
+    // Traffic-rule violations
+    "rules.speedLimit": "Melebihi batas kecepatan {limit} km/jam ({speed} km/jam)",
+    "rules.stop": "Tidak berhenti penuh sebelum garis STOP",
+    "rules.noLeftTurn": "Belok kiri di persimpangan yang dilarang belok kiri",
+    "rules.noRightTurn": "Belok kanan di persimpangan yang dilarang belok kanan",
+    "rules.noParking": "Berhenti/parkir di area Dilarang Parkir",
+
+    // Sign placement check
+    "signCheck.onRoad": "{sign} di X {x}, Z {z} berdiri di atas aspal.",
+    "signCheck.offRoad": "{sign} di X {x}, Z {z} tidak berada di trotoar.",
+    "signCheck.building": "{sign} di X {x}, Z {z} berada di dalam gedung.",
+    "signCheck.wrongSide": "{sign} di X {x}, Z {z} berada di sisi jalan yang salah untuk lalu lintas {dir} (lalu lintas lajur kiri).",
+    "signCheck.facing": "{sign} di X {x}, Z {z} menghadap ke {facing}, padahal pengemudi yang datang membutuhkannya menghadap ke {expected}.",
+    "signCheck.occluded": "{sign} di X {x}, Z {z} tertutup gedung bagi lalu lintas {dir}.",
+    "signCheck.fixMove": "Saran perbaikan: pindahkan ke X {x}, Z {z}.",
+    "signCheck.fixRotate": "Saran perbaikan: ubah rotationDeg menjadi {rotation}.",
+    "signCheck.fixNone": "Saran perbaikan: pindahkan ke trotoar di samping lajurnya.",
+    "signCheck.dir.north": "arah utara",
+    "signCheck.dir.south": "arah selatan",
+    "signCheck.dir.east": "arah timur",
+    "signCheck.dir.west": "arah barat",
+    "signCheck.face.north": "utara",
+    "signCheck.face.south": "selatan",
+    "signCheck.face.east": "timur",
+    "signCheck.face.west": "barat"
+};
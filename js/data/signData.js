@@ -1,150 +1,393 @@
 /**
  * Sign Data Module
- * 
- * Central repository for all Traffic Sign configurations.
- * Contains:
- * 1. World Placement Data: Exact XYZ coordinates, rotation, and type for each physical sign.
- * 2. Texture Mappings: Links internal IDs (e.g., 'stop') to file paths.
- * 3. UI/Popup Data: Educational content associated with each sign.
+ *
+ * Loads the sign catalog (data/signs.json), the single manifest that fully describes every sign:
+ * 1. Texture: Image file for the 3D board (and the popup, unless `popupImage` is set).
+ * 2. Text: Checklist label, popup title and description (Indonesian + English).
+ * 3. Category: Official sign category (larangan/peringatan/petunjuk), used for exam breakdowns.
+ * 4. Quiz: The sign's question pool (format documented in quizData.js).
+ *
+ * Where the signs stand is part of the level (levels/*.json, see levelData.js). Its placement
+ * format is defined and checked here: regulatory signs also carry a `rule` describing the road
+ * zone they govern, and may ask for the road `marking` that goes with them.
+ *
+ * The catalog is validated on load; any missing texture or quiz stops the game
+ * with a list of every problem. Once applied, the lookup tables below (and SIGN_IDS / quizData
+ * in quizData.js) are filled from it, so every module reads the same catalog.
  */
 
-// Sign placement configurations
-// Format: { id, x, y, z, rotationY, scale }
-export const signConfigs = [
-    // 1. PARKING - Parking Lot Area (East side)
-    // Faces West (Rotation -PI) so drivers entering from the West can see it.
-    { id: "parking", x: 40, y: 0, z: -29, rotationY: -Math.PI, scale: 1.0 },
-
-    // 2. SCHOOL ZONE - Near School (West side)
-    // Faces East (Rotation PI) for drivers coming from the East.
-    { id: "schoolzone", x: 27, y: 0, z: -41, rotationY: Math.PI, scale: 1.0 },
-
-    // 3. NO PARKING - Downtown Vertical Road
-    // Faces North (Rotation 0) 
-    { id: "noparking", x: 53, y: 0, z: 73, rotationY: 0, scale: 1.0 },
-
-    // 4. SPEED LIMIT 40 - City Entrance
-    // Faces West (Rotation PI) for incoming traffic.
-    { id: "speedlimit", x: -13.5, y: 0, z: 40, rotationY: Math.PI, scale: 1.0 },
-
-    // 5. STOP - Main Intersection
-    // Faces South (Rotation 0) forcing Northbound traffic to stop.
-    { id: "stop", x: 13.5, y: 0, z: -7, rotationY: 0, scale: 1.0 },
-
-    // 6. INTERSECTION T-Junction Warning
-    // Faces North (Rotation -PI/2) for Westbound traffic.
-    { id: "intersection", x: -33, y: 0, z: -66.5, rotationY: -Math.PI / 2, scale: 1.0 },
-
-    // 7. NO LEFT TURN
-    // Faces East (Rotation -PI/2) preventing Northbound traffic from turning left.
-    { id: "noleft", x: -29, y: 0, z: -27, rotationY: -Math.PI / 2, scale: 1.0 },
-
-    // 8. NO RIGHT TURN
-    // Faces West (Rotation -PI) preventing Southbound traffic from turning right.
-    { id: "noright", x: 66.5, y: 0, z: -70, rotationY: -Math.PI, scale: 1.0 },
-
-    // 9. NO OVERTAKE - Narrow Road
-    // Faces South (Rotation PI) for Northbound traffic.
-    { id: "noovertake", x: 106.5, y: 0, z: 0, rotationY: Math.PI, scale: 1.0 },
-
-    // 10. SLIPPERY ROAD
-    // Faces East (Rotation -PI) for Westbound traffic.
-    { id: "slippery", x: 66.5, y: 0, z: 39, rotationY: -Math.PI, scale: 1.0 },
-];
-
-// Sign Texture Paths
-// Maps the 'id' to the actual image file located in the 'images/' directory.
-export const signTextures = {
-    parking: "images/rambu_parking.png",
-    schoolzone: "images/rambu_school.png",
-    noparking: "images/rambu_noparking.png",
-    speedlimit: "images/rambu_speed40.png",
-    stop: "images/rambu_stop.png",
-    intersection: "images/rambu_intersection.png",
-    noleft: "images/rambu_noleft.png",
-    noright: "images/rambu_noright.png",
-    noovertake: "images/rambu_noovertake.png",
-    slippery: "images/rambu_slippery.png"
-};
-
-// Sign popup information (title, description, popup image)
-export const signPopupInfo = {
-    parking: {
-        title: "Rambu Parkir (P)",
-        desc: "Rambu ini menandakan area yang diperbolehkan untuk parkir kendaraan. Pengendara boleh berhenti dan memarkirkan kendaraannya.",
-        img: "images/rambu_parking.png"
-    },
-    schoolzone: {
-        title: "Rambu School Zone",
-        desc: "Rambu peringatan area sekolah. Kurangi kecepatan dan waspada terhadap anak-anak yang menyeberang.",
-        img: "images/rambu_school.png"
-    },
-    noparking: {
-        title: "Rambu Dilarang Parkir",
-        desc: "Rambu ini melarang kendaraan parkir di area tersebut. Dilarang meninggalkan kendaraan dalam keadaan mati.",
-        img: "images/rambu_noparking.png"
-    },
-    speedlimit: {
-        title: "Batas Kecepatan 40",
-        desc: "Kendaraan dilarang melaju lebih dari 40 km/jam di area ini demi keselamatan.",
-        img: "images/rambu_speed40.png"
-    },
-    stop: {
-        title: "Rambu STOP",
-        desc: "Pengendara WAJIB berhenti sejenak di garis stop, tengok kanan-kiri, dan jalan hanya jika aman.",
-        img: "images/rambu_stop.png"
-    },
-    intersection: {
-        title: "Persimpangan T",
-        desc: "Peringatan akan ada persimpangan tiga di depan. Kurangi kecepatan dan siap-siap berbelok.",
-        img: "images/rambu_intersection.png"
-    },
-    noleft: {
-        title: "Dilarang Belok Kiri",
-        desc: "Pengendara dilarang membelok ke kiri di persimpangan ini.",
-        img: "images/rambu_noleft.png"
-    },
-    noright: {
-        title: "Dilarang Belok Kanan",
-        desc: "Pengendara dilarang membelok ke kanan di persimpangan ini.",
-        img: "images/rambu_noright.png"
-    },
-    noovertake: {
-        title: "Dilarang Mendahului",
-        desc: "Dilarang menyalip kendaraan lain di jalur ini karena berbahaya (misal tikungan atau tanjakan).",
-        img: "images/rambu_noovertake.png"
-    },
-    slippery: {
-        title: "Jalan Licin",
-        desc: "Permukaan jalan licin. Kurangi kecepatan dan hindari pengereman mendadak.",
-        img: "images/rambu_slippery.png"
-    }
-};
-
-// Label map for checklist display
-export const labelMap = {
-    parking: "Rambu Parkir (P)",
-    schoolzone: "School Zone",
-    noparking: "Dilarang Parkir",
-    speedlimit: "Batas Kecepatan 40",
-    stop: "STOP",
-    intersection: "Persimpangan T",
-    noleft: "Dilarang Belok Kiri",
-    noright: "Dilarang Belok Kanan",
-    noovertake: "Dilarang Mendahului",
-    slippery: "Jalan Licin"
-};
+import { SIGN_IDS, quizData } from './quizData.js';
+import { LOCALES } from '../core/i18n.js';
+
+// Default catalog location (relative to index.html)
+export const SIGN_CATALOG_URL = "data/signs.json";
+
+// Catalog format version understood by this loader
+export const SIGN_CATALOG_VERSION = 2;
+
+// Catalog format:
+// {
+//    version: 2,
+//    categories: { larangan: { id, en }, ... },   // Display names of the sign categories
+//    signs: [
+//       {
+//          id: "stop",
+//          category: "larangan",
+//          texture: "images/rambu_stop.png",
+//          popupImage: "images/...",             // Optional, defaults to `texture`
+//          label: { id, en },                    // Checklist / violation feed name
+//          title: { id, en }, desc: { id, en },  // Info popup
+//          minimapColor: "#cc0000",
+//          quiz: [ ...questions ]                // At least one
+//       }
+//    ]
+// }
+//
+// Placement format (entries of a level's `signs` list):
+// { id, x, y, z, rotationDeg, scale, rule?, marking?, note? }
+//
+// Rule format (checked every frame by world/rules.js while driving):
+// {
+//    type: "speedLimit" | "stop" | "noTurn" | "noParking",
+//    zone: { x, z, width, depth },      // Axis-aligned road area (center + size, like building colliders)
+//    approach: "north" | "south" | "east" | "west", // Optional: only traffic heading this way is checked
+//    limitKmh: 40,                      // speedLimit only
+//    turn: "left" | "right",            // noTurn only
+//    maxStopSeconds: 45                 // noParking only (long enough to drop off a passenger)
+// }
+//
+// Marking format (painted by the road next to the sign, see world/buildings.js):
+// {
+//    type: "stopLine" | "solidCenterLine",
+//    approach: "north" | "south" | "east" | "west" // stopLine only: the lane that stops at the next junction
+// }
+// "solidCenterLine" makes the centre line solid between the two junctions around the sign.
+// Every "stop" sign gets a stop line without asking (for its rule's approach, otherwise the
+// traffic it faces); a "stopLine" marking overrides that approach.
+// Note: North is -Z. Traffic keeps LEFT. rotationDeg 0 faces South (+Z).
+
+const RULE_TYPES = ["speedLimit", "stop", "noTurn", "noParking"];
+const APPROACHES = ["north", "south", "east", "west"];
+const MARKING_TYPES = ["stopLine", "solidCenterLine"];
+const QUESTION_TYPES = ["mcq", "image", "truefalse", "multi", "order"];
+
+// Sign placement configurations (one entry per placement, filled from the level)
+// Format: { id, x, y, z, rotationY (radians), scale, rule?, marking? }
+export const signConfigs = [];
+
+// Sign Texture Paths: signId -> image file in the 'images/' directory
+export const signTextures = {};
+
+// Sign popup information: signId -> { title, desc, img }
+// Text fields are { id, en } maps, picked with localize() from core/i18n.js
+export const signPopupInfo = {};
+
+// Label map for checklist display ({ id, en } maps)
+export const labelMap = {};
 
 // Minimap colors for each sign
-export const minimapColors = {
-    parking: "#00aaff",
-    schoolzone: "#ffd400",
-    noparking: "#ff4d4d",
-    speedlimit: "#ffffff",
-    stop: "#cc0000",
-    intersection: "#ffaa00",
-    noleft: "#ff6699",
-    noright: "#ff66cc",
-    noovertake: "#ff9999",
-    slippery: "#ffcc00"
-};
+export const minimapColors = {};
+
+// Sign category for each sign (Indonesian sign classes)
+export const signCategories = {};
+
+// Display names of the sign categories
+export const categoryLabels = {};
+
+// The catalog currently applied (null until loaded)
+let currentCatalog = null;
+
+/**
+ * The catalog currently applied, or null before loading.
+ */
+export function getSignCatalog() {
+    return currentCatalog;
+}
+
+/**
+ * Collect the problems of a localized text field (must be a { id, en } map).
+ */
+function checkText(errors, where, value) {
+    if (!value || typeof value !== "object") {
+        errors.push(`${where}: missing text (expected { ${Object.keys(LOCALES).join(", ")} })`);
+        return;
+    }
+    Object.keys(LOCALES).forEach((code) => {
+        if (typeof value[code] !== "string" || value[code] === "") {
+            errors.push(`${where}: missing "${code}" translation`);
+        }
+    });
+}
+
+/**
+ * Collect the problems of one placement (position, facing, optional marking and rule).
+ * Used by the level loader for the level's `signs` list.
+ */
+export function checkSignPlacement(errors, where, placement) {
+    if (!placement || typeof placement !== "object") {
+        errors.push(`${where}: not an object`);
+        return;
+    }
+    ["x", "z", "rotationDeg"].forEach((field) => {
+        if (!Number.isFinite(placement[field])) errors.push(`${where}: "${field}" must be a number`);
+    });
+    ["y", "scale"].forEach((field) => {
+        if (placement[field] !== undefined && !Number.isFinite(placement[field])) {
+            errors.push(`${where}: "${field}" must be a number`);
+        }
+    });
+
+    const marking = placement.marking;
+    if (marking !== undefined) {
+        if (!marking || !MARKING_TYPES.includes(marking.type)) {
+            errors.push(`${where}: marking type must be one of ${MARKING_TYPES.join(", ")}`);
+        } else if (marking.type === "stopLine" && !APPROACHES.includes(marking.approach)) {
+            errors.push(`${where}: stopLine marking needs an "approach" (${APPROACHES.join(", ")})`);
+        }
+    }
+
+    const rule = placement.rule;
+    if (rule === undefined) return;
+
+    if (!RULE_TYPES.includes(rule.type)) {
+        errors.push(`${where}: rule type "${rule.type}" is not one of ${RULE_TYPES.join(", ")}`);
+    }
+    const zone = rule.zone;
+    if (!zone || !["x", "z", "width", "depth"].every((field) => Number.isFinite(zone[field]))) {
+        errors.push(`${where}: rule zone needs numeric x, z, width and depth`);
+    }
+    if (rule.approach !== undefined && !APPROACHES.includes(rule.approach)) {
+        errors.push(`${where}: rule approach "${rule.approach}" is not one of ${APPROACHES.join(", ")}`);
+    }
+    if (rule.type === "speedLimit" && !(rule.limitKmh > 0)) {
+        errors.push(`${where}: speedLimit rule needs a positive "limitKmh"`);
+    }
+    if (rule.type === "noTurn" && rule.turn !== "left" && rule.turn !== "right") {
+        errors.push(`${where}: noTurn rule needs "turn": "left" or "right"`);
+    }
+    if (rule.type === "noParking" && !(rule.maxStopSeconds > 0)) {
+        errors.push(`${where}: noParking rule needs a positive "maxStopSeconds"`);
+    }
+}
+
+/**
+ * Collect the problems of one quiz question (see the format in quizData.js).
+ */
+function checkQuestion(errors, where, item, signIds) {
+    if (!item || typeof item !== "object") {
+        errors.push(`${where}: not an object`);
+        return;
+    }
+    const type = item.type || "mcq";
+    if (!QUESTION_TYPES.includes(type)) {
+        errors.push(`${where}: question type "${type}" is not one of ${QUESTION_TYPES.join(", ")}`);
+        return;
+    }
+
+    checkText(errors, `${where} question`, item.q);
+    checkText(errors, `${where} explanation`, item.e);
+    if (item.ref !== undefined && typeof item.ref !== "string") {
+        errors.push(`${where}: "ref" must be a string`);
+    }
+
+    if (type === "truefalse") {
+        if (typeof item.c !== "boolean") errors.push(`${where}: truefalse answer "c" must be true or false`);
+        return;
+    }
+
+    if (!Array.isArray(item.a) || item.a.length < 2) {
+        errors.push(`${where}: needs at least 2 options in "a"`);
+        return;
+    }
+    item.a.forEach((option, i) => {
+        if (type !== "image") {
+            checkText(errors, `${where} option ${i}`, option);
+        } else if (!signIds.includes(option)) {
+            errors.push(`${where} option ${i}: unknown sign "${option}"`);
+        }
+    });
+
+    const isIndex = (value) => Number.isInteger(value) && value >= 0 && value < item.a.length;
+    if ((type === "mcq" || type === "image") && !isIndex(item.c)) {
+        errors.push(`${where}: answer "c" must be an option index (0-${item.a.length - 1})`);
+    }
+    if (type === "multi" && (!Array.isArray(item.c) || item.c.length === 0 || !item.c.every(isIndex))) {
+        errors.push(`${where}: multi answer "c" must be a non-empty list of option indexes`);
+    }
+}
+
+/**
+ * Check a parsed catalog without applying it.
+ *
+ * @param {Object} catalog - Parsed data/signs.json
+ * @returns {Array<string>} Human-readable problems (empty if the catalog is valid)
+ */
+export function validateSignCatalog(catalog) {
+    const errors = [];
+
+    if (!catalog || typeof catalog !== "object") return ["Catalog is not a JSON object"];
+    if (catalog.version !== SIGN_CATALOG_VERSION) {
+        errors.push(`Unsupported catalog version ${catalog.version} (expected ${SIGN_CATALOG_VERSION})`);
+    }
+
+    const categories = catalog.categories && typeof catalog.categories === "object" ? catalog.categories : {};
+    Object.keys(categories).forEach((category) => checkText(errors, `Category "${category}"`, categories[category]));
+
+    if (!Array.isArray(catalog.signs) || catalog.signs.length === 0) {
+        errors.push(`Catalog has no "signs"`);
+        return errors;
+    }
+
+    const signIds = catalog.signs.map((sign) => sign && sign.id);
+    catalog.signs.forEach((sign, index) => {
+        if (!sign || typeof sign.id !== "string" || sign.id === "") {
+            errors.push(`Sign #${index + 1}: missing "id"`);
+            return;
+        }
+        const where = `Sign "${sign.id}"`;
+
+        if (signIds.indexOf(sign.id) !== index) errors.push(`${where}: duplicate id`);
+        if (typeof sign.texture !== "string" || sign.texture === "") errors.push(`${where}: missing texture`);
+        if (sign.popupImage !== undefined && typeof sign.popupImage !== "string") {
+            errors.push(`${where}: "popupImage" must be a file path`);
+        }
+        if (!categories[sign.category]) errors.push(`${where}: unknown category "${sign.category}"`);
+        if (!/^#[0-9a-f]{6}$/i.test(sign.minimapColor || "")) {
+            errors.push(`${where}: "minimapColor" must be a hex color like "#cc0000"`);
+        }
+
+        checkText(errors, `${where} label`, sign.label);
+        checkText(errors, `${where} title`, sign.title);
+        checkText(errors, `${where} description`, sign.desc);
+
+        if (!Array.isArray(sign.quiz) || sign.quiz.length === 0) {
+            errors.push(`${where}: missing quiz (needs at least one question)`);
+        } else {
+            sign.quiz.forEach((item, i) => checkQuestion(errors, `${where} question ${i + 1}`, item, signIds));
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Fill the lookup tables (and SIGN_IDS / quizData) from a validated catalog.
+ * The exported objects are updated in place, so existing imports see the new data.
+ *
+ * @param {Object} catalog - Catalog that passed validateSignCatalog
+ */
+export function applySignCatalog(catalog) {
+    const tables = [quizData, signTextures, signPopupInfo, labelMap, minimapColors, signCategories, categoryLabels];
+    tables.forEach((table) => Object.keys(table).forEach((key) => delete table[key]));
+    SIGN_IDS.length = 0;
+
+    Object.assign(categoryLabels, catalog.categories);
+
+    catalog.signs.forEach((sign) => {
+        SIGN_IDS.push(sign.id);
+        quizData[sign.id] = sign.quiz;
+        signTextures[sign.id] = sign.texture;
+        signPopupInfo[sign.id] = { title: sign.title, desc: sign.desc, img: sign.popupImage || sign.texture };
+        labelMap[sign.id] = sign.label;
+        minimapColors[sign.id] = sign.minimapColor;
+        signCategories[sign.id] = sign.category;
+    });
+
+    currentCatalog = catalog;
+}
+
+/**
+ * Fill signConfigs from validated placements (a level's `signs` list).
+ *
+ * @param {Array<Object>} placements - Entries that passed checkSignPlacement
+ */
+export function applySignPlacements(placements) {
+    signConfigs.length = 0;
+
+    placements.forEach((placement) => {
+        const config = {
+            id: placement.id,
+            x: placement.x,
+            y: placement.y || 0,
+            z: placement.z,
+            rotationY: (placement.rotationDeg * Math.PI) / 180,
+            scale: placement.scale || 1.0
+        };
+        if (placement.rule) config.rule = placement.rule;
+        if (placement.marking) config.marking = placement.marking;
+        if (placement.note) config.note = placement.note;
+        signConfigs.push(config);
+    });
+}
+
+/**
+ * Turn a `signConfigs` entry back into a placement (inverse of applySignPlacements).
+ * Positions are rounded to centimeters, the facing to a tenth of a degree.
+ */
+export function toSignPlacement(config) {
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const placement = {
+        id: config.id,
+        x: round(config.x, 2),
+        y: round(config.y, 2),
+        z: round(config.z, 2),
+        rotationDeg: round((config.rotationY * 180) / Math.PI, 1),
+        scale: config.scale
+    };
+    if (config.rule) placement.rule = config.rule;
+    if (config.marking) placement.marking = config.marking;
+    if (config.note) placement.note = config.note;
+    return placement;
+}
+
+/**
+ * Check that every image file named in the catalog can be fetched.
+ * @returns {Promise<Array<string>>} Problems (empty if all files exist)
+ */
+async function checkImageFiles(catalog) {
+    const files = new Map();
+    catalog.signs.forEach((sign) => {
+        files.set(sign.texture, `Sign "${sign.id}": texture file "${sign.texture}" not found`);
+        if (sign.popupImage) files.set(sign.popupImage, `Sign "${sign.id}": popup image "${sign.popupImage}" not found`);
+    });
+
+    const errors = [];
+    await Promise.all([...files.keys()].map(async (file) => {
+        try {
+            const response = await fetch(file, { method: "HEAD" });
+            if (!response.ok) errors.push(files.get(file));
+        } catch (error) {
+            errors.push(files.get(file));
+        }
+    }));
+    return errors;
+}
+
+/**
+ * Load, validate and apply the sign catalog. Must finish before the world and UI are built.
+ *
+ * @param {string} url - Catalog location (defaults to SIGN_CATALOG_URL)
+ * @returns {Promise<Object>} The applied catalog
+ * @throws {Error} Listing every problem found, if the catalog is missing or invalid
+ */
+export async function loadSignCatalog(url = SIGN_CATALOG_URL) {
+    let catalog;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        catalog = await response.json();
+    } catch (error) {
+        throw new Error(`Sign catalog "${url}" could not be loaded (${error.message})`);
+    }
+
+    const errors = validateSignCatalog(catalog);
+    if (errors.length === 0) errors.push(...await checkImageFiles(catalog));
+
+    if (errors.length > 0) {
+        errors.forEach((problem) => console.error(`[signs] ${problem}`));
+        throw new Error(`Sign catalog "${url}" is invalid:\n- ${errors.join("\n- ")}`);
+    }
+
+    applySignCatalog(catalog);
+    return catalog;
+}
@@ -0,0 +1,25 @@
+/**
+ * Signal Configuration Data
+ *
+ * The signalized junctions of the city and their phase plans, filled from the
+ * level's `signals` section (see levelData.js).
+ * Each junction runs its phases in order; every green is followed by yellow
+ * and an all-red clearance so the junction empties before the next phase.
+ *
+ * Approaches are travel directions (like sign rules): "north" = traffic heading north.
+ * Giving opposing approaches (north + south, east + west) the same phase lets them
+ * drive at the same time; right turns then give way to oncoming traffic.
+ */
+
+// Default timings (seconds), overridden by the level's `signals.timings`
+export const defaultSignalTimings = {
+    green: 10,   // Used by phases without their own `green`
+    yellow: 3,
+    allRed: 2,   // Clearance after every yellow and after the walk phase
+    walk: 0      // Pedestrian walk phase (all vehicles red); 0 = no walk phase
+};
+
+// Signalized junctions
+// Format: { x, z, phases: [{ approaches: [...], green? }], timings?, note? }
+// x/z: Junction center on the road grid. timings: overrides of defaultSignalTimings.
+export const signalJunctions = [];
@@ -7,22 +7,38 @@
  * managing the main game loop.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 
 // Core Modules (System Foundations)
-import { initScene, scene, camera, clock, raycaster, render } from './core/scene.js';
+import { initScene, scene, camera, renderer, clock, raycaster, render } from './core/scene.js';
 import { initControls, updateMovement, controls } from './core/controls.js';
+import { initSave } from './core/save.js';
+import { initEditor, updateEditor, isEditorActive } from './core/editor.js';
+import { initI18n, t } from './core/i18n.js';
+import { initOffline } from './core/offline.js';
+import { loadGraphicsSettings, initGraphics, updateGraphics } from './core/graphics.js';
+import { loadSignCatalog } from './data/signData.js';
+import { loadLevel } from './data/levelData.js';
 
 // World Modules (3D Environment & Objects)
 import { initWorld } from './world/buildings.js';
-import { initSigns, clickableSigns, findClickableSignFromObject } from './world/signs.js';
-import { initLighting, updateTrafficLights, updateDayNight } from './world/lighting.js';
+import { initSigns, pickSign } from './world/signs.js';
+import { reportSignPlacements } from './world/signCheck.js';
+import { initLighting, updateDayNight } from './world/lighting.js';
+import { initSignals, updateSignals } from './world/signals.js';
+import { initRules, updateRules } from './world/rules.js';
+import { initRoadNetwork } from './world/roadNetwork.js';
+import { initTraffic, updateTraffic } from './world/traffic.js';
+import { initPedestrians, updatePedestrians } from './world/pedestrians.js';
+import { updateLod } from './world/lod.js';
+import { initWeather, updateWeather } from './world/weather.js';
 
 // UI Modules (Heads-Up Display & Interactivity)
 import {
     openSignPopup,
     hidePopup,
     initPopupHandlers,
+    initSignStates,
     getIsPopupOpen,
     signScores,
     signStates
@@ -32,32 +48,56 @@ import {
     initHud,
     updateInteractionHint,
     updateMinimap,
-    updateGameClock
+    updateGameClock,
+    updateSpeedometer,
+    updateReviewBox,
+    initViolationFeed
 } from './ui/hud.js';
 
 /**
  * Initialize all game components.
  * This function is called once when the page loads.
  * Order of initialization is critical:
+ * 0. Offline cache (service worker), language (so every system renders its first text
+ *    in the saved locale), the sign catalog and the level (everything below reads the signs and the city layout from them)
  * 1. Scene & Core Systems
  * 2. Controls
  * 3. 3D World Content
  * 4. UI Overlays
  */
-function init() {
-    initScene();
+async function init() {
+    initOffline();
+    initI18n();
+    await loadSignCatalog();
+    await loadLevel(); // Needs the catalog's sign ids
+    initSignStates();
+
+    initScene(loadGraphicsSettings()); // Antialiasing of the saved quality preset
     // Pass popup check to controls to prevent locking cursor when popup is open
     initControls(getIsPopupOpen);
 
     // Build the city
     initWorld();
     initSigns();
+    reportSignPlacements(); // Misplaced signs go to the console
+    initRules();
+    initRoadNetwork(); // Needs the sign rules
     initLighting();
+    initSignals();
+    initTraffic(); // Needs the signals and road network
+    initPedestrians();
+    initWeather(); // Needs the road materials
+    initGraphics(); // Quality preset (needs the renderer, lamps and clouds)
 
     // Setup UI
     initMinimap();
     initHud(signScores, signStates);
+    initViolationFeed();
     initPopupHandlers();
+    initEditor(getIsPopupOpen);
+
+    // Restore saved progress (needs controls + HUD ready)
+    initSave();
 
     // Add global click listener for interaction (raycasting)
     document.addEventListener("click", handleSceneClick, false);
@@ -69,25 +109,14 @@ function init() {
  */
 function handleSceneClick(event) {
     if (!controls || !controls.isLocked) return;
+    if (isEditorActive()) return; // The editor selects instead
 
     const mouse = new THREE.Vector2(0, 0);
     raycaster.setFromCamera(mouse, camera);
 
-    const intersects = raycaster.intersectObjects(
-        clickableSigns.map((s) => s.mesh),
-        true
-    );
-
-    if (intersects.length === 0) return;
-
-    const obj = intersects[0].object;
-    const found = findClickableSignFromObject(obj);
-
+    const found = pickSign(raycaster, camera.position);
     if (found) {
-        const dist = camera.position.distanceTo(found.mesh.position);
-        if (dist < 12) {
-            openSignPopup(found.id);
-        }
+        openSignPopup(found.id);
     }
 }
 
@@ -102,19 +131,28 @@ function animate() {
     const delta = clock.getDelta();
 
     updateMovement(delta);
-    updateTrafficLights(delta);
+    updateEditor();
+    updateRules(delta);
+    updateSignals(delta);
+    updateTraffic(delta);
+    updatePedestrians(delta);
+    updateWeather(delta);
     updateDayNight(delta);
+    updateLod(camera);
+    updateGraphics(delta);
     updateInteractionHint(raycaster);
     updateMinimap();
     updateGameClock();
+    updateSpeedometer();
+    updateReviewBox(delta);
 
-    // Debug Display
+    // Debug Display (draw calls of the last frame, shadow passes included)
     const posDisplay = document.getElementById('positionDisplay');
     if (posDisplay && camera) {
         const x = camera.position.x.toFixed(2);
         const y = camera.position.y.toFixed(2);
         const z = camera.position.z.toFixed(2);
-        posDisplay.textContent = `X: ${x} | Y: ${y} | Z: ${z}`;
+        posDisplay.textContent = `X: ${x} | Y: ${y} | Z: ${z} | Draw calls: ${renderer.info.render.calls}`;
     }
 
     render();
@@ -140,10 +178,9 @@ window.onerror = function (msg, url, lineNo, columnNo, error) {
     return false;
 };
 
-try {
-    init();
-    animate();
-} catch (e) {
-    console.error("Initialization error:", e);
-    alert("Gagal memuat game: " + e.message);
-}
+init()
+    .then(animate)
+    .catch((e) => {
+        console.error("Initialization error:", e);
+        alert(t("app.loadFailed", { message: e.message }));
+    });
@@ -7,7 +7,7 @@
  * - Behavior: Flies effectively in a straight line, wrapping around the world boundaries.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 
 export class Bird extends THREE.Group {
     constructor() {
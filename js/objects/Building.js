@@ -7,13 +7,33 @@
  * - Procedural Textures: Generates windows and patterns via Canvas API.
  * - Dynamic Roof Details: Antennas, AC units, etc.
  * - Material Caching: Optimizes performance by reusing materials for similar buildings.
+ * - Level of Detail: setDetail() drops the roof details and swaps the textured facades for a
+ *   plain material in the average color of the texture (what the far mipmaps show anyway).
+ *   Distances are decided by world/lod.js.
  */
 
 import * as THREE from 'three';
+import { createRandom } from '../core/random.js';
+
+// Seeded stream for styles, roof details and window patterns
+const random = createRandom("building");
 
 // Material cache to prevent out-of-memory and ensure consistent styles for same colors
 const materialCache = {};
 
+// 8-bit sRGB channel value -> linear (0..1), for averaging canvas pixels
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, i) => {
+    const c = i / 255;
+    return c < 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+// Detail levels for setDetail()
+export const BUILDING_DETAIL = {
+    full: 0,    // Textured facades and roof details
+    noRoof: 1,  // Textured facades only
+    simple: 2   // Plain facades (average texture color)
+};
+
 export class Building extends THREE.Group {
     /**
      * @param {number} x - World X position
@@ -26,9 +46,13 @@ export class Building extends THREE.Group {
     constructor(x, z, width, height, depth, color = 0xd5bda3) {
         super();
 
-        const styleVal = Math.random();
+        this.facades = []; // Facade meshes (material swapped by setDetail)
+        this.roofDetails = []; // Antennas and rooftop boxes (hidden by setDetail)
+        this.detail = BUILDING_DETAIL.full;
+
+        const styleVal = random();
         // 40% chance to be "tiered" (fancy shape) if tall enough
-        const isTiered = height > 50 && Math.random() > 0.4;
+        const isTiered = height > 50 && random() > 0.4;
 
         if (isTiered) {
             this.createTieredBuilding(width, height, depth, color, styleVal);
@@ -39,7 +63,7 @@ export class Building extends THREE.Group {
         this.position.set(x, 0, z);
 
         // Add Roof detail (Antennas, boxes) for realism
-        if (Math.random() > 0.6) {
+        if (random() > 0.6) {
             this.addRoofDetail(height, width, depth);
         }
     }
@@ -53,16 +77,18 @@ export class Building extends THREE.Group {
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         this.add(mesh);
+        this.facades.push(mesh);
     }
 
     createTieredBuilding(w, h, d, color, styleVal) {
-        const h1 = h * (0.6 + Math.random() * 0.1);
+        const h1 = h * (0.6 + random() * 0.1);
         const mat1 = this.getMaterial(color, styleVal);
         const base = new THREE.Mesh(new THREE.BoxGeometry(w, h1, d), mat1);
         base.position.y = h1 / 2;
         base.castShadow = true;
         base.receiveShadow = true;
         this.add(base);
+        this.facades.push(base);
 
         const h2 = h - h1;
         const scale = 0.7;
@@ -73,26 +99,45 @@ export class Building extends THREE.Group {
         top.castShadow = true;
         top.receiveShadow = true;
         this.add(top);
+        this.facades.push(top);
     }
 
     addRoofDetail(h, w, d) {
-        const type = Math.floor(Math.random() * 3);
+        const type = Math.floor(random() * 3);
         const mat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.8 });
 
         if (type === 0) {
-            const antH = 8 + Math.random() * 10;
+            const antH = 8 + random() * 10;
             const ant = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.5, antH), mat);
             ant.position.y = h + antH / 2;
             this.add(ant);
+            this.roofDetails.push(ant);
         } else if (type === 1) {
             const boxW = Math.min(w * 0.4, 8);
             const boxD = Math.min(d * 0.4, 8);
             const box = new THREE.Mesh(new THREE.BoxGeometry(boxW, 3, boxD), mat);
             box.position.y = h + 1.5;
             this.add(box);
+            this.roofDetails.push(box);
         }
     }
 
+    /**
+     * Switch the level of detail.
+     * @param {number} level - One of BUILDING_DETAIL
+     */
+    setDetail(level) {
+        if (level === this.detail) return;
+        this.detail = level;
+
+        this.roofDetails.forEach((mesh) => (mesh.visible = level === BUILDING_DETAIL.full));
+        this.facades.forEach((mesh) => {
+            const near = mesh.userData.nearMaterial || mesh.material;
+            mesh.userData.nearMaterial = near;
+            mesh.material = level === BUILDING_DETAIL.simple ? near.userData.farMaterial : near;
+        });
+    }
+
     getMaterial(color, styleVal) {
         let styleType = 'standard';
         if (styleVal < 0.35) styleType = 'classic';
@@ -117,11 +162,52 @@ export class Building extends THREE.Group {
             metalness: styleType === 'modern' ? 0.3 : 0.1  // 0.1 = Ada spekular dikit (dulu 0.0)
         });
 
+        material.userData.farMaterial = createFarMaterial(material, color);
+
         materialCache[key] = material;
         return material;
     }
 }
 
+/**
+ * Plain version of a facade material: the average colors of its textures, no maps.
+ * @param {THREE.MeshStandardMaterial} material - Textured facade material
+ * @param {number|string} baseColor - Facade color (used when the canvas can't be read)
+ */
+function createFarMaterial(material, baseColor) {
+    const color = averageTextureColor(material.map) || new THREE.Color(baseColor);
+    const emissive = averageTextureColor(material.emissiveMap) || new THREE.Color(0x000000);
+
+    return new THREE.MeshStandardMaterial({
+        color,
+        emissive,
+        emissiveIntensity: material.emissiveIntensity,
+        roughness: material.roughness,
+        metalness: material.metalness
+    });
+}
+
+/**
+ * Average color of a canvas texture in linear space (sampled every few pixels).
+ * @returns {THREE.Color|null} null when the canvas can't be read
+ */
+function averageTextureColor(texture) {
+    const canvas = texture && texture.image;
+    const ctx = canvas && canvas.getContext && canvas.getContext('2d');
+    const image = ctx && ctx.getImageData && ctx.getImageData(0, 0, canvas.width, canvas.height);
+    if (!image || !image.data) return null;
+
+    const step = 4 * 4; // Every 4th pixel
+    let r = 0, g = 0, b = 0, count = 0;
+    for (let i = 0; i < image.data.length; i += step) {
+        r += SRGB_TO_LINEAR[image.data[i]];
+        g += SRGB_TO_LINEAR[image.data[i + 1]];
+        b += SRGB_TO_LINEAR[image.data[i + 2]];
+        count++;
+    }
+    return new THREE.Color().setRGB(r / count, g / count, b / count);
+}
+
 /**
  * Procedurally generate varied building textures
  */
@@ -142,7 +228,7 @@ function createBuildingTexture(baseColor, style) {
     ctx.fillRect(0, 0, 256, 512);
 
     ctx.fillStyle = 'rgba(0,0,0,0.03)';
-    for (let i = 0; i < 80; i++) ctx.fillRect(Math.random() * 256, Math.random() * 512, Math.random() * 20, Math.random() * 20);
+    for (let i = 0; i < 80; i++) ctx.fillRect(random() * 256, random() * 512, random() * 20, random() * 20);
 
     if (style === 'modern') {
         const floors = 16;
@@ -157,12 +243,12 @@ function createBuildingTexture(baseColor, style) {
             ctx.fillStyle = '#445566';
             ctx.fillRect(0, y, 256, bandHeight);
 
-            const segments = 4 + Math.floor(Math.random() * 3);
+            const segments = 4 + Math.floor(random() * 3);
             const segW = 256 / segments;
 
             for (let k = 0; k < segments; k++) {
-                if (Math.random() < 0.4) {
-                    const lightColor = Math.random() > 0.5 ? '#ccddff' : '#eeffff';
+                if (random() < 0.4) {
+                    const lightColor = random() > 0.5 ? '#ccddff' : '#eeffff';
                     eCtx.fillStyle = lightColor;
                     eCtx.fillRect(k * segW + 2, y + 2, segW - 4, bandHeight - 4);
                 }
@@ -187,7 +273,7 @@ function createBuildingTexture(baseColor, style) {
                 ctx.fillStyle = '#223344';
                 ctx.fillRect(x, y, w, h);
 
-                if (Math.random() < 0.35) {
+                if (random() < 0.35) {
                     eCtx.fillStyle = '#ffffcc';
                     eCtx.fillRect(x, y, w, h);
                 }
@@ -205,7 +291,7 @@ function createBuildingTexture(baseColor, style) {
             if (r === 0 || r === rows - 1) continue;
 
             for (let c = 0; c < cols; c++) {
-                if (Math.random() > 0.9) continue;
+                if (random() > 0.9) continue;
 
                 const x = padX + c * (w + padX);
                 const y = padY + r * (h + padY);
@@ -213,7 +299,7 @@ function createBuildingTexture(baseColor, style) {
                 ctx.fillStyle = '#112233';
                 ctx.fillRect(x, y, w, h);
 
-                if (Math.random() < 0.2) {
+                if (random() < 0.2) {
                     eCtx.fillStyle = '#ffeecc';
                     eCtx.fillRect(x, y, w, h);
                 }
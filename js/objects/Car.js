@@ -0,0 +1,118 @@
+/**
+ * Car Class
+ *
+ * A low-poly passenger car used for the player's drive mode.
+ * - Body: Lower chassis box + cabin box with tinted windows.
+ * - Wheels: Four cylinders; the front pair sits in pivot groups so they can steer.
+ * - Lights: Emissive head and tail light boxes.
+ *
+ * Local orientation: the car's nose points toward +Z, matching `rotation.y = heading`.
+ */
+
+import * as THREE from 'three';
+
+export class Car extends THREE.Group {
+    /**
+     * @param {number} color - Body paint color
+     */
+    constructor(color = 0xcc2222) {
+        super();
+
+        const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.4, metalness: 0.3 });
+        const glassMat = new THREE.MeshStandardMaterial({ color: 0x223344, roughness: 0.1, metalness: 0.6 });
+
+        // 1. Chassis (Lower body)
+        const chassis = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.6, 4.2), bodyMat);
+        chassis.position.set(0, 0.6, 0);
+        chassis.castShadow = true;
+        chassis.receiveShadow = true;
+        this.add(chassis);
+
+        // 2. Cabin (Upper body, slightly behind center)
+        const cabin = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.55, 2.2), bodyMat);
+        cabin.position.set(0, 1.17, -0.3);
+        cabin.castShadow = true;
+        this.add(cabin);
+
+        // Windows (Thin dark boxes just outside the cabin)
+        const windshield = new THREE.Mesh(new THREE.BoxGeometry(1.5, 0.45, 0.05), glassMat);
+        windshield.position.set(0, 1.17, 0.81);
+        this.add(windshield);
+
+        const rearWindow = new THREE.Mesh(new THREE.BoxGeometry(1.5, 0.45, 0.05), glassMat);
+        rearWindow.position.set(0, 1.17, -1.41);
+        this.add(rearWindow);
+
+        const sideWindows = new THREE.Mesh(new THREE.BoxGeometry(1.62, 0.4, 1.9), glassMat);
+        sideWindows.position.set(0, 1.19, -0.3);
+        this.add(sideWindows);
+
+        // 3. Wheels
+        // Front wheels are wrapped in pivot groups so steering rotates around the vertical axis.
+        const wheelGeo = new THREE.CylinderGeometry(0.35, 0.35, 0.3, 12);
+        wheelGeo.rotateZ(Math.PI / 2); // Axle along X
+        const wheelMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.9 });
+
+        this.wheels = [];
+        this.frontPivots = [];
+
+        const wheelSpots = [
+            { x: -0.9, z: 1.35, front: true },
+            { x: 0.9, z: 1.35, front: true },
+            { x: -0.9, z: -1.35, front: false },
+            { x: 0.9, z: -1.35, front: false },
+        ];
+
+        wheelSpots.forEach((spot) => {
+            const wheel = new THREE.Mesh(wheelGeo, wheelMat);
+            wheel.castShadow = true;
+
+            if (spot.front) {
+                const pivot = new THREE.Group();
+                pivot.position.set(spot.x, 0.35, spot.z);
+                pivot.add(wheel);
+                this.add(pivot);
+                this.frontPivots.push(pivot);
+            } else {
+                wheel.position.set(spot.x, 0.35, spot.z);
+                this.add(wheel);
+            }
+            this.wheels.push(wheel);
+        });
+
+        // 4. Head & Tail Lights
+        const headMat = new THREE.MeshStandardMaterial({ color: 0xffffee, emissive: 0xffffcc, emissiveIntensity: 0.8 });
+        const tailMat = new THREE.MeshStandardMaterial({ color: 0x550000, emissive: 0xff0000, emissiveIntensity: 0.6 });
+
+        [-0.6, 0.6].forEach((x) => {
+            const head = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.15, 0.05), headMat);
+            head.position.set(x, 0.7, 2.11);
+            this.add(head);
+
+            const tail = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.15, 0.05), tailMat);
+            tail.position.set(x, 0.7, -2.11);
+            this.add(tail);
+        });
+    }
+
+    /**
+     * Turns the front wheels to match the steering angle.
+     * @param {number} angle - Steering angle in radians (positive = left)
+     */
+    setSteer(angle) {
+        this.frontPivots.forEach((pivot) => {
+            pivot.rotation.y = angle;
+        });
+    }
+
+    /**
+     * Rolls all wheels by the distance travelled this frame.
+     * @param {number} distance - Signed distance in meters
+     */
+    spinWheels(distance) {
+        const angle = distance / 0.35; // Arc length / wheel radius
+        this.wheels.forEach((wheel) => {
+            wheel.rotation.x += angle;
+        });
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Pedestrian Class
+ *
+ * A low-poly person walking the sidewalks.
+ * - Body: Box legs, torso and arms with a sphere head.
+ * - Variation: Random shirt/trousers colors; students wear the Indonesian primary
+ *   school uniform (white shirt, red trousers) and are smaller.
+ * - Animation: Legs and arms swing with the distance walked.
+ *
+ * Local orientation: the person faces +Z, matching `rotation.y = heading` (see vehicle.js).
+ */
+
+import * as THREE from 'three';
+
+// Clothing palettes
+const SHIRT_COLORS = [0x3366cc, 0xcc3333, 0x33aa66, 0xf2c14e, 0x8e24aa, 0xeeeeee, 0x555555];
+const TROUSER_COLORS = [0x222244, 0x333333, 0x5d4037, 0x1565c0];
+const SKIN_COLORS = [0xc68642, 0x8d5524, 0xe0ac69, 0xf1c27d];
+
+export class Pedestrian extends THREE.Group {
+    /**
+     * @param {boolean} student - Dress as a primary school student
+     */
+    constructor(student = false) {
+        super();
+
+        const pick = (list) => list[Math.floor(Math.random() * list.length)];
+        const shirtMat = new THREE.MeshStandardMaterial({ color: student ? 0xffffff : pick(SHIRT_COLORS) });
+        const trouserMat = new THREE.MeshStandardMaterial({ color: student ? 0xb71c1c : pick(TROUSER_COLORS) });
+        const skinMat = new THREE.MeshStandardMaterial({ color: pick(SKIN_COLORS) });
+
+        // 1. Legs (pivot at the hip so they swing)
+        this.legs = [-0.13, 0.13].map((x) => {
+            const pivot = new THREE.Group();
+            pivot.position.set(x, 0.9, 0);
+            const leg = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.9, 0.22), trouserMat);
+            leg.position.set(0, -0.45, 0);
+            leg.castShadow = true;
+            pivot.add(leg);
+            this.add(pivot);
+            return pivot;
+        });
+
+        // 2. Torso
+        const torso = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.65, 0.28), shirtMat);
+        torso.position.set(0, 1.22, 0);
+        torso.castShadow = true;
+        this.add(torso);
+
+        // 3. Arms (pivot at the shoulder)
+        this.arms = [-0.32, 0.32].map((x) => {
+            const pivot = new THREE.Group();
+            pivot.position.set(x, 1.5, 0);
+            const arm = new THREE.Mesh(new THREE.BoxGeometry(0.13, 0.6, 0.15), shirtMat);
+            arm.position.set(0, -0.3, 0);
+            pivot.add(arm);
+            this.add(pivot);
+            return pivot;
+        });
+
+        // 4. Head
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.17, 10, 8), skinMat);
+        head.position.set(0, 1.72, 0);
+        head.castShadow = true;
+        this.add(head);
+
+        // Students are children
+        if (student) this.scale.setScalar(0.75);
+
+        this.stride = 0; // Walk cycle phase
+        this.swing = 0;  // Current limb angle
+    }
+
+    /**
+     * Swings legs and arms by the distance walked; standing still eases back to rest.
+     * @param {number} distance - Distance walked this frame in meters
+     */
+    animateWalk(distance) {
+        if (distance > 0) {
+            this.stride += distance * 4;
+            this.swing = Math.sin(this.stride) * 0.5;
+        } else {
+            this.swing *= 0.8;
+        }
+        const swing = this.swing;
+
+        this.legs[0].rotation.x = swing;
+        this.legs[1].rotation.x = -swing;
+        this.arms[0].rotation.x = -swing * 0.8;
+        this.arms[1].rotation.x = swing * 0.8;
+    }
+}
@@ -1,34 +1,235 @@
 /**
  * Road Class
- * 
- * Represents a segment of the asphalt road.
- * Since the texture is procedural (handled in buildings.js ground generation),
- * this class currently renders a simple dark geometric strip to differentiate the road
- * from the sidewalk/ground.
+ *
+ * Represents one straight road of the grid with its markings and sidewalks.
+ * - Asphalt: Dark strip, slightly raised above the ground plane.
+ * - Centre Line: Dashed white line that turns solid on the approach to every junction
+ *   and along requested stretches (e.g. a No Overtaking zone). Left out inside junctions.
+ * - Stop Lines: Thick white lines across one lane at the edge of a junction.
+ * - Sidewalks: Raised curbs on both sides, interrupted where another road crosses.
+ *
+ * All markings of a road share one geometry and all sidewalks another, so a road costs
+ * three draw calls however many dashes it has. Every road uses the same three materials
+ * (`roadMaterials`), which the weather turns wet and glossy in the rain.
+ *
+ * Coordinates: `along` runs with the road (Z for a North-South road, X for a West-East road),
+ * `side` (-1 / +1) picks the half of the road across it (-X / +X or -Z / +Z).
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 
-export class Road extends THREE.Mesh {
+// Marking Dimensions (meters)
+const MARKINGS = {
+    lineWidth: 0.15,       // Centre line
+    dashLength: 3,
+    dashGap: 3,
+    solidApproach: 9,      // Centre line is solid this far before a junction
+    stopLineWidth: 0.4,
+    height: 0.052          // Just above the asphalt top (0.05)
+};
+
+const ASPHALT_HEIGHT = 0.05;
+
+const asphaltMaterial = new THREE.MeshStandardMaterial({
+    color: 0x333333, // Dark Asphalt Gray
+    roughness: 0.9,  // Rough surface
+    metalness: 0.1
+});
+const markingMaterial = new THREE.MeshStandardMaterial({ color: 0xf5f5f5, roughness: 0.8 });
+const sidewalkMaterial = new THREE.MeshStandardMaterial({ color: 0x9e9e9e, roughness: 0.95 });
+
+// Surfaces shared by all roads (see weather.js for wet roads)
+export const roadMaterials = {
+    asphalt: asphaltMaterial,
+    marking: markingMaterial,
+    sidewalk: sidewalkMaterial
+};
+
+/**
+ * Collects flat quads and boxes into one BufferGeometry.
+ * Works in the road's (along, side) frame; `axis` maps it to local X/Z.
+ */
+class GeometryBuilder {
+    constructor(axis) {
+        this.axis = axis;
+        this.positions = [];
+        this.normals = [];
+    }
+
+    /** Local position of (along, across, y). */
+    point(along, across, y) {
+        return this.axis === "z" ? [across, y, along] : [along, y, across];
+    }
+
+    /** Quad from four corners in order around the edge, facing `normal`. */
+    quad(a, b, c, d, normal) {
+        // Wind the triangles counter-clockwise as seen from the normal side
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const facing = (e1[1] * e2[2] - e1[2] * e2[1]) * normal[0] +
+            (e1[2] * e2[0] - e1[0] * e2[2]) * normal[1] +
+            (e1[0] * e2[1] - e1[1] * e2[0]) * normal[2];
+        const corners = facing >= 0 ? [a, b, c, a, c, d] : [a, c, b, a, d, c];
+
+        corners.forEach((p) => {
+            this.positions.push(...p);
+            this.normals.push(...normal);
+        });
+    }
+
+    /** Flat rectangle facing up at height y. */
+    rect(along0, along1, across0, across1, y) {
+        const p = (al, ac) => this.point(al, ac, y);
+        this.quad(p(along0, across0), p(along1, across0), p(along1, across1), p(along0, across1), [0, 1, 0]);
+    }
+
+    /** Box without a bottom face. */
+    box(along0, along1, across0, across1, height) {
+        this.rect(along0, along1, across0, across1, height);
+
+        const p = (al, ac, y) => this.point(al, ac, y);
+        const n = (al, ac) => this.point(al, ac, 0);
+        const sides = [
+            [p(along0, across0, 0), p(along1, across0, 0), p(along1, across0, height), p(along0, across0, height), n(0, -1)],
+            [p(along1, across1, 0), p(along0, across1, 0), p(along0, across1, height), p(along1, across1, height), n(0, 1)],
+            [p(along0, across1, 0), p(along0, across0, 0), p(along0, across0, height), p(along0, across1, height), n(-1, 0)],
+            [p(along1, across0, 0), p(along1, across1, 0), p(along1, across1, height), p(along1, across0, height), n(1, 0)]
+        ];
+        sides.forEach(([a, b, c, d, normal]) => this.quad(a, b, c, d, normal));
+    }
+
+    build() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(this.normals, 3));
+        return geometry;
+    }
+}
+
+/**
+ * True when `along` lies inside one of the [from, to] stretches.
+ */
+function inStretches(along, stretches) {
+    return stretches.some(([from, to]) => along >= Math.min(from, to) && along <= Math.max(from, to));
+}
+
+export class Road extends THREE.Group {
     /**
-     * @param {number} width - Road width (usually 12)
-     * @param {number} length - Road length
+     * @param {number} sizeX - Extent along X (the width for a North-South road)
+     * @param {number} sizeZ - Extent along Z (the length for a North-South road)
      * @param {number} x - Center X
      * @param {number} z - Center Z
+     * @param {Object} options
+     * @param {number[]} options.junctions - World coordinates (along the road) where other roads cross
+     * @param {number} options.crossWidth - Width of the crossing roads
+     * @param {string} options.centerLine - "dashed" | "solid" | "none"
+     * @param {Array} options.solidStretches - [from, to] world ranges where the centre line is solid
+     * @param {Array} options.stopLines - { along, side }: stop line across the lane on `side`
+     *   at `along` (world coordinate)
+     * @param {number} options.sidewalkWidth - 0 = no sidewalks
+     * @param {number} options.curbHeight
+     * @param {boolean} options.sidewalkCorners - Run the sidewalks through the junction corners
+     *   (set on one direction of the grid so the corners are paved once)
      */
-    constructor(width, length, x, z) {
-        // Use simple BoxGeometry for performance.
+    constructor(sizeX, sizeZ, x, z, options = {}) {
+        super();
+
+        const {
+            junctions = [],
+            crossWidth = Math.min(sizeX, sizeZ),
+            centerLine = "dashed",
+            solidStretches = [],
+            stopLines = [],
+            sidewalkWidth = 0,
+            curbHeight = 0.15,
+            sidewalkCorners = false
+        } = options;
+
+        const axis = sizeZ >= sizeX ? "z" : "x";
+        const width = Math.min(sizeX, sizeZ);
+        const length = Math.max(sizeX, sizeZ);
+        const origin = axis === "z" ? z : x; // World coordinate of local along = 0
+        const half = length / 2;
+        const gap = crossWidth / 2;
+
+        this.axis = axis;
+        this.roadWidth = width;
+        this.position.set(x, 0, z);
+
+        // 1. Asphalt
         // Y-height is 0.05 to sit slightly above the ground plane (y=0) to avoid z-fighting.
-        const geometry = new THREE.BoxGeometry(width, 0.05, length);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x333333, // Dark Asphalt Gray
-            roughness: 0.9,  // Rough surface
-            metalness: 0.1
+        const asphalt = new THREE.Mesh(new THREE.BoxGeometry(sizeX, ASPHALT_HEIGHT, sizeZ), asphaltMaterial);
+        asphalt.position.y = ASPHALT_HEIGHT / 2; // Center slightly raised
+        asphalt.receiveShadow = true;
+        this.add(asphalt);
+
+        // Local coordinates of the crossing roads
+        const crossings = junctions.map((v) => v - origin).sort((a, b) => a - b);
+        const isInJunction = (al) => crossings.some((c) => Math.abs(al - c) < gap);
+
+        // 2. Markings
+        const markings = new GeometryBuilder(axis);
+        if (centerLine !== "none") {
+            const lw = MARKINGS.lineWidth / 2;
+            const solid = solidStretches.map(([from, to]) => [from - origin, to - origin]);
+            const isSolid = (al) => centerLine === "solid" || inStretches(al, solid) ||
+                crossings.some((c) => Math.abs(al - c) < gap + MARKINGS.solidApproach);
+
+            // Walk the road in dash-sized steps; solid steps fill the gap as well
+            const step = MARKINGS.dashLength + MARKINGS.dashGap;
+            for (let al = -half; al < half; al += step) {
+                const dashEnd = Math.min(half, al + MARKINGS.dashLength);
+                const stepEnd = Math.min(half, al + step);
+                const end = isSolid(al + MARKINGS.dashLength / 2) ? stepEnd : dashEnd;
+
+                // Trim the piece at the edges of the junction boxes
+                let from = al;
+                let to = end;
+                crossings.forEach((c) => {
+                    if (from < c + gap && to > c - gap) {
+                        if (from >= c - gap) from = c + gap; // Starts inside: skip to the far edge
+                        else to = c - gap;                   // Ends inside: stop at the near edge
+                    }
+                });
+                if (to - from > 0.05) markings.rect(from, to, -lw, lw, MARKINGS.height);
+            }
+        }
+
+        stopLines.forEach(({ along, side }) => {
+            const al = along - origin;
+            const w = MARKINGS.stopLineWidth / 2;
+            // From the centre line to the curb on that side
+            const across = side > 0 ? [0, width / 2] : [-width / 2, 0];
+            markings.rect(al - w, al + w, across[0], across[1], MARKINGS.height);
         });
 
-        super(geometry, material);
+        if (markings.positions.length > 0) {
+            const mesh = new THREE.Mesh(markings.build(), markingMaterial);
+            mesh.receiveShadow = true;
+            this.add(mesh);
+        }
+
+        // 3. Sidewalks: one piece per stretch between two crossing roads, on both sides
+        if (sidewalkWidth > 0) {
+            const walks = new GeometryBuilder(axis);
+            const inset = sidewalkCorners ? 0 : sidewalkWidth;
+            const breaks = [-half, ...crossings.filter((c) => Math.abs(c) < half), half];
+
+            for (let i = 0; i + 1 < breaks.length; i++) {
+                const from = breaks[i] === -half ? -half : breaks[i] + gap + inset;
+                const to = breaks[i + 1] === half ? half : breaks[i + 1] - gap - inset;
+                if (to <= from || isInJunction((from + to) / 2)) continue;
+
+                [-1, 1].forEach((side) => {
+                    const inner = side * width / 2;
+                    const outer = side * (width / 2 + sidewalkWidth);
+                    walks.box(from, to, Math.min(inner, outer), Math.max(inner, outer), curbHeight);
+                });
+            }
 
-        this.position.set(x, 0.025, z); // Center slightly raised
-        this.receiveShadow = true;
+            const mesh = new THREE.Mesh(walks.build(), sidewalkMaterial);
+            mesh.receiveShadow = true;
+            this.add(mesh);
+        }
     }
 }
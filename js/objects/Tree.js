@@ -5,9 +5,17 @@
  * - Trunk: Cylinder geometry.
  * - Crown: Icosahedron geometry (low-poly sphere).
  * - Variation: Randomly selects a leaf color for variety.
+ *
+ * Geometries and materials are shared by all trees (one crown material per leaf color),
+ * so the city draws them as instances (see core/instancing.js).
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
+import { createRandom } from '../core/random.js';
+import { sharedGeometry, sharedMaterial } from '../core/instancing.js';
+
+// Seeded stream for the leaf colors
+const random = createRandom("tree");
 
 export class Tree extends THREE.Group {
     constructor(x, z) {
@@ -22,12 +30,12 @@ export class Tree extends THREE.Group {
             0xff8c00, // Dark Orange (Autumn variant)
             0xeebb44  // Gold/Yellow (Autumn variant)
         ];
-        const randomColor = colors[Math.floor(Math.random() * colors.length)];
+        const randomColor = colors[Math.floor(random() * colors.length)];
 
         // Trunk (Brown Cylinder)
         const trunk = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.3, 0.4, 1.2, 6),
-            new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 1.0, metalness: 0.0 })
+            sharedGeometry("tree.trunk", () => new THREE.CylinderGeometry(0.3, 0.4, 1.2, 6)),
+            sharedMaterial("tree.trunk", () => new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 1.0, metalness: 0.0 }))
         );
         trunk.position.set(0, 0.6, 0); // Resting on ground
         trunk.castShadow = true;
@@ -35,8 +43,10 @@ export class Tree extends THREE.Group {
 
         // Crown (Leafy part)
         const crown = new THREE.Mesh(
-            new THREE.IcosahedronGeometry(1.2, 0), // Flat shading for low-poly look
-            new THREE.MeshStandardMaterial({ color: randomColor, roughness: 0.9, metalness: 0.0 })
+            sharedGeometry("tree.crown", () => new THREE.IcosahedronGeometry(1.2, 0)), // Flat shading for low-poly look
+            sharedMaterial(`tree.crown.${randomColor}`, () =>
+                new THREE.MeshStandardMaterial({ color: randomColor, roughness: 0.9, metalness: 0.0 })
+            )
         );
         crown.position.set(0, 2, 0); // On top of trunk
         crown.castShadow = true;
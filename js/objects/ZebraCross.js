@@ -4,9 +4,13 @@
  * Generates a pedestrian crosswalk using a series of parallel white strips.
  * - Group Position: The Z coordinate of the crosswalk center.
  * - Children: White BoxGeometries placed along the X axis.
+ *
+ * All stripes share one geometry and material, so they are drawn as instances
+ * (see core/instancing.js).
  */
 
 import * as THREE from 'three';
+import { sharedGeometry, sharedMaterial } from '../core/instancing.js';
 
 export class ZebraCross extends THREE.Group {
     /**
@@ -21,15 +25,15 @@ export class ZebraCross extends THREE.Group {
         const width = 1;
         const length = 1;
 
+        const geometry = sharedGeometry("zebra.stripe", () => new THREE.BoxGeometry(width, 0.05, length));
+        const material = sharedMaterial("zebra.stripe", () => new THREE.MeshStandardMaterial({ color: 0xffffff }));
+
         // Set the Group position to the Z plane
         this.position.set(0, 0, z);
 
         // Generate Stripes along the X axis
         for (let x = xStart; x <= xEnd; x += step) {
-            const stripe = new THREE.Mesh(
-                new THREE.BoxGeometry(width, 0.05, length),
-                new THREE.MeshStandardMaterial({ color: 0xffffff })
-            );
+            const stripe = new THREE.Mesh(geometry, material);
             // Position relative to group (which is at 0,0,z)
             stripe.position.set(x, 0.03, 0);
             this.add(stripe);
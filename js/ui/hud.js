@@ -7,21 +7,44 @@
  * - Mission Box: Tracks progress of learned traffic signs.
  * - Sign Checklist: Visual list of signs to find.
  * - Interaction Hint: "Click to interact" prompt when near valid targets.
- * - Game Clock: Displays in-game time (HH:MM).
- * - Minimap: Top-down view mapping player relative to signs.
+ * - Game Clock: Displays in-game time (HH:MM) and the weather.
+ * - Speedometer: Shows car speed while in drive mode.
+ * - Violation Feed: Lists the latest traffic-rule violations.
+ * - Review Box: Number of spaced-repetition reviews that are due.
+ * - World Seed: Seed of the generated city, linking to a URL that rebuilds the same city.
+ * - Minimap: Top-down view mapping player relative to roads and signs.
+ *
+ * All text goes through the I18n module and is redrawn when the language changes.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 import { camera } from '../core/scene.js';
 import { controls, getTimeOfDay } from '../core/controls.js';
+import { vehicle, getVehicleSpeedKmh } from '../core/vehicle.js';
 import { SIGN_IDS, getTotalQuizQuestions } from '../data/quizData.js';
 import { labelMap, minimapColors } from '../data/signData.js';
-import { clickableSigns, findClickableSignFromObject } from '../world/signs.js';
+import { levelSettings } from '../data/levelData.js';
+import { clickableSigns, pickSign } from '../world/signs.js';
+import { isEditorActive } from '../core/editor.js';
+import { roadGrid } from '../world/buildings.js';
+import { roadNetwork } from '../world/roadNetwork.js';
+import { violationLog, onViolation } from '../world/rules.js';
+import { getDueCount, getNextDue } from '../core/review.js';
+import { t, localize, onLocaleChange } from '../core/i18n.js';
+import { worldSeed, getSeedUrl } from '../core/random.js';
+import { weather } from '../world/weather.js';
 
 // Minimap Configuration
 const MINIMAP_SIZE = 160;        // Canvas pixel size (Square)
 const MINIMAP_WORLD_HALF = 100;  // Radius of world area shown (in meters)
 
+// Last text shown in the Review Box (skip DOM writes when unchanged)
+let lastReviewText = null;
+
+// How often the game loop refreshes the Review Box (s); the due times are minutes apart
+const REVIEW_BOX_INTERVAL = 1;
+let reviewBoxTimer = 0;
+
 // Minimap Context References
 let minimapCanvas;
 let minimapCtx;
@@ -55,7 +78,7 @@ export function updateHud(signScores) {
 
     const totalQuestions = getTotalQuizQuestions();
     // Score format: Points / Max Points
-    hud.textContent = `Score: ${totalBenar} / ${totalQuestions * 2}`;
+    hud.textContent = t("hud.score", { points: totalBenar, max: totalQuestions * 2 });
 }
 
 /**
@@ -72,10 +95,10 @@ export function updateMissionBox(signStates) {
         if (signStates[id]) completed++;
     });
 
-    box.textContent = `Mission: Learn all signs (${completed}/${SIGN_IDS.length})`;
+    box.textContent = t("hud.mission", { done: completed, total: SIGN_IDS.length });
 
     if (completed === SIGN_IDS.length) {
-        box.textContent = "Mission: All signs learned! ✅";
+        box.textContent = t("hud.missionDone");
     }
 }
 
@@ -105,12 +128,12 @@ export function updateSignChecklist(signStates) {
 
         // Sign Name
         const text = document.createElement("span");
-        text.textContent = labelMap[id] || id;
+        text.textContent = localize(labelMap[id] || id, `labelMap.${id}`);
 
         // Badge Status
         const badge = document.createElement("span");
         badge.className = "badge";
-        badge.textContent = done ? "Done" : "Pending";
+        badge.textContent = done ? t("hud.done") : t("hud.pending");
 
         li.appendChild(icon);
         li.appendChild(text);
@@ -123,9 +146,9 @@ export function updateSignChecklist(signStates) {
 /**
  * Updates the floating interaction hint text ("Press Left Click...").
  * Logic:
- * 1. Raycasts from center of screen.
+ * 1. Raycasts from center of screen (only at signs near the player).
  * 2. Checks if hitting a clickable sign.
- * 3. Checks if distance is close enough (< 12 units).
+ * 3. Checks if distance is close enough (< SIGN_REACH units).
  * 4. Shows/Hides prompt accordingly.
  * 
  * @param {THREE.Raycaster} raycaster - Shared raycaster instance
@@ -134,8 +157,8 @@ export function updateInteractionHint(raycaster) {
     const hint = document.getElementById("interactionHint");
     if (!hint) return;
 
-    // Only show when pointer is locked (Active gameplay)
-    if (!controls || !controls.isLocked || clickableSigns.length === 0) {
+    // Only show when pointer is locked (Active gameplay, not while editing the level)
+    if (!controls || !controls.isLocked || clickableSigns.length === 0 || isEditorActive()) {
         hint.classList.remove("visible");
         return;
     }
@@ -143,29 +166,9 @@ export function updateInteractionHint(raycaster) {
     // Raycast from Camera center (0,0 normalized)
     raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
 
-    // Check intersection with all sign meshes
-    const intersects = raycaster.intersectObjects(
-        clickableSigns.map((s) => s.mesh),
-        true
-    );
-
-    if (intersects.length === 0) {
-        hint.classList.remove("visible");
-        return;
-    }
-
-    // Verify it's a valid registered sign
-    const obj = intersects[0].object;
-    const found = findClickableSignFromObject(obj);
-    if (!found) {
-        hint.classList.remove("visible");
-        return;
-    }
-
-    // Distance check
-    const dist = camera.position.distanceTo(found.mesh.position);
-    if (dist < 12) {
-        hint.textContent = "Click to View Sign & Quiz";
+    // Sign in view and within reach
+    if (pickSign(raycaster, camera.position)) {
+        hint.textContent = t("hud.hintClick");
         hint.classList.add("visible");
     } else {
         hint.classList.remove("visible");
@@ -179,8 +182,9 @@ export function updateInteractionHint(raycaster) {
  * Rendering Steps:
  * 1. Clear Canvas.
  * 2. Rotate entire context based on Player Direction (so "Up" on map is always "Forward" for player).
- * 3. Draw nearby signs as colored dots.
- * 4. Draw Player arrow in the center.
+ * 3. Draw the roads of the road network.
+ * 4. Draw nearby signs as colored dots.
+ * 5. Draw Player arrow in the center.
  */
 export function updateMinimap() {
     if (!minimapCtx || !controls) return;
@@ -207,6 +211,16 @@ export function updateMinimap() {
     ctx.translate(center, center);
     ctx.rotate(dirAngle - Math.PI); // Inverse rotation
 
+    // Roads (from the road network, clipped by the canvas)
+    ctx.strokeStyle = "rgba(160,160,160,0.45)";
+    ctx.lineWidth = roadGrid.width * scale;
+    ctx.beginPath();
+    roadNetwork.roads.forEach(({ a, b }) => {
+        ctx.moveTo((a.x - playerPos.x) * scale, (a.z - playerPos.z) * scale);
+        ctx.lineTo((b.x - playerPos.x) * scale, (b.z - playerPos.z) * scale);
+    });
+    ctx.stroke();
+
     // Grid / Crosshair lines
     ctx.strokeStyle = "rgba(255,255,255,0.25)";
     ctx.lineWidth = 1;
@@ -256,6 +270,18 @@ export function updateMinimap() {
     ctx.restore();
 }
 
+/**
+ * Shows the world seed; the panel links to this page with the seed in the URL.
+ */
+function updateSeedPanel() {
+    const panel = document.getElementById("seedPanel");
+    if (!panel) return;
+
+    panel.textContent = t("hud.seed", { level: localize(levelSettings.name), seed: worldSeed });
+    panel.title = t("hud.seedHint");
+    panel.href = getSeedUrl();
+}
+
 /**
  * Initialize HUD with initial values
  */
@@ -263,6 +289,17 @@ export function initHud(signScores, signStates) {
     updateHud(signScores);
     updateMissionBox(signStates);
     updateSignChecklist(signStates);
+    updateSeedPanel();
+
+    // Redraw all HUD text in the new language
+    onLocaleChange(() => {
+        updateHud(signScores);
+        updateMissionBox(signStates);
+        updateSignChecklist(signStates);
+        updateSeedPanel();
+        lastReviewText = null;
+        updateReviewBox();
+    });
 }
 
 /**
@@ -274,13 +311,23 @@ export function initHud(signScores, signStates) {
  * 0.25 = 12:00 (Noon)
  * 0.5  = 18:00 (Sunset)
  * 0.75 = 00:00 (Midnight)
+ *
+ * The weather follows the time, plus a warning while the roads are still wet after the rain.
  */
 export function updateGameClock() {
     const clockEl = document.getElementById('gameClock');
     if (!clockEl) return;
 
-    const timeVal = getTimeOfDay();
+    let text = `${formatClock(getTimeOfDay())} · ${t(`weather.${weather.state}`)}`;
+    if (weather.state !== "rain" && weather.wetness > 0.3) text += ` · ${t("weather.wetRoad")}`;
+    clockEl.textContent = text;
+}
 
+/**
+ * Formats a `timeOfDay` value (0.0 - 1.0) as HH:MM.
+ * @param {number} timeVal - Time of day (0.0 = 06:00)
+ */
+export function formatClock(timeVal) {
     // Base time is 6 AM because time=0.0 corresponds to sunrise logic
     let totalHours = 6 + (timeVal * 24);
     if (totalHours >= 24) totalHours -= 24;
@@ -291,5 +338,118 @@ export function updateGameClock() {
     const hStr = hours.toString().padStart(2, '0');
     const mStr = minutes.toString().padStart(2, '0');
 
-    clockEl.textContent = `${hStr}:${mStr}`;
+    return `${hStr}:${mStr}`;
+}
+
+/**
+ * Updates the Speedometer shown while driving.
+ * Hidden in walking mode. Shows "R" when the car is reversing.
+ */
+export function updateSpeedometer() {
+    const el = document.getElementById('speedometer');
+    if (!el) return;
+
+    if (!vehicle.active) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const kmh = Math.round(getVehicleSpeedKmh());
+    const gear = vehicle.speed < -0.1 ? 'R' : 'D';
+
+    el.style.display = 'block';
+    el.textContent = `${gear} ${kmh} km/h`;
+}
+
+/**
+ * Hooks the Violation Feed to the rule engine.
+ * Each new violation refreshes the list and briefly flashes the box.
+ */
+export function initViolationFeed() {
+    renderViolationFeed();
+    onLocaleChange(renderViolationFeed);
+
+    onViolation(() => {
+        renderViolationFeed();
+
+        const box = document.getElementById('violationBox');
+        if (!box) return;
+        box.classList.add('flash');
+        setTimeout(() => box.classList.remove('flash'), 1500);
+    });
+}
+
+/**
+ * Redraws the Violation Feed: total count + the 3 most recent entries
+ * (game time, rule message and where it happened).
+ */
+function renderViolationFeed() {
+    const box = document.getElementById('violationBox');
+    if (!box) return;
+
+    box.style.display = violationLog.length > 0 ? 'block' : 'none';
+    box.innerHTML = '';
+
+    const title = document.createElement('h4');
+    title.textContent = t("hud.violations", { count: violationLog.length });
+    box.appendChild(title);
+
+    const ul = document.createElement('ul');
+    violationLog.slice(-3).reverse().forEach((v) => {
+        const li = document.createElement('li');
+        const sign = localize(labelMap[v.signId] || v.signId, `labelMap.${v.signId}`);
+        const place = `${sign} (${v.position.x.toFixed(0)}, ${v.position.z.toFixed(0)})`;
+        li.textContent = `${formatClock(v.timeOfDay)} - ${t(v.messageKey, v.params)} @ ${place}`;
+        ul.appendChild(li);
+    });
+    box.appendChild(ul);
+}
+
+/**
+ * Updates the Review Box: how many questions are due for review,
+ * or when the next one is due. Hidden until something has been scheduled.
+ * The game loop passes `delta` and refreshes about once a second; calls without it
+ * (after answers are graded or progress is loaded) refresh at once.
+ * @param {number} [delta] - Time since last frame (s)
+ */
+export function updateReviewBox(delta) {
+    if (delta !== undefined) {
+        reviewBoxTimer += delta;
+        if (reviewBoxTimer < REVIEW_BOX_INTERVAL) return;
+    }
+    reviewBoxTimer = 0;
+
+    const box = document.getElementById('reviewBox');
+    const label = document.getElementById('reviewStatus');
+    if (!box || !label) return;
+
+    const nextDue = getNextDue();
+    const due = getDueCount();
+
+    let text;
+    if (nextDue === null) {
+        text = '';
+    } else if (due > 0) {
+        text = t("hud.reviewsDue", { count: due });
+    } else {
+        text = t("hud.nextReview", { wait: formatWait(nextDue - Date.now()) });
+    }
+
+    if (text === lastReviewText) return;
+    lastReviewText = text;
+
+    box.style.display = text ? 'flex' : 'none';
+    box.classList.toggle('due', due > 0);
+    label.textContent = text;
+}
+
+/**
+ * Formats a wait time in ms as a short "5 min" / "3 h" / "2 d" string (localized).
+ */
+function formatWait(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return t("hud.waitMinutes", { n: minutes });
+    const hours = Math.ceil(minutes / 60);
+    if (hours < 24) return t("hud.waitHours", { n: hours });
+    return t("hud.waitDays", { n: Math.ceil(hours / 24) });
 }
@@ -4,28 +4,56 @@
  * Manages the overlay modal for Traffic Signs.
  * Functionality:
  * 1. Popup Display: Shows sign image, title, and description.
- * 2. Quiz Interface: Handles Multiple Choice Questions (MCQ).
- * 3. Score Processing: Validates answers and updates mastery state.
- * 4. Control Flow: Pauses/Resumes mouse pointer lock when opening/closing.
+ * 2. Quiz Interface: Renders randomized sessions from the Quiz engine
+ *    (text MCQ, sign-image choice, true/false, multi-select, ordering).
+ * 3. Score Processing: Validates answers, updates mastery state and saves progress.
+ *    Results explain every question (highlighted where the answer was wrong).
+ * 4. Review Mode: Spaced-repetition sessions of due questions across all signs
+ *    (key R or the HUD button, from anywhere in the city).
+ * 5. Exam Mode: Timed "Ujian SIM" paper across all signs (key U or the HUD button);
+ *    no feedback until it is submitted, then pass/fail and a per-category breakdown.
+ * 6. Control Flow: Pauses/Resumes mouse pointer lock when opening/closing.
+ *
+ * Text comes from the I18n module; the sign info is redrawn when the language changes.
  */
 
 import { controls } from '../core/controls.js';
-import { quizData, SIGN_IDS } from '../data/quizData.js';
-import { signPopupInfo } from '../data/signData.js';
-import { updateHud, updateMissionBox, updateSignChecklist } from './hud.js';
+import { SIGN_IDS } from '../data/quizData.js';
+import { createQuizSession, gradeQuizSession, describeResponse, describeAnswer } from '../core/quiz.js';
+import { signPopupInfo, labelMap } from '../data/signData.js';
+import { createReviewSession, recordResults } from '../core/review.js';
+import { createExamSession, gradeExamSession } from '../core/exam.js';
+import { updateHud, updateMissionBox, updateSignChecklist, updateReviewBox } from './hud.js';
+import { saveProgress } from '../core/save.js';
+import { t, localize, onLocaleChange } from '../core/i18n.js';
 
 // Global State
 export let currentSignId = null;
 export let isPopupOpen = false;
 
+// Quiz session currently on screen (drawn + shuffled by the Quiz engine)
+// Review and exam sessions use the pseudo sign IDs "review" and "exam".
+let activeQuiz = null;
+const REVIEW_ID = "review";
+const EXAM_ID = "exam";
+
+// Exam countdown
+let examTimer = null;
+let examEndsAt = 0;
+
 // Score & Progress Tracking
 // signScores[id] = integer point value
 // signStates[id] = boolean (true if mastered)
 export const signScores = {};
 export const signStates = {};
 
-// Initialize states for all signs to false (unlearned)
-SIGN_IDS.forEach((id) => (signStates[id] = false));
+/**
+ * Initialize states for all catalog signs to false (unlearned).
+ * Called once the sign catalog is loaded.
+ */
+export function initSignStates() {
+    SIGN_IDS.forEach((id) => (signStates[id] = false));
+}
 
 /**
  * Check if popup is currently open
@@ -48,7 +76,6 @@ export function openSignPopup(id) {
 
     const popup = document.getElementById("signPopup");
     const overlay = document.getElementById("popupOverlay");
-    const title = document.getElementById("popupTitle");
     const desc = document.getElementById("popupDesc");
     const img = document.getElementById("popupImage");
     const quizArea = document.getElementById("quizArea");
@@ -60,21 +87,33 @@ export function openSignPopup(id) {
     document.getElementById("startQuiz").style.display = "block";
 
     // Set content based on ID
+    renderSignInfo(id);
     const info = signPopupInfo[id];
-    if (info) {
-        title.innerText = info.title;
-        desc.innerText = info.desc;
-        img.src = info.img;
-    } else {
-        title.innerText = "Rambu Lalu Lintas";
-        desc.innerText = "Informasi detail untuk rambu ini belum tersedia.";
-        img.src = "images/rambu_parking.png";
-    }
+    img.src = info ? info.img : "images/rambu_parking.png";
 
     popup.style.display = "flex";
     overlay.style.display = "block";
 }
 
+/**
+ * Fill the popup title, description and image alt text for a sign in the active language.
+ */
+function renderSignInfo(id) {
+    const title = document.getElementById("popupTitle");
+    const desc = document.getElementById("popupDesc");
+    const img = document.getElementById("popupImage");
+
+    const info = signPopupInfo[id];
+    if (info) {
+        title.innerText = localize(info.title, `signPopupInfo.${id}.title`);
+        desc.innerText = localize(info.desc, `signPopupInfo.${id}.desc`);
+    } else {
+        title.innerText = t("popup.defaultTitle");
+        desc.innerText = t("popup.noInfo");
+    }
+    img.alt = `${t("popup.imageAlt")}: ${title.innerText}`;
+}
+
 /**
  * Hide popup and return to game
  */
@@ -90,6 +129,9 @@ export function hidePopup() {
     isPopupOpen = false;
     currentSignId = null;
 
+    // Closing the popup abandons a running exam
+    stopExamTimer();
+
     // Re-lock pointer
     if (controls && !controls.isLocked) {
         controls.lock();
@@ -109,28 +151,140 @@ export function startQuiz(id) {
 
     quizArea.style.display = "block";
 
-    const data = quizData[id];
-    if (!data) {
-        quizArea.innerHTML = "<p>Data kuis belum tersedia.</p>";
+    // Draw a fresh random set of questions with shuffled options
+    activeQuiz = createQuizSession(id);
+    if (!activeQuiz) {
+        quizArea.innerHTML = `<p>${t("quiz.noData")}</p>`;
         return;
     }
 
-    let html = `<div style="text-align:left; max-height:300px; overflow-y:auto;">`;
-    data.forEach((item, index) => {
+    renderSession(activeQuiz);
+}
+
+/**
+ * Open the popup with a review session of all due questions.
+ * Works from anywhere in the city; does nothing while another popup is open.
+ */
+export function startReview() {
+    if (isPopupOpen) return;
+
+    const quizArea = openSessionPopup(t("review.title"));
+
+    activeQuiz = createReviewSession();
+    if (!activeQuiz) {
+        quizArea.innerHTML = `<p>${t("review.nothingDue")}</p>`;
+    } else {
+        renderSession(activeQuiz);
+    }
+}
+
+/**
+ * Open the popup with a timed "Ujian SIM" paper mixed from all signs.
+ * Answers are only graded when the paper is submitted (or time runs out).
+ */
+export function startExam() {
+    if (isPopupOpen) return;
+
+    const quizArea = openSessionPopup(t("exam.title"));
+
+    activeQuiz = createExamSession();
+    if (!activeQuiz) {
+        quizArea.innerHTML = `<p>${t("quiz.noData")}</p>`;
+        return;
+    }
+
+    renderSession(activeQuiz);
+    startExamTimer(activeQuiz.durationSeconds);
+}
+
+/**
+ * Show the popup without sign info (for sessions that span all signs).
+ * @param {string} title - Popup title
+ * @returns {HTMLElement} The emptied quiz area
+ */
+function openSessionPopup(title) {
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+
+    isPopupOpen = true;
+    currentSignId = null;
+
+    document.getElementById("popupTitle").innerText = title;
+    document.getElementById("popupImage").style.display = "none";
+    document.getElementById("popupDesc").style.display = "none";
+    document.getElementById("startQuiz").style.display = "none";
+
+    const quizArea = document.getElementById("quizArea");
+    quizArea.style.display = "block";
+    quizArea.innerHTML = "";
+
+    document.getElementById("signPopup").style.display = "flex";
+    document.getElementById("popupOverlay").style.display = "block";
+
+    return quizArea;
+}
+
+/**
+ * Start the exam countdown; the paper is submitted automatically at 0.
+ */
+function startExamTimer(seconds) {
+    stopExamTimer();
+    examEndsAt = Date.now() + seconds * 1000;
+
+    const tick = () => {
+        const left = Math.max(0, Math.ceil((examEndsAt - Date.now()) / 1000));
+        const el = document.getElementById("examTimer");
+        if (el) {
+            const mm = Math.floor(left / 60).toString().padStart(2, '0');
+            const ss = (left % 60).toString().padStart(2, '0');
+            el.textContent = t("exam.timeLeft", { time: `${mm}:${ss}` });
+            el.classList.toggle("urgent", left <= 60);
+        }
+        if (left === 0) finishQuiz(EXAM_ID);
+    };
+
+    tick();
+    examTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Stop the exam countdown (submitted, timed out or abandoned).
+ */
+function stopExamTimer() {
+    if (examTimer) clearInterval(examTimer);
+    examTimer = null;
+}
+
+/**
+ * Render the questions of a session into the quiz area.
+ * @param {Object} session - Session from the Quiz engine or the Review module
+ */
+function renderSession(session) {
+    const quizArea = document.getElementById("quizArea");
+    const id = session.signId;
+    // Reviews name the sign of each question; an exam would give the answer away, so it only
+    // shows the names in the results
+    const showSignLabel = id === REVIEW_ID;
+
+    let html = "";
+    if (id === EXAM_ID) {
+        html += `<div id="examTimer" class="exam-timer"></div>
+  <p style="margin:4px 0 8px; font-size:13px;">${t("exam.intro", { count: session.questions.length, pass: Math.round(session.passMark * 100) })}</p>`;
+    }
+
+    html += `<div style="text-align:left; max-height:300px; overflow-y:auto;">`;
+    session.questions.forEach((item, index) => {
+        const signLabel = showSignLabel ? renderSignLabel(item) : "";
         html += `<div style="margin-bottom:12px; padding-bottom:8px; border-bottom:1px solid #ccc;">
+      ${signLabel}
       <p style="margin:4px 0;"><b>${index + 1}. ${item.q}</b></p>`;
-
-        item.a.forEach((ans, aIdx) => {
-            html += `
-       <label style="font-weight:normal;">
-         <input type="radio" name="q_${id}_${index}" value="${aIdx}"> ${ans}
-       </label>`;
-        });
+        html += renderQuestionInput(item, `q_${id}_${index}`);
         html += `</div>`;
     });
 
     html += `</div>
-  <button class="btn" id="checkAnswerBtn" style="background:#28a745; margin-top:10px; width:100%;">Cek Jawaban</button>`;
+  <button class="btn" id="checkAnswerBtn" style="background:#28a745; margin-top:10px; width:100%;">${id === EXAM_ID ? t("exam.submit") : t("quiz.check")}</button>`;
 
     quizArea.innerHTML = html;
 
@@ -140,75 +294,179 @@ export function startQuiz(id) {
     });
 }
 
+/**
+ * Small sign name above a question of a mixed session (review, exam results).
+ */
+function renderSignLabel(item) {
+    return `<small style="color:#555">${localize(labelMap[item.signId] || item.signId)}</small>`;
+}
+
+/**
+ * Build the answer inputs for one question, depending on its type.
+ * @param {Object} item - Prepared question from the Quiz engine
+ * @param {string} name - Input name shared by the question's inputs
+ */
+function renderQuestionInput(item, name) {
+    let html = "";
+
+    switch (item.type) {
+        case "image":
+            // Sign pictures side by side
+            html += `<div class="quiz-image-options">`;
+            item.options.forEach((opt, oIdx) => {
+                html += `
+       <label class="quiz-image-option">
+         <input type="radio" name="${name}" value="${oIdx}">
+         <img src="${opt.img}" alt="${t("quiz.optionAlt", { n: oIdx + 1 })}">
+       </label>`;
+            });
+            html += `</div>`;
+            break;
+
+        case "multi":
+            html += `<small style="color:#555">${t("quiz.pickAll")}</small>`;
+            item.options.forEach((opt, oIdx) => {
+                html += `
+       <label style="font-weight:normal;">
+         <input type="checkbox" name="${name}" value="${oIdx}"> ${opt.text}
+       </label>`;
+            });
+            break;
+
+        case "order":
+            // One dropdown per step to choose its position
+            html += `<small style="color:#555">${t("quiz.pickOrder", { count: item.options.length })}</small>`;
+            item.options.forEach((opt, oIdx) => {
+                let choices = `<option value="-1">-</option>`;
+                item.options.forEach((_, pos) => {
+                    choices += `<option value="${pos}">${pos + 1}</option>`;
+                });
+                html += `
+       <label style="font-weight:normal;">
+         <select name="${name}" data-option="${oIdx}">${choices}</select> ${opt.text}
+       </label>`;
+            });
+            break;
+
+        default:
+            // "mcq" and "truefalse": one radio per option
+            item.options.forEach((opt, oIdx) => {
+                html += `
+       <label style="font-weight:normal;">
+         <input type="radio" name="${name}" value="${oIdx}"> ${opt.text}
+       </label>`;
+            });
+    }
+
+    return html;
+}
+
+/**
+ * Read the player's response for one question from its inputs.
+ * Format matches what the Quiz engine grades (see core/quiz.js).
+ */
+function readResponse(item, name) {
+    const inputs = Array.from(document.getElementsByName(name));
+
+    if (item.type === "multi") {
+        return inputs.filter((el) => el.checked).map((el) => parseInt(el.value));
+    }
+
+    if (item.type === "order") {
+        const positions = item.options.map(() => -1);
+        inputs.forEach((el) => {
+            positions[parseInt(el.dataset.option)] = parseInt(el.value);
+        });
+        return positions;
+    }
+
+    const checked = inputs.find((el) => el.checked);
+    return checked ? parseInt(checked.value) : -1;
+}
+
 /**
  * Finish quiz and show results
+ * Answers are graded against the shuffled option mapping of the active session.
+ * Every answer also reschedules its question for review; only sign quizzes change scores.
+ * Exams additionally get a pass/fail verdict and a per-category breakdown.
  */
 export function finishQuiz(id) {
-    const data = quizData[id];
-    if (!data) return;
+    if (!activeQuiz || activeQuiz.signId !== id) return;
 
-    let correct = 0;
     const userAnswers = [];
 
-    // Check answers
-    data.forEach((item, index) => {
-        const radios = document.getElementsByName(`q_${id}_${index}`);
-        let val = -1;
-        for (const r of radios) {
-            if (r.checked) {
-                val = parseInt(r.value);
-                break;
-            }
-        }
-        userAnswers.push(val);
-        if (val === item.c) correct++;
+    // Collect responses (values refer to shuffled option indices)
+    activeQuiz.questions.forEach((item, index) => {
+        userAnswers.push(readResponse(item, `q_${id}_${index}`));
     });
 
-    // Update scores (2 points per correct answer)
-    signScores[id] = correct * 2;
+    const isExam = id === EXAM_ID;
+    const isSignQuiz = id !== REVIEW_ID && !isExam;
+
+    if (isExam) stopExamTimer();
 
-    // Mark as mastered if all correct
-    if (correct === data.length) {
-        signStates[id] = true;
+    const graded = isExam ? gradeExamSession(activeQuiz, userAnswers) : gradeQuizSession(activeQuiz, userAnswers);
+    const { correct, total, results } = graded;
+
+    // Graded once; a late timer tick or double click must not grade again
+    activeQuiz = null;
+
+    recordResults(results);
+
+    if (isSignQuiz) {
+        // Update scores (2 points per correct answer)
+        signScores[id] = correct * 2;
+
+        // Mark as mastered if all correct
+        if (correct === total) {
+            signStates[id] = true;
+        }
     }
 
     // Update UI
     updateHud(signScores);
     updateMissionBox(signStates);
     updateSignChecklist(signStates);
+    updateReviewBox();
+    saveProgress();
 
     // Show results
     const quizArea = document.getElementById("quizArea");
     let html = `
-    <h3 style="margin-top:0;">Hasil Kuis</h3>
+    <h3 style="margin-top:0;">${isExam ? t("exam.resultTitle") : isSignQuiz ? t("quiz.resultTitle") : t("review.resultTitle")}</h3>
     <p style="margin-bottom:12px;">
-      Benar <b>${correct}</b> dari <b>${data.length}</b> soal.
+      ${t("quiz.score", { correct: correct, total: total })}
     </p>
+    ${isExam ? renderExamSummary(graded) : ''}
     <div style="max-height:260px; overflow:auto; border:1px solid #eee; padding:8px;">
   `;
 
-    data.forEach((item, index) => {
-        const ans = userAnswers[index];
-        const isCorrect = ans === item.c;
-        const userStr = ans >= 0 ? item.a[ans] : "(Tidak dijawab)";
+    results.forEach(({ question: item, answer: ans, isCorrect }, index) => {
+        const userStr = describeResponse(item, ans);
 
         html += `<div style="margin-bottom:10px; font-size:14px;">
+       ${isSignQuiz ? '' : `${renderSignLabel(item)}<br>`}
        <b>${index + 1}. ${item.q}</b><br>
        <span style="color:${isCorrect ? 'green' : 'red'}">
-         Jawab: ${userStr} ${isCorrect ? '✅' : '❌'}
+         ${t("quiz.yourAnswer")}: ${userStr} ${isCorrect ? '✅' : '❌'}
        </span>
-       ${!isCorrect ? `<br><small style="color:#555">Kunci: ${item.a[item.c]}</small>` : ''}
+       ${!isCorrect ? `<br><small style="color:#555">${t("quiz.answerKey")}: ${describeAnswer(item)}</small>` : ''}
+       ${renderExplanation(item, isCorrect)}
      </div>`;
     });
 
     html += `</div>
-  <button class="btn" id="backToInfoBtn" style="background:#007bff; color:white; margin-top:14px; width:100%;">Kembali ke Info</button>
+  <button class="btn" id="backToInfoBtn" style="background:#007bff; color:white; margin-top:14px; width:100%;">${isSignQuiz ? t("quiz.backToInfo") : t("quiz.close")}</button>
   `;
 
     quizArea.innerHTML = html;
 
-    // Add back button handler
+    // Add back button handler (reviews and exams have no sign info to go back to)
     document.getElementById("backToInfoBtn").addEventListener("click", () => {
+        if (!isSignQuiz) {
+            hidePopup();
+            return;
+        }
         document.getElementById("popupImage").style.display = "block";
         document.getElementById("popupDesc").style.display = "block";
         document.getElementById("startQuiz").style.display = "block";
@@ -216,6 +474,37 @@ export function finishQuiz(id) {
     });
 }
 
+/**
+ * Pass/fail verdict and per-category breakdown of a graded exam.
+ */
+function renderExamSummary(graded) {
+    let rows = "";
+    graded.breakdown.forEach((entry) => {
+        rows += `<tr><td>${entry.label}</td><td>${entry.correct} / ${entry.total}</td></tr>`;
+    });
+
+    return `<div class="exam-verdict ${graded.passed ? 'passed' : 'failed'}">
+      ${graded.passed ? t("exam.passed") : t("exam.failed")} (${Math.round(graded.percent * 100)}%)
+    </div>
+    <table class="exam-breakdown">
+      <tr><th>${t("exam.category")}</th><th>${t("exam.correct")}</th></tr>
+      ${rows}
+    </table>`;
+}
+
+/**
+ * Explanation block for one graded question.
+ * Wrong answers get the highlighted variant so the learner reads why.
+ */
+function renderExplanation(item, isCorrect) {
+    if (!item.explanation) return "";
+
+    return `<div class="quiz-explanation${isCorrect ? '' : ' wrong'}">
+         ${isCorrect ? '' : `<b>${t("quiz.explanation")}:</b> `}${item.explanation}
+         ${item.ref ? `<small class="quiz-ref">${t("quiz.reference")}: ${item.ref}</small>` : ''}
+       </div>`;
+}
+
 /**
  * Initialize popup event handlers
  */
@@ -228,6 +517,31 @@ export function initPopupHandlers() {
         if (currentSignId) startQuiz(currentSignId);
     });
 
+    // Review: HUD button or key R (keys ignored while typing in a form field)
+    const reviewBtn = document.getElementById("startReview");
+    if (reviewBtn) reviewBtn.addEventListener("click", startReview);
+
+    // Exam: HUD button or key U
+    const examBtn = document.getElementById("startExam");
+    if (examBtn) examBtn.addEventListener("click", startExam);
+
+    document.addEventListener("keydown", (e) => {
+        if (e.repeat) return;
+        if (e.target.closest && e.target.closest("input, select, textarea")) return;
+        if (e.code === "KeyR") startReview();
+        if (e.code === "KeyU") startExam();
+    });
+
+    // Generic image alt text until a sign is opened
+    document.getElementById("popupImage").alt = t("popup.imageAlt");
+
+    // Sign info follows the language switcher (a running quiz keeps its language)
+    onLocaleChange(() => {
+        const quizArea = document.getElementById("quizArea");
+        if (currentSignId && quizArea.style.display === "none") renderSignInfo(currentSignId);
+        else if (!currentSignId) document.getElementById("popupImage").alt = t("popup.imageAlt");
+    });
+
     // Ensure popup is hidden initially
     const popup = document.getElementById("signPopup");
     const overlay = document.getElementById("popupOverlay");
@@ -3,7 +3,7 @@
  * 
  * Responsible for generating the static world environment:
  * - Ground/Terrain (Procedural Texture).
- * - Road Network (Grid System).
+ * - Road Network (Grid System) with lane markings, sign-requested markings and sidewalks.
  * - Buildings (Shops, Offices, Skyscrapers).
  * - Landmarks (School, Parking, Zebra Crossings).
  * - Environmental Decoration (Trees).
@@ -16,57 +16,130 @@ import { Tree } from '../objects/Tree.js';
 import { School } from '../objects/School.js';
 import { Parking } from '../objects/Parking.js';
 import { ZebraCross } from '../objects/ZebraCross.js';
+import { instanceObject, removeInstancedObject } from '../core/instancing.js';
+import { createSpatialIndex, boundsOf } from '../core/spatialIndex.js';
+import { addLodObject } from './lod.js';
 import { roadsideBuildings, mediumBuildings, skyscrapers } from '../data/buildingData.js';
+import { signConfigs } from '../data/signData.js';
+import { levelSettings, landmarkConfigs, crossingConfigs } from '../data/levelData.js';
+import { createRandom } from '../core/random.js';
 import * as THREE from 'three';
 
-// World Constants
-const roadWidth = 12; // Width of the asphalt
-const gridSpacing = 40; // Distance between road intersections
-
-// Tree Exclusion Zones (Areas where trees shouldn't grow)
-const noTreeZones = [
-    { xMin: 30, xMax: 55, zMin: -55, zMax: -25 }, // Parking Area
-    { xMin: -20, xMax: 20, zMin: -55, zMax: -25 }, // School Area
-];
+// Road Grid Layout (filled from the level's `roads` section by initWorld)
+// Shared with systems that need to know where the asphalt is (e.g. the drivable car).
+export const roadGrid = {
+    width: 12,    // Width of the asphalt
+    spacing: 40,  // Distance between road intersections
+    min: -100,    // First road centerline (X and Z)
+    max: 100,     // Last road centerline (X and Z)
+    length: 300,  // Length of every road strip
+    sidewalkWidth: 3,
+    curbHeight: 0.15
+};
+
+// Landmark builders per level landmark type
+const LANDMARK_OBJECTS = {
+    school: School,
+    parking: Parking
+};
+
+// Travel directions used by sign markings (North is -Z)
+const APPROACH_VECTORS = {
+    north: { x: 0, z: -1 },
+    south: { x: 0, z: 1 },
+    east: { x: 1, z: 0 },
+    west: { x: -1, z: 0 }
+};
+
+// Seeded streams for the ground texture noise and the trees
+const groundRandom = createRandom("ground");
+const treeRandom = createRandom("trees");
+
+// City Boundary (Player/Vehicle cannot go beyond +/- this value, set from the level)
+export let cityLimit = 130;
+
+// Tree Exclusion Zones (Areas where trees shouldn't grow, from the landmarks' `noTreeZone`)
+const noTreeZones = [];
 
 // Building Colliders (Used for player collision detection)
 export const buildingColliders = [];
 
+// Spatial index over the colliders (cell about one building wide), for the per-frame checks
+const colliderIndex = createSpatialIndex(20);
+
+// Zebra Crossings placed in the city (used by the pedestrians to cross roads)
+// Entry: { xStart, xEnd, z } - the crossing runs along X at `z`, across a North-South road
+export const zebraCrossings = [];
+
+// Scene object of every zebra crossing (crossing entry -> ZebraCross)
+const zebraMeshes = new Map();
+
 /**
  * Initialize the entire Game World.
  * Calls all sub-generators to build the city.
  */
 export function initWorld() {
+    // Layout of the loaded level
+    Object.assign(roadGrid, levelSettings.roads);
+    cityLimit = levelSettings.cityLimit;
+    landmarkConfigs.forEach(({ noTreeZone: zone }) => {
+        if (!zone) return;
+        noTreeZones.push({
+            xMin: zone.x - zone.width / 2, xMax: zone.x + zone.width / 2,
+            zMin: zone.z - zone.depth / 2, zMax: zone.z + zone.depth / 2
+        });
+    });
+
     createGround();     // Generate Asphalt/Grass Ground
     createRoads();      // Build Road Grid
     createBuildings();  // Place 3D Buildings
     createTrees();      // Plant Trees along roads
 
-    // 1. School Building (Landmark)
-    const school = new School(0, -40);
-    scene.add(school);
-    // Add collider to prevent walking through school
-    buildingColliders.push({ x: 0, z: -40, width: 20, depth: 15 });
-
-    // 2. Parking Lot (Landmark)
-    const parking = new Parking(40, -40);
-    scene.add(parking);
-
-    // 3. Zebra Crossings (Pedestrian Safety)
-    const zebra1 = new ZebraCross(13, 27, -30);
-    scene.add(zebra1);
+    // 1. Landmarks (School, Parking Lot)
+    landmarkConfigs.forEach((landmark) => {
+        const object = new LANDMARK_OBJECTS[landmark.type](landmark.x, landmark.z);
+        scene.add(object);
+        addLodObject(object); // Fog culling
+        // Add collider to prevent walking through it
+        if (landmark.collider) {
+            addCollider(landmark.x, landmark.z, landmark.collider.width, landmark.collider.depth);
+        }
+    });
 
-    const zebra2 = new ZebraCross(13, 28, -12);
-    scene.add(zebra2);
+    // 2. Zebra Crossings (Pedestrian Safety)
+    crossingConfigs.forEach(addZebraCrossing);
+}
 
-    const zebra3 = new ZebraCross(-26, -13, -12);
-    scene.add(zebra3);
+/**
+ * Paint a zebra crossing and register it for the pedestrians.
+ * @param {Object} crossing - { xStart, xEnd, z }
+ * @returns {ZebraCross} The crossing's scene object
+ */
+export function addZebraCrossing(crossing) {
+    const mesh = new ZebraCross(crossing.xStart, crossing.xEnd, crossing.z);
+    scene.add(mesh); // Hidden stripes, kept for picking
+    instanceObject(mesh);
+    zebraCrossings.push(crossing);
+    zebraMeshes.set(crossing, mesh);
+    return mesh;
+}
 
-    const zebra4 = new ZebraCross(-28, -13, 48);
-    scene.add(zebra4);
+/**
+ * Remove a zebra crossing added with addZebraCrossing.
+ */
+export function removeZebraCrossing(crossing) {
+    removeInstancedObject(zebraMeshes.get(crossing));
+    scene.remove(zebraMeshes.get(crossing));
+    zebraMeshes.delete(crossing);
+    const index = zebraCrossings.indexOf(crossing);
+    if (index !== -1) zebraCrossings.splice(index, 1);
+}
 
-    const zebra5 = new ZebraCross(53, 68, -30);
-    scene.add(zebra5);
+/**
+ * Scene object of a zebra crossing (for picking it in the level editor).
+ */
+export function getZebraCrossingMesh(crossing) {
+    return zebraMeshes.get(crossing);
 }
 
 /**
@@ -87,9 +160,9 @@ function createGround() {
 
     // 3. Add Noise (Random dots to simulate surface detail)
     for (let i = 0; i < 20000; i++) {
-        ctx.fillStyle = Math.random() > 0.5 ? '#555555' : '#333333';
-        const s = Math.random() * 2;
-        ctx.fillRect(Math.random() * 512, Math.random() * 512, s, s);
+        ctx.fillStyle = groundRandom() > 0.5 ? '#555555' : '#333333';
+        const s = groundRandom() * 2;
+        ctx.fillRect(groundRandom() * 512, groundRandom() * 512, s, s);
     }
 
     // 4. Add subtle Grid/Paving lines
@@ -124,20 +197,142 @@ function createGround() {
     scene.add(ground);
 }
 
+/**
+ * Road centerlines of the grid (same for X and Z).
+ */
+function gridLines() {
+    const lines = [];
+    for (let v = roadGrid.min; v <= roadGrid.max; v += roadGrid.spacing) lines.push(v);
+    return lines;
+}
+
+/**
+ * Approach a STOP sign stops: its rule's, otherwise the traffic its board faces.
+ */
+function stopSignApproach({ rotationY, rule }) {
+    if (rule && rule.approach) return rule.approach;
+
+    // The board faces (sin, cos) of its rotation, so its traffic drives the other way
+    const x = -Math.sin(rotationY);
+    const z = -Math.cos(rotationY);
+    return Object.keys(APPROACH_VECTORS).reduce((best, dir) => {
+        const v = APPROACH_VECTORS[dir];
+        const b = APPROACH_VECTORS[best];
+        return v.x * x + v.z * z > b.x * x + b.z * z ? dir : best;
+    });
+}
+
+/**
+ * Collect the road markings of the sign placements: a stop line for every STOP sign, plus the
+ * markings placements ask for (see the marking format in signData.js).
+ * @returns {Object} "x:<x>" (North-South road) / "z:<z>" (West-East road) -> { solidStretches, stopLines }
+ */
+function collectSignMarkings() {
+    const lines = gridLines();
+    const snap = (v) => Math.max(roadGrid.min, Math.min(roadGrid.max, Math.round((v - roadGrid.min) / roadGrid.spacing) * roadGrid.spacing + roadGrid.min));
+
+    const markings = {};
+    const entry = (vertical, line) => {
+        const key = `${vertical ? "x" : "z"}:${line}`;
+        return (markings[key] = markings[key] || { solidStretches: [], stopLines: [] });
+    };
+
+    signConfigs.forEach((config) => {
+        const { id, x, z, marking } = config;
+
+        // Every STOP sign gets its stop line; a "stopLine" marking overrides the approach
+        // (or asks for a line next to another sign)
+        let stopApproach = id === "stop" ? stopSignApproach(config) : null;
+        if (marking && marking.type === "stopLine") stopApproach = marking.approach;
+
+        if (stopApproach) {
+            // Stop line at the edge of the next junction ahead, across the lane of that approach
+            const dir = APPROACH_VECTORS[stopApproach];
+            const vertical = dir.x === 0;
+            const along = vertical ? z : x;
+            const step = vertical ? dir.z : dir.x;
+            const ahead = lines.filter((v) => (v - along) * step > 0).sort((a, b) => (a - b) * step)[0];
+
+            // Traffic keeps LEFT: the lane lies left of the travel direction, i.e. towards (dir.z, -dir.x)
+            const side = vertical ? Math.sign(dir.z) : Math.sign(-dir.x);
+            if (ahead !== undefined) {
+                entry(vertical, snap(vertical ? x : z)).stopLines.push({ along: ahead - step * (roadGrid.width / 2 + 0.5), side });
+            }
+        }
+
+        if (marking && marking.type === "solidCenterLine") {
+            // Nearest road, solid between the junctions on both sides of the sign
+            const vertical = Math.abs(x - snap(x)) <= Math.abs(z - snap(z));
+            const along = vertical ? z : x;
+            const before = Math.max(-roadGrid.length / 2, ...lines.filter((v) => v <= along));
+            const after = Math.min(roadGrid.length / 2, ...lines.filter((v) => v >= along));
+            entry(vertical, snap(vertical ? x : z)).solidStretches.push([before, after]);
+        }
+    });
+
+    return markings;
+}
+
 /**
  * Membuat Jaringan Jalan (Grid)
+ * Every road knows where the others cross it, so markings and sidewalks stop at the junctions.
  */
 function createRoads() {
-    // Jalan Vertikal (Utara-Selatan)
-    for (let i = -100; i <= 100; i += gridSpacing) {
-        const road = new Road(roadWidth, 300, i, 0);
+    const lines = gridLines();
+    const markings = collectSignMarkings();
+    const options = (key) => ({
+        junctions: lines,
+        sidewalkWidth: roadGrid.sidewalkWidth,
+        curbHeight: roadGrid.curbHeight,
+        ...markings[key]
+    });
+
+    // Jalan Vertikal (Utara-Selatan) - their sidewalks also pave the junction corners
+    lines.forEach((i) => {
+        const road = new Road(roadGrid.width, roadGrid.length, i, 0, { ...options(`x:${i}`), sidewalkCorners: true });
         scene.add(road);
-    }
+    });
     // Jalan Horizontal (Barat-Timur)
-    for (let j = -100; j <= 100; j += gridSpacing) {
-        const road = new Road(300, roadWidth, 0, j);
+    lines.forEach((j) => {
+        const road = new Road(roadGrid.length, roadGrid.width, 0, j, options(`z:${j}`));
         scene.add(road);
-    }
+    });
+}
+
+/**
+ * Register a building collider (a ground rectangle).
+ */
+function addCollider(x, z, width, depth) {
+    const collider = { x, z, width, depth };
+    buildingColliders.push(collider);
+    colliderIndex.insert(collider, boundsOf(x, z, width, depth));
+}
+
+/**
+ * Building colliders that may overlap a ground rectangle (broad phase).
+ * @param {Object} bounds - { minX, minZ, maxX, maxZ }
+ * @returns {Array<Object>} Candidate colliders { x, z, width, depth }
+ */
+export function findBuildingColliders(bounds) {
+    return colliderIndex.query(bounds);
+}
+
+/**
+ * Check whether a circle on the ground overlaps any building collider.
+ * @param {THREE.Vector3} position - Center of the circle (Y is ignored)
+ * @param {number} radius - Radius of the moving body (player/car)
+ */
+export function collidesWithBuildings(position, radius = 1.0) {
+    return findBuildingColliders(boundsOf(position.x, position.z, radius * 2)).some(b => {
+        const halfW = b.width / 2 + radius;
+        const halfD = b.depth / 2 + radius;
+        return (
+            position.x > b.x - halfW &&
+            position.x < b.x + halfW &&
+            position.z > b.z - halfD &&
+            position.z < b.z + halfD
+        );
+    });
 }
 
 
@@ -155,7 +350,7 @@ function addRandomTreesSmart(config, minCount = 8, maxCount = 15) {
     const maxAttempts = 300; // Bail-out to prevent infinite loops
 
     // Target random count for this building
-    const targetCount = Math.floor(Math.random() * (maxCount - minCount + 1)) + minCount;
+    const targetCount = Math.floor(treeRandom() * (maxCount - minCount + 1)) + minCount;
     let count = 0;
 
     // Building Dimensions
@@ -166,8 +361,8 @@ function addRandomTreesSmart(config, minCount = 8, maxCount = 15) {
 
     for (let i = 0; i < maxAttempts && count < targetCount; i++) {
         // 1. Generate Polar Coordinates
-        const angle = Math.random() * Math.PI * 2; // Random 360 deg
-        const dist = radiusMin + Math.random() * (radiusMax - radiusMin); // Random distance
+        const angle = treeRandom() * Math.PI * 2; // Random 360 deg
+        const dist = radiusMin + treeRandom() * (radiusMax - radiusMin); // Random distance
 
         // Convert Polar to Cartesian
         const tx = config.x + Math.cos(angle) * dist;
@@ -196,11 +391,11 @@ function addRandomTreesSmart(config, minCount = 8, maxCount = 15) {
         // Place Tree
         const tree = new Tree(tx, tz);
         // Vary size naturally (0.9x - 1.5x)
-        const scale = 0.9 + Math.random() * 0.6;
+        const scale = 0.9 + treeRandom() * 0.6;
         tree.scale.set(scale, scale, scale);
-        tree.rotation.y = Math.random() * Math.PI * 2; // Random facing
+        tree.rotation.y = treeRandom() * Math.PI * 2; // Random facing
 
-        scene.add(tree);
+        instanceObject(tree); // Drawn as instances, the tree itself stays out of the scene
         treesPlaced.push({ x: tx, z: tz });
         count++;
     }
@@ -213,14 +408,15 @@ function addRandomTreesSmart(config, minCount = 8, maxCount = 15) {
 function isTooCloseToRoadLoose(x, z) {
     // Lebar jalan 12 -> Setengahnya 6.
     // Kita ingin pohon di LUAR aspal (6) + buffer kecil (1.5) = 7.5
-    const safeDist = (roadWidth / 2) + 1.5;
+    const safeDist = (roadGrid.width / 2) + 1.5;
+    const halfLength = roadGrid.length / 2;
 
     if (Math.abs(z) < safeDist) return true;
     if (Math.abs(x) < safeDist) return true;
 
-    for (let i = -100; i <= 100; i += gridSpacing) {
-        if (Math.abs(x - i) < safeDist && Math.abs(z) < 150) return true;
-        if (Math.abs(z - i) < safeDist && Math.abs(x) < 150) return true;
+    for (const i of gridLines()) {
+        if (Math.abs(x - i) < safeDist && Math.abs(z) < halfLength) return true;
+        if (Math.abs(z - i) < safeDist && Math.abs(x) < halfLength) return true;
     }
     return false;
 }
@@ -233,25 +429,28 @@ function createBuildings() {
     roadsideBuildings.forEach(config => {
         const building = new Building(config.x, config.z, config.width, config.height, config.depth, config.color);
         scene.add(building);
+        addLodObject(building);
         addRandomTreesSmart(config);
         // Daftarkan ke sistem collision
-        buildingColliders.push({ x: config.x, z: config.z, width: config.width, depth: config.depth });
+        addCollider(config.x, config.z, config.width, config.depth);
     });
 
     // 2. Buat Gedung Menengah (Perkantoran)
     mediumBuildings.forEach(config => {
         const building = new Building(config.x, config.z, config.width, config.height, config.depth, config.color);
         scene.add(building);
+        addLodObject(building);
         addRandomTreesSmart(config);
-        buildingColliders.push({ x: config.x, z: config.z, width: config.width, depth: config.depth });
+        addCollider(config.x, config.z, config.width, config.depth);
     });
 
     // 3. Buat Pencakar Langit (Apartemen/Hotel)
     skyscrapers.forEach(config => {
         const skyscraper = new Building(config.x, config.z, config.width, config.height, config.depth, config.color);
         scene.add(skyscraper);
+        addLodObject(skyscraper);
         addRandomTreesSmart(config);
-        buildingColliders.push({ x: config.x, z: config.z, width: config.width, depth: config.depth });
+        addCollider(config.x, config.z, config.width, config.depth);
     });
 }
 
@@ -273,14 +472,16 @@ function isInNoTreeZone(x, z) {
  */
 function isTooCloseToRoad(x, z) {
     const margin = 5;
+    const halfWidth = roadGrid.width / 2;
+    const halfLength = roadGrid.length / 2;
 
-    if (Math.abs(z) < roadWidth / 2 + margin) return true;
-    if (Math.abs(x) < roadWidth / 2 + margin) return true;
+    if (Math.abs(z) < halfWidth + margin) return true;
+    if (Math.abs(x) < halfWidth + margin) return true;
 
-    for (let i = -100; i <= 100; i += gridSpacing) {
-        if (Math.abs(x - i) < roadWidth / 2 + margin && Math.abs(z) < 150)
+    for (const i of gridLines()) {
+        if (Math.abs(x - i) < halfWidth + margin && Math.abs(z) < halfLength)
             return true;
-        if (Math.abs(z - i) < roadWidth / 2 + margin && Math.abs(x) < 150)
+        if (Math.abs(z - i) < halfWidth + margin && Math.abs(x) < halfLength)
             return true;
     }
     return false;
@@ -292,21 +493,19 @@ function isTooCloseToRoad(x, z) {
 function createTrees() {
     const offsetFromRoad = 12;
     const treeSpacing = 8;
-    const maxRange = 100;
+    const maxRange = roadGrid.max;
 
     // Tanam pohon berjejer di jalan vertikal
-    for (let i = -100; i <= 100; i += gridSpacing) {
+    for (const i of gridLines()) {
         for (let z = -maxRange; z <= maxRange; z += treeSpacing) {
-            const leftX = i - roadWidth / 2 - offsetFromRoad;
-            const rightX = i + roadWidth / 2 + offsetFromRoad;
+            const leftX = i - roadGrid.width / 2 - offsetFromRoad;
+            const rightX = i + roadGrid.width / 2 + offsetFromRoad;
 
             if (!isInNoTreeZone(leftX, z) && !isTooCloseToRoad(leftX, z)) {
-                const tree = new Tree(leftX, z);
-                scene.add(tree);
+                instanceObject(new Tree(leftX, z));
             }
             if (!isInNoTreeZone(rightX, z) && !isTooCloseToRoad(rightX, z)) {
-                const tree = new Tree(rightX, z);
-                scene.add(tree);
+                instanceObject(new Tree(rightX, z));
             }
         }
     }
@@ -326,7 +525,7 @@ function createTrees() {
         if (!isInNoTreeZone(loc.x, loc.z) && !isTooCloseToRoad(loc.x, loc.z)) {
             const bigTree = new Tree(loc.x, loc.z);
             bigTree.scale.set(2.5, 2.5, 2.5); // Ukuran raksasa
-            scene.add(bigTree);
+            instanceObject(bigTree);
         }
     });
 }
@@ -5,12 +5,19 @@
  * - Day/Night Cycle: Simulates a 24-hour cycle with sun and moon movement.
  * - Celestial Bodies: Sun, Moon, and procedural moving Clouds.
  * - Global Lighting: Hemisphere light (ambient) and Directional light (sun/moon shadow caster).
- * - Artificial Lighting: Street lamps and Dynamic Traffic Lights.
+ * - Artificial Lighting: Street lamps.
+ * - Weather: Dimmer light, a grey sky and closer fog while it rains or is foggy (weather.js).
+ *
+ * Traffic lights are run by the intersection controllers in signals.js.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 import { scene } from '../core/scene.js';
 import { getDayNightAuto, getTimeOfDay, setTimeOfDay } from '../core/controls.js';
+import { createRandom } from '../core/random.js';
+import { lampConfigs } from '../data/levelData.js';
+import { weather } from './weather.js';
+import { sharedGeometry, sharedMaterial, instanceObject, updateInstancedObject, removeInstancedObject } from '../core/instancing.js';
 
 // Global Light Objects
 export let hemiLight;
@@ -21,9 +28,18 @@ let sunMesh;
 let moonMesh;
 let cloudsGroup;
 
+// Seeded stream for the cloud shapes and positions
+const random = createRandom("clouds");
+
+// Fog distances in clear weather (the far plane follows the graphics preset, see setFogDistance)
+const FOG_NEAR = 50;
+let fogFar = 200;
+
 // Collections for update loops
 export const streetLamps = [];
-export const trafficLights = [];
+
+// Most street lamps whose PointLight is on (the nearest to the player, see updateLampLights)
+let lampLightLimit = Infinity;
 
 /**
  * Initialize all lighting systems.
@@ -34,11 +50,10 @@ export const trafficLights = [];
  * 2. create Global Lights (Hemisphere + Directional).
  * 3. Create visual Sky objects (Sun, Moon, Clouds).
  * 4. Generate all Street Lamps.
- * 5. Initialize Traffic Lights at intersections.
  */
 export function initLighting() {
     // 1. Atmospheric Fog (Matches sky color)
-    scene.fog = new THREE.Fog(0xaee6ff, 50, 200);
+    scene.fog = new THREE.Fog(0xaee6ff, FOG_NEAR, fogFar);
 
     // 2. Hemisphere Light (Soft ambient gradient from sky to ground)
     hemiLight = new THREE.HemisphereLight(0xffffff, 0x88bbff, 0.7);
@@ -59,13 +74,6 @@ export function initLighting() {
 
     // 5. Generate Street Lamps
     createAllStreetLamps();
-
-    // 6. Setup Traffic Lights in world coordinates
-    createTrafficLight(13, -27);
-    createTrafficLight(27, -27);
-    createTrafficLight(-13, -28);
-    createTrafficLight(-13, 53);
-    createTrafficLight(67, -27);
 }
 
 /**
@@ -127,31 +135,31 @@ function createClouds() {
         const cluster = new THREE.Group();
 
         // Buat beberapa kotak/bola untuk membentuk satu awan
-        const blobs = 3 + Math.floor(Math.random() * 5);
+        const blobs = 3 + Math.floor(random() * 5);
         for (let j = 0; j < blobs; j++) {
-            const size = 3 + Math.random() * 4;
+            const size = 3 + random() * 4;
             // Gunakan Dodecahedron untuk bentuk awan low-poly yang bagus
             const geo = new THREE.DodecahedronGeometry(size, 0);
             const blob = new THREE.Mesh(geo, cloudMat);
 
             blob.position.set(
-                (Math.random() - 0.5) * size * 2,
-                (Math.random() - 0.5) * size,
-                (Math.random() - 0.5) * size * 1.5
+                (random() - 0.5) * size * 2,
+                (random() - 0.5) * size,
+                (random() - 0.5) * size * 1.5
             );
             cluster.add(blob);
         }
 
         // Posisi Acak di Langit
         cluster.position.set(
-            (Math.random() - 0.5) * 400, // X: Sebar luas
-            60 + Math.random() * 40,     // Y: Tinggi 60-100
-            (Math.random() - 0.5) * 400  // Z: Sebar luas
+            (random() - 0.5) * 400, // X: Sebar luas
+            60 + random() * 40,     // Y: Tinggi 60-100
+            (random() - 0.5) * 400  // Z: Sebar luas
         );
 
         // Simpan data kecepatan untuk animasi
         cluster.userData = {
-            speed: 0.5 + Math.random() * 1.5
+            speed: 0.5 + random() * 1.5
         };
 
         cloudsGroup.add(cluster);
@@ -172,10 +180,14 @@ function createClouds() {
  *       - Head (Box - The lamp casing)
  *       - Bulb (Box - The emissive light source)
  *       - Light (PointLight - The actual light emitter)
+ *
+ * The parts use shared geometries and materials and are drawn as instances
+ * (the bulbs share one material, so night switches all of them at once).
  * 
  * @param {number} x - X coordinate
  * @param {number} z - Z coordinate
  * @param {number} rotationY - Rotation around Y axis (in radians)
+ * @returns {Object} The lamp entry { group, light, bulb }
  */
 function createStreetLamp(x, z, rotationY = 0) {
     const lampGroup = new THREE.Group();
@@ -184,8 +196,8 @@ function createStreetLamp(x, z, rotationY = 0) {
 
     // 1. Base (Concrete foundation)
     const base = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.35, 0.45, 0.5, 16),
-        new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8 })
+        sharedGeometry("lamp.base", () => new THREE.CylinderGeometry(0.35, 0.45, 0.5, 16)),
+        sharedMaterial("lamp.base", () => new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8 }))
     );
     base.position.set(0, 0.25, 0);
     lampGroup.add(base);
@@ -193,8 +205,8 @@ function createStreetLamp(x, z, rotationY = 0) {
     // 2. Pole (Main vertical post)
     const poleHeight = 6.0;
     const pole = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.12, 0.25, poleHeight, 16),
-        new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6 })
+        sharedGeometry("lamp.pole", () => new THREE.CylinderGeometry(0.12, 0.25, poleHeight, 16)),
+        sharedMaterial("lamp.pole", () => new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6 }))
     );
     pole.position.set(0, poleHeight / 2 + 0.5, 0);
     pole.castShadow = true;
@@ -211,8 +223,8 @@ function createStreetLamp(x, z, rotationY = 0) {
     // a. Arm Mesh
     const armLength = 1.8;
     const arm = new THREE.Mesh(
-        new THREE.BoxGeometry(armLength, 0.15, 0.15),
-        new THREE.MeshStandardMaterial({ color: 0x333333 })
+        sharedGeometry("lamp.arm", () => new THREE.BoxGeometry(armLength, 0.15, 0.15)),
+        sharedMaterial("lamp.arm", () => new THREE.MeshStandardMaterial({ color: 0x333333 }))
     );
     // Shift center so it extends outwards
     arm.position.set(armLength / 2, 0, 0);
@@ -226,10 +238,9 @@ function createStreetLamp(x, z, rotationY = 0) {
     armGroup.add(headGroup);
 
     // a. Lamp Head Casing (Box style)
-    const headGeo = new THREE.BoxGeometry(0.8, 0.2, 0.35);
     const head = new THREE.Mesh(
-        headGeo,
-        new THREE.MeshStandardMaterial({ color: 0x222222 })
+        sharedGeometry("lamp.head", () => new THREE.BoxGeometry(0.8, 0.2, 0.35)),
+        sharedMaterial("lamp.head", () => new THREE.MeshStandardMaterial({ color: 0x222222 }))
     );
     // Offset slightly forward
     head.position.set(0.4, 0, 0);
@@ -237,12 +248,12 @@ function createStreetLamp(x, z, rotationY = 0) {
 
     // b. LED Bulb (Emissive material for "glow" look)
     const bulb = new THREE.Mesh(
-        new THREE.BoxGeometry(0.6, 0.05, 0.25),
-        new THREE.MeshStandardMaterial({
+        sharedGeometry("lamp.bulb", () => new THREE.BoxGeometry(0.6, 0.05, 0.25)),
+        sharedMaterial("lamp.bulb", () => new THREE.MeshStandardMaterial({
             color: 0xffffee,
             emissive: 0xffaa00,
             emissiveIntensity: 2.0
-        })
+        }))
     );
     // Attached to bottom of head
     bulb.position.set(0.4, -0.11, 0);
@@ -252,11 +263,88 @@ function createStreetLamp(x, z, rotationY = 0) {
     const light = new THREE.PointLight(0xffddaa, 0, 40, 1.5);
     light.position.set(0.4, -0.5, 0); // Below bulb
     light.castShadow = false; // Disable shadow for performance
+    light.visible = streetLamps.length < lampLightLimit;
     headGroup.add(light);
 
-    scene.add(lampGroup);
+    scene.add(lampGroup); // Hidden parts and the light, kept for picking
+    instanceObject(lampGroup);
     // Store reference for day/night updates
-    streetLamps.push({ group: lampGroup, light, bulb });
+    const lamp = { group: lampGroup, light, bulb };
+    streetLamps.push(lamp);
+    return lamp;
+}
+
+/**
+ * Create the street lamp of one `lampConfigs` entry.
+ * @param {Object} config - Lamp placement { x, z, rotationY }
+ * @returns {Object} The lamp entry { group, light, bulb, config }
+ */
+export function addStreetLamp(config) {
+    const lamp = createStreetLamp(config.x, config.z, config.rotationY);
+    lamp.config = config;
+    return lamp;
+}
+
+/**
+ * Take a street lamp out of the scene (its `lampConfigs` entry is left to the caller).
+ * @param {Object} lamp - Lamp entry returned by addStreetLamp
+ */
+export function removeStreetLamp(lamp) {
+    removeInstancedObject(lamp.group);
+    scene.remove(lamp.group);
+    const index = streetLamps.indexOf(lamp);
+    if (index !== -1) streetLamps.splice(index, 1);
+}
+
+/**
+ * Limit how many street lamps light up their surroundings (graphics quality).
+ * The bulbs of all lamps keep glowing.
+ * @param {number} count - Number of PointLights (Infinity = every lamp)
+ */
+export function setLampLightLimit(count) {
+    lampLightLimit = count;
+}
+
+/**
+ * Give the PointLights to the lamps nearest to a position. Keeps the number of lights
+ * constant, so moving around never forces the shaders to recompile.
+ * @param {THREE.Vector3} position - Player (camera) position
+ */
+export function updateLampLights(position) {
+    if (lampLightLimit >= streetLamps.length) {
+        streetLamps.forEach((lamp) => (lamp.light.visible = true));
+        return;
+    }
+    streetLamps
+        .map((lamp) => ({ lamp, distance: lamp.group.position.distanceToSquared(position) }))
+        .sort((a, b) => a.distance - b.distance)
+        .forEach(({ lamp }, index) => (lamp.light.visible = index < lampLightLimit));
+}
+
+/**
+ * Set the fog far plane for clear weather (graphics quality). Rain and fog bring it closer.
+ * @param {number} far - Distance (m) where the fog hides everything
+ */
+export function setFogDistance(far) {
+    fogFar = far;
+}
+
+/**
+ * Show only the first clouds (graphics quality). The sky is always generated in full,
+ * so the cloud shapes stay the same for every setting.
+ * @param {number} count - Number of visible clouds
+ */
+export function setCloudCount(count) {
+    if (!cloudsGroup) return;
+    cloudsGroup.children.forEach((cluster, index) => (cluster.visible = index < count));
+}
+
+/**
+ * Follow a street lamp whose group was moved or turned (level editor).
+ * @param {Object} lamp - Lamp entry returned by addStreetLamp
+ */
+export function updateStreetLamp(lamp) {
+    updateInstancedObject(lamp.group);
 }
 
 /**
@@ -268,8 +356,9 @@ function createStreetLamp(x, z, rotationY = 0) {
  * 2. Calculate Sun position using circular orbit math (sin/cos).
  * 3. Position Moon opposite to Sun.
  * 4. Animate clouds (move horizontally).
- * 5. Update Sky color + Fog color based on `dayFactor` (gradient interpolation).
- * 6. Toggle Street Lights during night hours.
+ * 5. Update Sky color + Fog color based on `dayFactor` (gradient interpolation),
+ *    greyed and with closer fog by the weather.
+ * 6. Toggle Street Lights during night hours (and in dark weather).
  * 
  * @param {number} delta - Time elapsed since last frame
  */
@@ -322,7 +411,7 @@ export function updateDayNight(delta) {
         });
 
         // Dynamic Cloud Color (Darker at night)
-        const cloudColorVal = Math.max(0.2, sunHeight);
+        const cloudColorVal = Math.max(0.2, sunHeight) * weather.light;
         const c = new THREE.Color().setScalar(cloudColorVal);
         if (cloudsGroup.children.length > 0) {
             cloudsGroup.children[0].children[0].material.color.copy(c);
@@ -334,8 +423,8 @@ export function updateDayNight(delta) {
     const dayFactor = Math.max(0, sunHeight);
     const nightFactor = 1 - dayFactor;
 
-    sunLight.intensity = 1.3 * dayFactor;
-    hemiLight.intensity = 0.4 + 0.6 * dayFactor;
+    sunLight.intensity = 1.3 * dayFactor * weather.light;
+    hemiLight.intensity = (0.4 + 0.6 * dayFactor) * weather.light;
 
     // Sky Color Interpolation
     const dayColor = new THREE.Color(0xaee6ff); // Light Blue
@@ -353,286 +442,33 @@ export function updateDayNight(delta) {
         skyColor = new THREE.Color().lerpColors(sunsetColor, nightColor, t);
     }
 
+    // Overcast: grey of the same brightness, a bit darker
+    if (weather.overcast > 0) {
+        const luminance = 0.2126 * skyColor.r + 0.7152 * skyColor.g + 0.0722 * skyColor.b;
+        const grey = new THREE.Color().setScalar(luminance * 0.85);
+        skyColor.lerp(grey, weather.overcast);
+    }
+
     scene.background = skyColor;
     if (scene.fog) {
         scene.fog.color.copy(skyColor);
+        scene.fog.near = FOG_NEAR * weather.visibility;
+        scene.fog.far = fogFar * weather.visibility;
     }
 
     // Street Lamps Logic controls
-    // Lights turn on when nightFactor > 0.2
+    // Lights turn on when nightFactor > 0.2 (dark weather counts as dusk)
+    const darkness = Math.max(nightFactor, 1 - weather.light);
     streetLamps.forEach((lamp) => {
-        const intensity = 3.0 * Math.max(0, nightFactor - 0.2);
+        const intensity = 3.0 * Math.max(0, darkness - 0.2);
         lamp.light.intensity = intensity;
         lamp.bulb.material.emissiveIntensity = intensity > 0.1 ? 2.0 : 0;
     });
 }
 
+/**
+ * Place the street lamps of the loaded level.
+ */
 function createAllStreetLamps() {
-    createStreetLamp(46, -29, Math.PI / 2);
-    createStreetLamp(28.5, -46, Math.PI);
-    createStreetLamp(52, 81, 0);
-    createStreetLamp(-13, 34, Math.PI);
-    createStreetLamp(12.5, -1, 0);
-    createStreetLamp(-38, -67, -Math.PI / 2);
-    createStreetLamp(-35, -27, -Math.PI / 2);
-    createStreetLamp(67, -77, -Math.PI);
-    createStreetLamp(107, -4, Math.PI);
-    createStreetLamp(67, 33, -Math.PI);
-    createStreetLamp(13, -33, 0);
-    createStreetLamp(34, -29, Math.PI / 2);
-    createStreetLamp(12, 34, 0);
-    createStreetLamp(-12, 12, Math.PI);
-    createStreetLamp(-28, 28, 0);
-    createStreetLamp(-28, -10, 0);
-    createStreetLamp(-10, -10, Math.PI);
-    createStreetLamp(-5, -28.5, -Math.PI / 2);
-    createStreetLamp(-52, 28, Math.PI);
-    createStreetLamp(-52, 12, Math.PI);
-
-    // -- Generated Intelligent Lamps (Pinwheel) --
-    createStreetLamp(-108, -132, 0);
-    createStreetLamp(-108, -108, Math.PI / 2);
-    createStreetLamp(-132, -108, Math.PI);
-    createStreetLamp(-132, -132, -Math.PI / 2);
-    createStreetLamp(-108, -92, 0);
-    createStreetLamp(-108, -68, Math.PI / 2);
-    createStreetLamp(-132, -68, Math.PI);
-    createStreetLamp(-132, -92, -Math.PI / 2);
-    createStreetLamp(-108, -52, 0);
-    createStreetLamp(-108, -28, Math.PI / 2);
-    createStreetLamp(-132, -28, Math.PI);
-    createStreetLamp(-132, -52, -Math.PI / 2);
-    createStreetLamp(-108, -12, 0);
-    createStreetLamp(-108, 12, Math.PI / 2);
-    createStreetLamp(-132, 12, Math.PI);
-    createStreetLamp(-132, -12, -Math.PI / 2);
-    createStreetLamp(-108, 28, 0);
-    createStreetLamp(-108, 52, Math.PI / 2);
-    createStreetLamp(-132, 52, Math.PI);
-    createStreetLamp(-132, 28, -Math.PI / 2);
-    createStreetLamp(-108, 68, 0);
-    createStreetLamp(-108, 92, Math.PI / 2);
-    createStreetLamp(-132, 92, Math.PI);
-    createStreetLamp(-132, 68, -Math.PI / 2);
-    createStreetLamp(-108, 108, 0);
-    createStreetLamp(-108, 132, Math.PI / 2);
-    createStreetLamp(-132, 132, Math.PI);
-    createStreetLamp(-132, 108, -Math.PI / 2);
-    createStreetLamp(-68, -132, 0);
-    createStreetLamp(-68, -108, Math.PI / 2);
-    createStreetLamp(-92, -108, Math.PI);
-    createStreetLamp(-92, -132, -Math.PI / 2);
-    createStreetLamp(-68, -92, 0);
-    createStreetLamp(-68, -68, Math.PI / 2);
-    createStreetLamp(-92, -68, Math.PI);
-    createStreetLamp(-92, -92, -Math.PI / 2);
-    createStreetLamp(-68, -52, 0);
-    createStreetLamp(-68, -28, Math.PI / 2);
-    createStreetLamp(-92, -28, Math.PI);
-    createStreetLamp(-92, -52, -Math.PI / 2);
-    createStreetLamp(-68, -12, 0);
-    createStreetLamp(-68, 12, Math.PI / 2);
-    createStreetLamp(-92, 12, Math.PI);
-    createStreetLamp(-92, -12, -Math.PI / 2);
-    createStreetLamp(-68, 108, 0);
-    createStreetLamp(-68, 132, Math.PI / 2);
-    createStreetLamp(-92, 132, Math.PI);
-    createStreetLamp(-92, 108, -Math.PI / 2);
-    createStreetLamp(-28, -132, 0);
-    createStreetLamp(-28, -108, Math.PI / 2);
-    createStreetLamp(-52, -108, Math.PI);
-    createStreetLamp(-52, -132, -Math.PI / 2);
-    createStreetLamp(-28, -52, 0);
-    createStreetLamp(-52, -28, Math.PI);
-    createStreetLamp(-52, -52, -Math.PI / 2);
-    createStreetLamp(-28, 12, Math.PI / 2);
-    createStreetLamp(-52, -12, -Math.PI / 2);
-    createStreetLamp(-28, 52, Math.PI / 2);
-    createStreetLamp(-52, 52, Math.PI);
-    createStreetLamp(-28, 108, 0);
-    createStreetLamp(-28, 132, Math.PI / 2);
-    createStreetLamp(-52, 132, Math.PI);
-    createStreetLamp(-52, 108, -Math.PI / 2);
-    createStreetLamp(12, -132, 0);
-    createStreetLamp(12, -108, Math.PI / 2);
-    createStreetLamp(-12, -108, Math.PI);
-    createStreetLamp(-12, -132, -Math.PI / 2);
-    createStreetLamp(12, -92, 0);
-    createStreetLamp(12, -68, Math.PI / 2);
-    createStreetLamp(-12, -68, Math.PI);
-    createStreetLamp(-12, -92, -Math.PI / 2);
-    createStreetLamp(12, -12, 0);
-    createStreetLamp(12, 12, Math.PI / 2);
-    createStreetLamp(12, 28, 0);
-    createStreetLamp(12, 52, Math.PI / 2);
-    createStreetLamp(-12, 52, Math.PI);
-    createStreetLamp(-12, 28, -Math.PI / 2);
-    createStreetLamp(12, 68, 0);
-    createStreetLamp(12, 92, Math.PI / 2);
-    createStreetLamp(-12, 92, Math.PI);
-    createStreetLamp(-12, 68, -Math.PI / 2);
-    createStreetLamp(12, 108, 0);
-    createStreetLamp(12, 132, Math.PI / 2);
-    createStreetLamp(-12, 132, Math.PI);
-    createStreetLamp(-12, 108, -Math.PI / 2);
-    createStreetLamp(52, -132, 0);
-    createStreetLamp(52, -108, Math.PI / 2);
-    createStreetLamp(28, -108, Math.PI);
-    createStreetLamp(28, -132, -Math.PI / 2);
-    createStreetLamp(52, -12, 0);
-    createStreetLamp(52, 12, Math.PI / 2);
-    createStreetLamp(28, 12, Math.PI);
-    createStreetLamp(28, -12, -Math.PI / 2);
-    createStreetLamp(52, 28, 0);
-    createStreetLamp(52, 52, Math.PI / 2);
-    createStreetLamp(28, 52, Math.PI);
-    createStreetLamp(28, 28, -Math.PI / 2);
-    createStreetLamp(52, 68, 0);
-    createStreetLamp(52, 92, Math.PI / 2);
-    createStreetLamp(28, 92, Math.PI);
-    createStreetLamp(28, 68, -Math.PI / 2);
-    createStreetLamp(52, 108, 0);
-    createStreetLamp(52, 132, Math.PI / 2);
-    createStreetLamp(28, 132, Math.PI);
-    createStreetLamp(28, 108, -Math.PI / 2);
-    createStreetLamp(92, -132, 0);
-    createStreetLamp(92, -108, Math.PI / 2);
-    createStreetLamp(68, -108, Math.PI);
-    createStreetLamp(68, -132, -Math.PI / 2);
-    createStreetLamp(92, -52, 0);
-    createStreetLamp(92, -28, Math.PI / 2);
-    createStreetLamp(68, -28, Math.PI);
-    createStreetLamp(68, -52, -Math.PI / 2);
-    createStreetLamp(92, -12, 0);
-    createStreetLamp(92, 12, Math.PI / 2);
-    createStreetLamp(68, 12, Math.PI);
-    createStreetLamp(68, -12, -Math.PI / 2);
-    createStreetLamp(92, 28, 0);
-    createStreetLamp(92, 52, Math.PI / 2);
-    createStreetLamp(68, 52, Math.PI);
-    createStreetLamp(68, 28, -Math.PI / 2);
-    createStreetLamp(92, 108, 0);
-    createStreetLamp(92, 132, Math.PI / 2);
-    createStreetLamp(68, 132, Math.PI);
-    createStreetLamp(68, 108, -Math.PI / 2);
-    createStreetLamp(132, -132, 0);
-    createStreetLamp(132, -108, Math.PI / 2);
-    createStreetLamp(108, -108, Math.PI);
-    createStreetLamp(108, -132, -Math.PI / 2);
-    createStreetLamp(132, -92, 0);
-    createStreetLamp(132, -68, Math.PI / 2);
-    createStreetLamp(108, -68, Math.PI);
-    createStreetLamp(108, -92, -Math.PI / 2);
-    createStreetLamp(132, -52, 0);
-    createStreetLamp(132, -28, Math.PI / 2);
-    createStreetLamp(108, -28, Math.PI);
-    createStreetLamp(108, -52, -Math.PI / 2);
-    createStreetLamp(132, -12, 0);
-    createStreetLamp(132, 12, Math.PI / 2);
-    createStreetLamp(108, 12, Math.PI);
-    createStreetLamp(108, -12, -Math.PI / 2);
-    createStreetLamp(132, 28, 0);
-    createStreetLamp(132, 52, Math.PI / 2);
-    createStreetLamp(108, 52, Math.PI);
-    createStreetLamp(108, 28, -Math.PI / 2);
-    createStreetLamp(132, 68, 0);
-    createStreetLamp(132, 92, Math.PI / 2);
-    createStreetLamp(108, 92, Math.PI);
-    createStreetLamp(108, 68, -Math.PI / 2);
-    createStreetLamp(132, 108, 0);
-    createStreetLamp(132, 132, Math.PI / 2);
-    createStreetLamp(108, 132, Math.PI);
-    createStreetLamp(108, 108, -Math.PI / 2);
-    createStreetLamp(12, -52, 0);
-    createStreetLamp(12, -28, Math.PI / 2);
-    createStreetLamp(-12, -28, Math.PI);
-    createStreetLamp(-12, -52, -Math.PI / 2);
-    createStreetLamp(52, -52, 0);
-    createStreetLamp(52, -28, Math.PI / 2);
-    createStreetLamp(28, -28, Math.PI);
-    createStreetLamp(28, -52, -Math.PI / 2);
-    createStreetLamp(-68, 68, 0);
-    createStreetLamp(-68, 92, Math.PI / 2);
-    createStreetLamp(-92, 92, Math.PI);
-    createStreetLamp(-92, 68, -Math.PI / 2);
-    createStreetLamp(-28, 68, 0);
-    createStreetLamp(-28, 92, Math.PI / 2);
-    createStreetLamp(-52, 92, Math.PI);
-    createStreetLamp(-52, 68, -Math.PI / 2);
-    createStreetLamp(-68, 28, 0);
-    createStreetLamp(-68, 52, Math.PI / 2);
-    createStreetLamp(-92, 52, Math.PI);
-    createStreetLamp(-92, 28, -Math.PI / 2);
-    createStreetLamp(92, -92, 0);
-    createStreetLamp(92, -68, Math.PI / 2);
-    createStreetLamp(68, -92, -Math.PI / 2);
-    createStreetLamp(52, -92, 0);
-    createStreetLamp(52, -68, Math.PI / 2);
-    createStreetLamp(28, -68, Math.PI);
-    createStreetLamp(28, -92, -Math.PI / 2);
-    createStreetLamp(92, 68, 0);
-    createStreetLamp(92, 92, Math.PI / 2);
-    createStreetLamp(68, 92, Math.PI);
-    createStreetLamp(68, 68, -Math.PI / 2);
-    createStreetLamp(-28, -92, 0);
-    createStreetLamp(-28, -68, Math.PI / 2);
-    createStreetLamp(-52, -68, Math.PI);
-    createStreetLamp(-52, -92, -Math.PI / 2);
-}
-
-function createTrafficLight(x, z) {
-    const group = new THREE.Group();
-
-    const pole = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.2, 0.2, 5, 8),
-        new THREE.MeshStandardMaterial({ color: 0x444444 })
-    );
-    pole.position.set(0, 2.5, 0);
-    group.add(pole);
-
-    const box = new THREE.Mesh(
-        new THREE.BoxGeometry(1, 3, 0.8),
-        new THREE.MeshStandardMaterial({ color: 0x222222 })
-    );
-    box.position.set(0, 4.5, 0);
-    group.add(box);
-
-    const lightGeo = new THREE.SphereGeometry(0.25, 12, 12);
-    const red = new THREE.Mesh(lightGeo, new THREE.MeshStandardMaterial({ color: 0x330000, emissive: 0x000000 }));
-    red.position.set(0, 5.6, -0.45);
-    const yellow = new THREE.Mesh(lightGeo, new THREE.MeshStandardMaterial({ color: 0x332200, emissive: 0x000000 }));
-    yellow.position.set(0, 4.5, -0.45);
-    const green = new THREE.Mesh(lightGeo, new THREE.MeshStandardMaterial({ color: 0x003300, emissive: 0x000000 }));
-    green.position.set(0, 3.4, -0.45);
-
-    group.add(red, yellow, green);
-    trafficLights.push({ red, yellow, green, timer: 0, state: 0 });
-    group.position.set(x, 0, z);
-    scene.add(group);
-}
-
-export function updateTrafficLights(delta) {
-    const redTime = 4;
-    const greenTime = 4;
-    const yellowTime = 2;
-
-    trafficLights.forEach((light) => {
-        light.timer += delta;
-        if (light.state === 0 && light.timer > redTime) {
-            light.state = 1;
-            light.timer = 0;
-        } else if (light.state === 1 && light.timer > greenTime) {
-            light.state = 2;
-            light.timer = 0;
-        } else if (light.state === 2 && light.timer > yellowTime) {
-            light.state = 0;
-            light.timer = 0;
-        }
-        light.red.material.emissive.setHex(0x000000);
-        light.yellow.material.emissive.setHex(0x000000);
-        light.green.material.emissive.setHex(0x000000); // Reset all
-        if (light.state === 0) light.red.material.emissive.setHex(0xff0000);
-        if (light.state === 1) light.green.material.emissive.setHex(0x00ff00);
-        if (light.state === 2) light.yellow.material.emissive.setHex(0xffcc00);
-    });
+    lampConfigs.forEach(addStreetLamp);
 }
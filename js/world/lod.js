@@ -0,0 +1,97 @@
+/**
+ * Level of Detail Module
+ *
+ * Keeps the far city cheap to draw:
+ * - Detail: Buildings drop their roof details once the fog hides `roofDetailFog` of them and
+ *   switch to plain facades (average texture color) at `simpleFog`. The switch distances follow
+ *   the current `scene.fog.near/far`, so the change stays hidden in the fog wherever the fog
+ *   is set, also when it moves closer. A building only switches back once it is `hysteresis`
+ *   closer (share of the fog range as well), so nothing flickers.
+ * - Fog Culling: Objects whose nearest point lies beyond `scene.fog.far` are fully fogged and
+ *   are not drawn at all.
+ *
+ * Distances are view depths (along the view direction, like the fog itself) of the nearest
+ * point of each object's bounding box.
+ */
+
+import * as THREE from 'three';
+import { scene } from '../core/scene.js';
+import { BUILDING_DETAIL } from '../objects/Building.js';
+
+// LOD Settings
+export const lodConfig = {
+    roofDetailFog: 0.8,       // Roof details are hidden where the fog covers this share (0..1)
+    simpleFog: 0.9,           // Facades turn plain where the fog covers this share
+    hysteresis: 0.05,         // Band around each switch where the current level is kept (share of the fog range)
+    fogCulling: true          // Skip objects that are completely inside the fog
+};
+
+// Registered objects { object, corners }
+const lodObjects = [];
+
+const forward = new THREE.Vector3();
+const offset = new THREE.Vector3();
+
+/**
+ * Put a static object under LOD control. Objects with a `setDetail(level)` method (Building)
+ * change their detail, all others are only fog-culled.
+ * @param {THREE.Object3D} object - Object already placed in the scene
+ */
+export function addLodObject(object) {
+    object.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object);
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ));
+    }
+    lodObjects.push({ object, corners });
+}
+
+/**
+ * Detail level for a fog share (0 = clear, 1 = fully fogged), keeping the current level
+ * inside the hysteresis band.
+ */
+function detailFor(fogShare, current) {
+    const half = lodConfig.hysteresis / 2;
+    let level = BUILDING_DETAIL.full;
+    [lodConfig.roofDetailFog, lodConfig.simpleFog].forEach((limit, i) => {
+        const edge = current > i ? limit - half : limit + half;
+        if (fogShare > edge) level = i + 1;
+    });
+    return level;
+}
+
+/**
+ * View depth of the nearest corner of a box (the nearest point of the box along the view).
+ */
+function nearestDepth(corners, camera) {
+    let depth = Infinity;
+    corners.forEach((corner) => {
+        depth = Math.min(depth, offset.subVectors(corner, camera.position).dot(forward));
+    });
+    return depth;
+}
+
+/**
+ * Update detail levels and fog culling for the camera. Called every frame.
+ * @param {THREE.Camera} camera - Viewing camera
+ */
+export function updateLod(camera) {
+    camera.getWorldDirection(forward);
+    const fog = scene.fog;
+    const cullDepth = lodConfig.fogCulling && fog ? fog.far : Infinity;
+
+    lodObjects.forEach(({ object, corners }) => {
+        const depth = nearestDepth(corners, camera);
+        object.visible = depth <= cullDepth;
+        if (!object.visible || !object.setDetail) return;
+
+        // Linear fog, as the shaders apply it (no fog: always full detail)
+        const fogShare = fog ? THREE.MathUtils.clamp((depth - fog.near) / (fog.far - fog.near), 0, 1) : 0;
+        object.setDetail(detailFor(fogShare, object.detail));
+    });
+}
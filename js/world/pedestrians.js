@@ -0,0 +1,394 @@
+/**
+ * Pedestrians Module
+ *
+ * NPC pedestrians that give the crossing and school-zone lessons real context:
+ * - Sidewalks: People walk around the city blocks on the sidewalk next to the asphalt.
+ * - Crossings: Roads are only ever crossed at the `zebraCrossings` from buildings.js.
+ *   At a signalized crossing a pedestrian waits for the walk phase (signals.js);
+ *   elsewhere they wait at the curb until no car (NPC or player) is close on the road.
+ * - School: During school hours, students crowd around the School entrance and the
+ *   crossing next to it. After school they walk off and go home once out of sight.
+ *
+ * Pedestrians that are on a crossing are reported by `getCrossingPedestrians()`,
+ * so the NPC traffic stops for them.
+ */
+
+import * as THREE from 'three';
+import { scene, camera } from '../core/scene.js';
+import { vehicle } from '../core/vehicle.js';
+import { getTimeOfDay } from '../core/controls.js';
+import { Pedestrian } from '../objects/Pedestrian.js';
+import { roadGrid, zebraCrossings } from './buildings.js';
+import { landmarkConfigs } from '../data/levelData.js';
+import { trafficCars } from './traffic.js';
+import { getCrossingSignal, getWalkTimeLeft } from './signals.js';
+
+// Pedestrian Tuning (meters, seconds)
+export const pedestrianConfig = {
+    count: 20,               // Adults walking the city
+    schoolCrowd: 14,         // Extra students around the School during school hours
+    schoolHours: { start: 6.5, end: 13 }, // 06:30 - 13:00 (in-game clock)
+    walkSpeed: 1.3,
+    studentSpeed: 1.0,
+    crossChance: 0.6,        // Chance to cross when passing a zebra crossing
+    safeGap: 22,             // No car may be this close along the road before crossing
+    minWalkLeft: 4,          // Don't start crossing in the last seconds of a walk phase
+    studentRange: 22,        // Students stay within this distance of the School entrance
+    goHomeDistance: 45       // Students leave once this far from the player after school
+};
+
+// Distance from a road centerline to the sidewalk walking line (set from the road grid on init)
+let sidewalkOffset = 0;
+
+// School entrance on the sidewalk, from the level's school landmark (null = no students)
+let schoolEntrance = null;
+
+// Active pedestrians
+export const pedestrians = [];
+
+// City blocks (sidewalk rectangles) and the crossings linking them
+const blocks = [];
+const crossings = [];
+
+/**
+ * Build the sidewalk blocks and link every zebra crossing to the blocks on both sides.
+ */
+function buildSidewalks() {
+    blocks.length = 0;
+    crossings.length = 0;
+
+    for (let a = roadGrid.min; a < roadGrid.max; a += roadGrid.spacing) {
+        for (let b = roadGrid.min; b < roadGrid.max; b += roadGrid.spacing) {
+            const block = {
+                x0: a + sidewalkOffset,
+                x1: a + roadGrid.spacing - sidewalkOffset,
+                z0: b + sidewalkOffset,
+                z1: b + roadGrid.spacing - sidewalkOffset,
+                exits: [] // { p, crossing, side }
+            };
+            block.width = block.x1 - block.x0;
+            block.depth = block.z1 - block.z0;
+            block.length = 2 * (block.width + block.depth);
+            blocks.push(block);
+        }
+    }
+
+    zebraCrossings.forEach((zebra) => {
+        // The crossing spans the North-South road nearest to its middle
+        const middle = (zebra.xStart + zebra.xEnd) / 2;
+        const roadX = Math.round((middle - roadGrid.min) / roadGrid.spacing) * roadGrid.spacing + roadGrid.min;
+
+        const ends = [
+            new THREE.Vector3(roadX - sidewalkOffset, 0, zebra.z),
+            new THREE.Vector3(roadX + sidewalkOffset, 0, zebra.z)
+        ];
+        const crossing = {
+            roadX,
+            z: zebra.z,
+            ends,
+            blocks: ends.map(findBlock),
+            signal: getCrossingSignal(roadX, zebra.z) // Controller with a walk phase, or null
+        };
+        if (crossing.blocks.some((block) => !block)) return; // Not between two blocks
+
+        crossings.push(crossing);
+        crossing.blocks.forEach((block, side) => {
+            block.exits.push({ p: perimeterOf(block, ends[side]), crossing, side });
+        });
+    });
+}
+
+/**
+ * Block whose sidewalk passes through a point (null if none).
+ */
+function findBlock(point) {
+    const near = (a, b) => Math.abs(a - b) < 0.5;
+    return blocks.find((block) => {
+        const inX = point.x >= block.x0 - 0.5 && point.x <= block.x1 + 0.5;
+        const inZ = point.z >= block.z0 - 0.5 && point.z <= block.z1 + 0.5;
+        return (inX && (near(point.z, block.z0) || near(point.z, block.z1))) ||
+            (inZ && (near(point.x, block.x0) || near(point.x, block.x1)));
+    }) || null;
+}
+
+/**
+ * Point on a block's sidewalk at perimeter distance p
+ * (clockwise from the north-west corner: north side, east, south, west).
+ */
+function pointOnBlock(block, p, target = new THREE.Vector3()) {
+    p = ((p % block.length) + block.length) % block.length;
+    const { x0, x1, z0, z1, width, depth } = block;
+
+    if (p < width) return target.set(x0 + p, 0, z0);
+    p -= width;
+    if (p < depth) return target.set(x1, 0, z0 + p);
+    p -= depth;
+    if (p < width) return target.set(x1 - p, 0, z1);
+    p -= width;
+    return target.set(x0, 0, z1 - p);
+}
+
+/**
+ * Perimeter distance of a point lying on a block's sidewalk.
+ */
+function perimeterOf(block, point) {
+    const { x0, x1, z0, z1, width, depth } = block;
+    if (Math.abs(point.z - z0) < 0.5) return point.x - x0;
+    if (Math.abs(point.x - x1) < 0.5) return width + (point.z - z0);
+    if (Math.abs(point.z - z1) < 0.5) return width + depth + (x1 - point.x);
+    return 2 * width + depth + (z1 - point.z);
+}
+
+/**
+ * In-game hour (0-24). timeOfDay 0 = 06:00 (see hud.js).
+ */
+function getHour() {
+    return (6 + getTimeOfDay() * 24) % 24;
+}
+
+/**
+ * True during school hours.
+ */
+export function isSchoolTime() {
+    const hour = getHour();
+    return hour >= pedestrianConfig.schoolHours.start && hour < pedestrianConfig.schoolHours.end;
+}
+
+/**
+ * True when the pedestrian may start crossing: during the walk phase at a signalized
+ * crossing, otherwise when no car is on the road near the crossing.
+ */
+function isSafeToCross(crossing) {
+    if (crossing.signal) return getWalkTimeLeft(crossing.signal) >= pedestrianConfig.minWalkLeft;
+
+    const cars = trafficCars.map((car) => car.position);
+    if (vehicle.active) cars.push(vehicle.position);
+
+    return cars.every((pos) => {
+        const acrossRoad = Math.abs(pos.x - crossing.roadX) < roadGrid.width / 2 + 1;
+        return !(acrossRoad && Math.abs(pos.z - crossing.z) < pedestrianConfig.safeGap);
+    });
+}
+
+/**
+ * Create one pedestrian on a sidewalk.
+ * @param {boolean} student - Spawn a student at the School instead of an adult anywhere
+ */
+function spawnPedestrian(student = false) {
+    const mesh = new Pedestrian(student);
+    const person = {
+        mesh,
+        student,
+        leaving: false,           // Student walking home after school
+        state: "walk",            // walk | wait | cross | idle
+        block: null,
+        p: 0,
+        dir: Math.random() < 0.5 ? 1 : -1,
+        speed: (student ? pedestrianConfig.studentSpeed : pedestrianConfig.walkSpeed) * (0.85 + Math.random() * 0.3),
+        position: new THREE.Vector3(),
+        heading: 0,
+        crossing: null,
+        crossFrom: 0,
+        crossT: 0,
+        idleTime: 0,
+        cooldown: 0               // Meters to walk before considering another crossing
+    };
+
+    if (student) {
+        person.block = findBlock(schoolEntrance);
+        person.p = perimeterOf(person.block, schoolEntrance) + (Math.random() - 0.5) * 16;
+        person.state = "idle";
+        person.idleTime = Math.random() * 4;
+    } else {
+        person.block = blocks[Math.floor(Math.random() * blocks.length)];
+        person.p = Math.random() * person.block.length;
+    }
+
+    pointOnBlock(person.block, person.p, person.position);
+    scene.add(mesh);
+    pedestrians.push(person);
+    syncMesh(person, 0);
+    return person;
+}
+
+/**
+ * Remove a pedestrian from the city.
+ */
+function removePedestrian(person) {
+    scene.remove(person.mesh);
+    pedestrians.splice(pedestrians.indexOf(person), 1);
+}
+
+/**
+ * Copy the simulated state onto the model.
+ */
+function syncMesh(person, distance) {
+    person.mesh.position.copy(person.position);
+    person.mesh.position.y = person.state === "cross" ? 0 : roadGrid.curbHeight; // Up on the sidewalk
+    person.mesh.rotation.y = person.heading;
+    person.mesh.animateWalk(distance);
+}
+
+/**
+ * Walk along the block sidewalk; maybe stop at a crossing on the way.
+ */
+function walk(person, delta) {
+    const cfg = pedestrianConfig;
+    const step = person.speed * delta;
+    const before = person.p;
+    person.p += person.dir * step;
+    person.cooldown -= step;
+
+    // Students stay close to the School until they go home
+    if (person.student && !person.leaving) {
+        const from = pointOnBlock(person.block, person.p);
+        if (from.distanceTo(schoolEntrance) > cfg.studentRange) {
+            person.dir = -person.dir;
+            person.p = before;
+        } else if (Math.random() < delta * 0.15) {
+            person.state = "idle";
+            person.idleTime = 2 + Math.random() * 6;
+        }
+    }
+
+    // Passing a crossing?
+    if (person.cooldown <= 0) {
+        const exit = person.block.exits.find((e) => {
+            const a = Math.min(before, person.p);
+            const b = Math.max(before, person.p);
+            const L = person.block.length;
+            return [e.p - L, e.p, e.p + L].some((p) => p >= a && p <= b);
+        });
+        if (exit) {
+            person.cooldown = 5;
+            if (Math.random() < cfg.crossChance) {
+                person.state = "wait";
+                person.crossing = exit.crossing;
+                person.crossFrom = exit.side;
+                person.p = exit.p;
+            }
+        }
+    }
+
+    person.p = ((person.p % person.block.length) + person.block.length) % person.block.length;
+
+    const previous = person.position.clone();
+    pointOnBlock(person.block, person.p, person.position);
+    faceTowards(person, previous);
+    return person.position.distanceTo(previous);
+}
+
+/**
+ * Turn to face the direction just walked.
+ */
+function faceTowards(person, previous) {
+    const dx = person.position.x - previous.x;
+    const dz = person.position.z - previous.z;
+    if (dx * dx + dz * dz > 1e-8) person.heading = Math.atan2(dx, dz);
+}
+
+/**
+ * Walk over the zebra crossing to the sidewalk on the other side.
+ */
+function cross(person, delta) {
+    const crossing = person.crossing;
+    const from = crossing.ends[person.crossFrom];
+    const to = crossing.ends[1 - person.crossFrom];
+    const length = from.distanceTo(to);
+
+    person.crossT = Math.min(1, person.crossT + (person.speed * 1.2 * delta) / length);
+    const previous = person.position.clone();
+    person.position.copy(from).lerp(to, person.crossT);
+    faceTowards(person, previous);
+
+    if (person.crossT >= 1) {
+        // Continue on the other block's sidewalk
+        person.block = crossing.blocks[1 - person.crossFrom];
+        person.p = perimeterOf(person.block, to);
+        person.dir = Math.random() < 0.5 ? 1 : -1;
+        person.state = "walk";
+        person.crossing = null;
+        person.cooldown = 5;
+    }
+    return person.position.distanceTo(previous);
+}
+
+/**
+ * Keep the number of adults and students at their targets.
+ */
+function balanceCrowd() {
+    const cfg = pedestrianConfig;
+    const schoolTime = isSchoolTime();
+    const students = pedestrians.filter((person) => person.student && !person.leaving);
+    const adults = pedestrians.filter((person) => !person.student);
+
+    while (adults.length < cfg.count) adults.push(spawnPedestrian(false));
+    while (adults.length > cfg.count) removePedestrian(adults.pop());
+
+    if (schoolTime && schoolEntrance) {
+        for (let i = students.length; i < cfg.schoolCrowd; i++) spawnPedestrian(true);
+    } else {
+        // School is out: students walk off and disappear once the player can't see them
+        students.forEach((person) => (person.leaving = true));
+    }
+
+    const viewer = vehicle.active ? vehicle.position : camera.position;
+    pedestrians
+        .filter((person) => person.leaving && person.state !== "cross" &&
+            person.position.distanceTo(viewer) > cfg.goHomeDistance)
+        .forEach(removePedestrian);
+}
+
+/**
+ * Pedestrians currently on a zebra crossing (the NPC traffic stops for them).
+ * @returns {Array<THREE.Vector3>} Positions
+ */
+export function getCrossingPedestrians() {
+    return pedestrians.filter((person) => person.state === "cross").map((person) => person.position);
+}
+
+/**
+ * Build the sidewalks and spawn the pedestrians. Call after initWorld() and initSignals().
+ */
+export function initPedestrians() {
+    sidewalkOffset = roadGrid.width / 2 + 2;
+    const school = landmarkConfigs.find((landmark) => landmark.type === "school" && landmark.entrance);
+    schoolEntrance = school ? new THREE.Vector3(school.entrance.x, 0, school.entrance.z) : null;
+
+    buildSidewalks();
+    balanceCrowd();
+}
+
+/**
+ * Move every pedestrian. Called every frame.
+ * @param {number} delta - Time since last frame
+ */
+export function updatePedestrians(delta) {
+    balanceCrowd();
+
+    pedestrians.forEach((person) => {
+        let distance = 0;
+
+        if (person.state === "walk") {
+            distance = walk(person, delta);
+        } else if (person.state === "idle") {
+            person.idleTime -= delta;
+            if (person.idleTime <= 0) {
+                person.state = "walk";
+                person.dir = Math.random() < 0.5 ? 1 : -1;
+            }
+        } else if (person.state === "wait") {
+            // Look at the road while waiting for the walk signal or a safe gap
+            const to = person.crossing.ends[1 - person.crossFrom];
+            person.heading = Math.atan2(to.x - person.position.x, to.z - person.position.z);
+            if (isSafeToCross(person.crossing)) {
+                person.state = "cross";
+                person.crossT = 0;
+            }
+        } else if (person.state === "cross") {
+            distance = cross(person, delta);
+        }
+
+        syncMesh(person, distance);
+    });
+}
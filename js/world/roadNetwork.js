@@ -0,0 +1,319 @@
+/**
+ * Road Network Module
+ *
+ * Describes the road grid from buildings.js as a graph that other systems can query:
+ * - Nodes: Junctions where roads cross, plus dead ends where roads reach the city limit.
+ * - Roads: The straight pieces of asphalt between two neighbouring nodes.
+ * - Lanes: One directed lane per road piece and travel direction. Traffic keeps LEFT,
+ *   so a lane runs a quarter road width left of the centerline, from the edge of one
+ *   junction box to the edge of the next.
+ * - Regulations: Each junction approach lists the turns banned by No Left/Right Turn signs
+ *   and whether a STOP sign applies (from the `rule`s in `signConfigs`).
+ *
+ * Queries: nearest lane, junction at a position, allowed exits and routes between two points.
+ * Directions are travel directions with the heading convention of vehicle.js (North is -Z).
+ */
+
+import * as THREE from 'three';
+import { roadGrid, cityLimit } from './buildings.js';
+import { signConfigs } from '../data/signData.js';
+
+// Compass directions with the matching heading (forward = (sin h, 0, cos h))
+export const DIRECTIONS = {
+    north: { x: 0, z: -1, heading: Math.PI },
+    south: { x: 0, z: 1, heading: 0 },
+    east: { x: 1, z: 0, heading: Math.PI / 2 },
+    west: { x: -1, z: 0, heading: -Math.PI / 2 }
+};
+
+const OPPOSITE = { north: "south", south: "north", east: "west", west: "east" };
+
+// The graph
+// Node: { id, x, z, type: "junction" | "end", halfSize, out: { dir: lane }, in: { dir: lane },
+//         approaches: { dir: { bannedTurns: [...], stop } } }
+// Road: { id, a, b, lanes: [lane, lane] }
+// Lane: { id, road, from, to, dir, heading, start, end, length, twin }
+export const roadNetwork = {
+    nodes: [],
+    roads: [],
+    lanes: []
+};
+
+// Nodes by "x,z"
+const nodeIndex = new Map();
+
+/**
+ * Turn needed to go from one travel direction to another.
+ * @returns {"straight"|"left"|"right"|"uturn"}
+ */
+export function turnBetween(fromDir, toDir) {
+    if (fromDir === toDir) return "straight";
+    if (OPPOSITE[fromDir] === toDir) return "uturn";
+    const diff = Math.atan2(
+        Math.sin(DIRECTIONS[toDir].heading - DIRECTIONS[fromDir].heading),
+        Math.cos(DIRECTIONS[toDir].heading - DIRECTIONS[fromDir].heading)
+    );
+    return diff > 0 ? "left" : "right"; // Increasing heading turns left
+}
+
+/**
+ * Point in the left lane of travel direction `dir`, `along` meters from a node's center.
+ */
+export function lanePoint(node, dir, along, target = new THREE.Vector3()) {
+    const d = DIRECTIONS[dir];
+    const offset = roadGrid.width / 4;
+    // Left of the travel direction is (d.z, -d.x)
+    return target.set(node.x + d.x * along + d.z * offset, 0, node.z + d.z * along - d.x * offset);
+}
+
+/**
+ * Node at exact coordinates, or null.
+ */
+export function getNode(x, z) {
+    return nodeIndex.get(`${x},${z}`) || null;
+}
+
+function addNode(x, z, type) {
+    const key = `${x},${z}`;
+    if (nodeIndex.has(key)) return nodeIndex.get(key);
+
+    const node = {
+        id: roadNetwork.nodes.length,
+        x, z, type,
+        halfSize: type === "junction" ? roadGrid.width / 2 : 0,
+        out: {},
+        in: {},
+        approaches: {}
+    };
+    Object.keys(DIRECTIONS).forEach((dir) => (node.approaches[dir] = { bannedTurns: [], stop: false }));
+
+    nodeIndex.set(key, node);
+    roadNetwork.nodes.push(node);
+    return node;
+}
+
+/**
+ * Connect two neighbouring nodes with a road piece and its two lanes.
+ */
+function addRoad(a, b) {
+    const dir = Math.abs(b.x - a.x) > 0 ? (b.x > a.x ? "east" : "west") : (b.z > a.z ? "south" : "north");
+    const road = { id: roadNetwork.roads.length, a, b, lanes: [] };
+
+    [[a, b, dir], [b, a, OPPOSITE[dir]]].forEach(([from, to, laneDir]) => {
+        const start = lanePoint(from, laneDir, from.halfSize);
+        const end = lanePoint(to, laneDir, -to.halfSize);
+        const lane = {
+            id: roadNetwork.lanes.length,
+            road, from, to,
+            dir: laneDir,
+            heading: DIRECTIONS[laneDir].heading,
+            start, end,
+            length: start.distanceTo(end),
+            twin: null
+        };
+        from.out[laneDir] = lane;
+        to.in[laneDir] = lane;
+        road.lanes.push(lane);
+        roadNetwork.lanes.push(lane);
+    });
+
+    road.lanes[0].twin = road.lanes[1];
+    road.lanes[1].twin = road.lanes[0];
+    roadNetwork.roads.push(road);
+}
+
+/**
+ * Axis-aligned zone test (zone is center + width/depth, like rules.js).
+ */
+function isInsideZone(x, z, zone) {
+    return Math.abs(x - zone.x) <= zone.width / 2 && Math.abs(z - zone.z) <= zone.depth / 2;
+}
+
+/**
+ * Attach the turn bans and STOP signs of the sign rules to the junction approaches.
+ */
+function applySignRules() {
+    roadNetwork.nodes.forEach((node) => {
+        if (node.type !== "junction") return;
+
+        Object.keys(DIRECTIONS).forEach((approach) => {
+            const info = { bannedTurns: [], stop: false };
+            // A point just before the stop line, in the lane of this approach
+            const waiting = lanePoint(node, approach, -node.halfSize - 2);
+
+            signConfigs.forEach(({ rule }) => {
+                if (!rule || (rule.approach && rule.approach !== approach)) return;
+                if (rule.type === "noTurn" && isInsideZone(node.x, node.z, rule.zone)) info.bannedTurns.push(rule.turn);
+                if (rule.type === "stop" && isInsideZone(waiting.x, waiting.z, rule.zone)) info.stop = true;
+            });
+
+            node.approaches[approach] = info;
+        });
+    });
+}
+
+/**
+ * Build the graph from the road grid. Call after the sign catalog is loaded
+ * (the junction approaches read the sign rules).
+ */
+export function initRoadNetwork() {
+    roadNetwork.nodes.length = 0;
+    roadNetwork.roads.length = 0;
+    roadNetwork.lanes.length = 0;
+    nodeIndex.clear();
+
+    const lines = [];
+    for (let v = roadGrid.min; v <= roadGrid.max; v += roadGrid.spacing) lines.push(v);
+    lines.forEach((x) => lines.forEach((z) => addNode(x, z, "junction")));
+
+    // Every road runs the full grid and ends at the city limit on both sides
+    const stops = [-cityLimit, ...lines, cityLimit];
+    lines.forEach((line) => {
+        for (let i = 0; i + 1 < stops.length; i++) {
+            const typeOf = (v) => (Math.abs(v) === cityLimit ? "end" : "junction");
+            // North-South road at x = line
+            addRoad(addNode(line, stops[i], typeOf(stops[i])), addNode(line, stops[i + 1], typeOf(stops[i + 1])));
+            // West-East road at z = line
+            addRoad(addNode(stops[i], line, typeOf(stops[i])), addNode(stops[i + 1], line, typeOf(stops[i + 1])));
+        }
+    });
+
+    applySignRules();
+    return roadNetwork;
+}
+
+/**
+ * Junction whose box contains the position, or null.
+ * @param {THREE.Vector3} position - Y is ignored
+ */
+export function getJunctionAt(position) {
+    const { min, max, spacing, width } = roadGrid;
+    const snap = (v) => Math.round((v - min) / spacing) * spacing + min;
+    const x = snap(position.x);
+    const z = snap(position.z);
+
+    if (x < min || x > max || z < min || z > max) return null;
+    if (Math.abs(position.x - x) > width / 2 || Math.abs(position.z - z) > width / 2) return null;
+    return getNode(x, z);
+}
+
+/**
+ * Closest point on a lane's centerline.
+ * @returns {{ point: THREE.Vector3, along: number, distance: number }}
+ */
+function projectOnLane(lane, position) {
+    const dx = lane.end.x - lane.start.x;
+    const dz = lane.end.z - lane.start.z;
+    const t = lane.length > 0
+        ? Math.max(0, Math.min(1, ((position.x - lane.start.x) * dx + (position.z - lane.start.z) * dz) / (lane.length * lane.length)))
+        : 0;
+    const point = new THREE.Vector3(lane.start.x + dx * t, 0, lane.start.z + dz * t);
+    return { point, along: t * lane.length, distance: Math.hypot(position.x - point.x, position.z - point.z) };
+}
+
+/**
+ * Nearest lane to a position.
+ *
+ * @param {THREE.Vector3} position - Y is ignored
+ * @param {number} heading - Optional: pick the lane of that road whose direction is
+ *   closest to this heading (e.g. where the player is looking)
+ * @returns {{ lane, point, along, distance }|null} `along` is measured from lane.start
+ */
+export function getNearestLane(position, heading = null) {
+    let best = null;
+    roadNetwork.lanes.forEach((lane) => {
+        const hit = projectOnLane(lane, position);
+        if (!best || hit.distance < best.distance) best = { lane, ...hit };
+    });
+    if (!best || heading === null) return best;
+
+    // Same road, other direction?
+    const facing = Math.cos(heading - best.lane.heading);
+    if (facing >= 0) return best;
+    const twin = best.lane.twin;
+    return { lane: twin, ...projectOnLane(twin, position) };
+}
+
+/**
+ * Lanes a vehicle may take after `lane`: straight, left or right, without the turns
+ * banned at that approach. U-turns are not included (see getUTurnLane).
+ */
+export function getLaneExits(lane) {
+    const node = lane.to;
+    const banned = node.approaches[lane.dir].bannedTurns;
+
+    return Object.keys(node.out)
+        .filter((dir) => {
+            const turn = turnBetween(lane.dir, dir);
+            return turn !== "uturn" && !banned.includes(turn);
+        })
+        .map((dir) => node.out[dir]);
+}
+
+/**
+ * Lane back the way `lane` came (turning around at its end node).
+ */
+export function getUTurnLane(lane) {
+    return lane.to.out[OPPOSITE[lane.dir]] || null;
+}
+
+/**
+ * Shortest legal route between two positions along the lanes
+ * (keeps left, follows one-way lanes and turn bans; U-turns only at dead ends).
+ * A destination behind the start on the same lane is reached by driving around the block.
+ *
+ * @param {THREE.Vector3} from - Start position (snapped to the nearest lane)
+ * @param {THREE.Vector3} to - Destination (snapped to the nearest lane)
+ * @param {number} fromHeading - Optional heading at the start (see getNearestLane)
+ * @returns {{ lanes: Array, length: number, start, end }|null} Lanes in driving order,
+ *   total distance in meters and the snapped start/end points; null if unreachable
+ */
+export function findRoute(from, to, fromHeading = null) {
+    const start = getNearestLane(from, fromHeading);
+    const goal = getNearestLane(to);
+    if (!start || !goal) return null;
+
+    // Same lane, destination ahead
+    if (start.lane === goal.lane && goal.along >= start.along) {
+        return { lanes: [start.lane], length: goal.along - start.along, start: start.point, end: goal.point };
+    }
+
+    // Dijkstra over lanes: cost of a lane = distance from its start to its end.
+    // The destination is a node of its own (GOAL), so the start lane can be entered again
+    // when the destination lies behind the start on the same lane (a loop around the block).
+    const GOAL = "goal";
+    const dist = new Map([[start.lane, start.lane.length - start.along]]);
+    const previous = new Map();
+    const open = [start.lane];
+
+    const relax = (node, cost, from) => {
+        if (dist.has(node) && cost >= dist.get(node)) return;
+        dist.set(node, cost);
+        previous.set(node, from);
+        if (!open.includes(node)) open.push(node);
+    };
+
+    while (open.length > 0) {
+        open.sort((a, b) => dist.get(a) - dist.get(b));
+        const lane = open.shift();
+        if (lane === GOAL) break;
+
+        let exits = getLaneExits(lane);
+        if (exits.length === 0) exits = [getUTurnLane(lane)].filter(Boolean);
+
+        exits.forEach((next) => {
+            // Crossing the junction box is roughly the box size
+            const cost = dist.get(lane) + lane.to.halfSize * 2;
+            if (next === goal.lane) relax(GOAL, cost + goal.along, lane);
+            relax(next, cost + next.length, lane);
+        });
+    }
+
+    if (!previous.has(GOAL)) return null;
+
+    // Walk back to the start lane (the only lane without a predecessor)
+    const lanes = [goal.lane];
+    for (let lane = previous.get(GOAL); lane; lane = previous.get(lane)) lanes.unshift(lane);
+
+    return { lanes, length: dist.get(GOAL), start: start.point, end: goal.point };
+}
@@ -0,0 +1,266 @@
+/**
+ * Rules Module
+ *
+ * Traffic-rule violation engine.
+ * Regulatory signs in `signConfigs` define a `rule` with a road zone. While the
+ * player drives, the car's path is checked against every zone each frame:
+ * - speedLimit: Stay at or under the limit inside the zone.
+ * - stop: Come to a full stop before crossing the stop line (front edge of the zone).
+ * - noTurn: Do not turn left/right inside the junction zone.
+ * - noParking: Do not stand still inside the zone for longer than allowed.
+ *
+ * Violations are stored in `violationLog` with the time, place and rule
+ * (the message as a locale key + params, so the HUD can show it in any language),
+ * and pushed to any listeners registered with `onViolation` (e.g. the HUD).
+ */
+
+import { signConfigs, labelMap } from '../data/signData.js';
+import { vehicle, getVehicleSpeedKmh } from '../core/vehicle.js';
+import { getTimeOfDay } from '../core/controls.js';
+import { t, localize } from '../core/i18n.js';
+
+// Compass directions (North is -Z)
+const DIRECTIONS = {
+    north: { x: 0, z: -1 },
+    south: { x: 0, z: 1 },
+    east: { x: 1, z: 0 },
+    west: { x: -1, z: 0 }
+};
+
+// Tuning
+const STOPPED_KMH = 1;                            // Below this the car counts as standing still
+const APPROACH_TOLERANCE = Math.cos(Math.PI / 4); // Travel direction must be within 45° of the approach
+const TURN_THRESHOLD = Math.PI / 4;               // Heading change that counts as a turn
+
+// Exported log of all violations this session
+// Entry: { rule, signId, sign, message, messageKey, params, timeOfDay, timestamp, position: { x, z } }
+export const violationLog = [];
+
+// Active rules: { signId, rule, state }
+const activeRules = [];
+
+// Callbacks notified on every new violation
+const listeners = [];
+
+/**
+ * Build the rule list from the sign configuration.
+ * Called once at game start (after signs are placed).
+ */
+export function initRules() {
+    activeRules.length = 0;
+
+    signConfigs.forEach((config) => {
+        if (!config.rule) return;
+        activeRules.push({ signId: config.id, rule: config.rule, state: createRuleState() });
+    });
+
+    return activeRules;
+}
+
+/**
+ * Register a callback for new violations.
+ * @param {Function} callback - Receives the violation entry
+ */
+export function onViolation(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Fresh per-zone tracking state.
+ */
+function createRuleState() {
+    return {
+        inside: false,      // Car was inside the zone last frame
+        tracking: false,    // Car entered from the approach this rule governs
+        stopped: false,     // stop: reached a full stop inside the zone
+        flagged: false,     // speedLimit/noParking: already reported for this visit
+        entryHeading: 0,    // noTurn: travel heading when entering the junction
+        stillTime: 0        // noParking: seconds spent standing still
+    };
+}
+
+/**
+ * Check the player's car against every rule zone.
+ * Called every frame. Only applies while driving.
+ * @param {number} delta - Time since last frame
+ */
+export function updateRules(delta) {
+    if (!vehicle.active) {
+        // On foot the player is a pedestrian: drop any half-finished zone visits
+        activeRules.forEach((entry) => {
+            if (entry.state.inside) entry.state = createRuleState();
+        });
+        return;
+    }
+
+    // Direction of travel (flipped when reversing)
+    const travelHeading = vehicle.speed < 0 ? vehicle.heading + Math.PI : vehicle.heading;
+
+    const frame = {
+        delta: delta,
+        position: vehicle.position,
+        kmh: getVehicleSpeedKmh(),
+        heading: travelHeading,
+        dirX: Math.sin(travelHeading),
+        dirZ: Math.cos(travelHeading)
+    };
+
+    activeRules.forEach((entry) => {
+        const inside = isInsideZone(frame.position, entry.rule.zone);
+        frame.entering = inside && !entry.state.inside;
+        frame.leaving = !inside && entry.state.inside;
+        frame.inside = inside;
+
+        const check = ruleCheckers[entry.rule.type];
+        if (check) check(entry, frame);
+
+        entry.state.inside = inside;
+    });
+}
+
+/**
+ * Per-rule checkers.
+ * Each receives the rule entry and the current frame info.
+ */
+const ruleCheckers = {
+    speedLimit(entry, frame) {
+        const { rule, state } = entry;
+
+        if (frame.leaving) state.flagged = false;
+        if (!frame.inside || state.flagged) return;
+        if (!matchesApproach(rule, frame)) return;
+
+        if (frame.kmh > rule.limitKmh + 0.5) {
+            state.flagged = true;
+            recordViolation(entry, "rules.speedLimit", { limit: rule.limitKmh, speed: Math.round(frame.kmh) });
+        }
+    },
+
+    stop(entry, frame) {
+        const { rule, state } = entry;
+
+        if (frame.entering) {
+            state.tracking = matchesApproach(rule, frame);
+            state.stopped = false;
+        }
+
+        if (frame.inside && frame.kmh < STOPPED_KMH) {
+            state.stopped = true;
+        }
+
+        if (frame.leaving) {
+            if (state.tracking && !state.stopped && crossedFrontEdge(rule, frame.position)) {
+                recordViolation(entry, "rules.stop");
+            }
+            state.tracking = false;
+        }
+    },
+
+    noTurn(entry, frame) {
+        const { rule, state } = entry;
+
+        if (frame.entering) {
+            state.tracking = matchesApproach(rule, frame);
+            state.entryHeading = frame.heading;
+        }
+
+        if (frame.leaving) {
+            if (state.tracking) {
+                // Positive heading change = turned left (see vehicle.js heading convention)
+                const turn = wrapAngle(frame.heading - state.entryHeading);
+                const turnedLeft = turn > TURN_THRESHOLD;
+                const turnedRight = turn < -TURN_THRESHOLD;
+
+                if (rule.turn === "left" && turnedLeft) {
+                    recordViolation(entry, "rules.noLeftTurn");
+                } else if (rule.turn === "right" && turnedRight) {
+                    recordViolation(entry, "rules.noRightTurn");
+                }
+            }
+            state.tracking = false;
+        }
+    },
+
+    noParking(entry, frame) {
+        const { rule, state } = entry;
+
+        if (!frame.inside) {
+            state.stillTime = 0;
+            state.flagged = false;
+            return;
+        }
+
+        if (frame.kmh < STOPPED_KMH) {
+            state.stillTime += frame.delta;
+            if (state.stillTime > rule.maxStopSeconds && !state.flagged) {
+                state.flagged = true;
+                recordViolation(entry, "rules.noParking");
+            }
+        } else {
+            state.stillTime = 0;
+            state.flagged = false;
+        }
+    }
+};
+
+/**
+ * Axis-aligned zone test (zone is center + width/depth).
+ */
+function isInsideZone(position, zone) {
+    return (
+        Math.abs(position.x - zone.x) <= zone.width / 2 &&
+        Math.abs(position.z - zone.z) <= zone.depth / 2
+    );
+}
+
+/**
+ * True when the rule has no approach, or the car travels roughly in the approach direction.
+ */
+function matchesApproach(rule, frame) {
+    if (!rule.approach) return true;
+    const dir = DIRECTIONS[rule.approach];
+    return frame.dirX * dir.x + frame.dirZ * dir.z >= APPROACH_TOLERANCE;
+}
+
+/**
+ * True when the position lies past the zone's front edge (seen from the approach),
+ * i.e. the car left the zone by crossing the stop line rather than turning off or reversing.
+ */
+function crossedFrontEdge(rule, position) {
+    const dir = DIRECTIONS[rule.approach];
+    if (!dir) return true;
+
+    const along = (position.x - rule.zone.x) * dir.x + (position.z - rule.zone.z) * dir.z;
+    const halfExtent = Math.abs(dir.x) * rule.zone.width / 2 + Math.abs(dir.z) * rule.zone.depth / 2;
+    return along >= halfExtent - 0.01;
+}
+
+/**
+ * Wrap an angle to the range -PI..PI.
+ */
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Store a violation and notify listeners.
+ * @param {Object} entry - Rule entry that was broken
+ * @param {string} messageKey - Locale key of the message
+ * @param {Object} params - Placeholder values for the message
+ */
+function recordViolation(entry, messageKey, params = {}) {
+    const violation = {
+        rule: entry.rule.type,
+        signId: entry.signId,
+        sign: localize(labelMap[entry.signId] || entry.signId),
+        message: t(messageKey, params),
+        messageKey: messageKey,
+        params: params,
+        timeOfDay: getTimeOfDay(),
+        timestamp: Date.now(),
+        position: { x: vehicle.position.x, z: vehicle.position.z }
+    };
+
+    violationLog.push(violation);
+    listeners.forEach((callback) => callback(violation));
+}
@@ -0,0 +1,272 @@
+/**
+ * Sign Check Module
+ *
+ * Checks where the signs of the level stand against the built city and suggests fixes:
+ * - Place: A sign belongs on a sidewalk, not on the asphalt, not away from every road
+ *   and not inside a building collider.
+ * - Side: Traffic keeps LEFT, so a sign stands on the left of the traffic it is meant for
+ *   (its rule `approach`, otherwise the lane next to it).
+ * - Facing: The board faces the drivers coming towards it.
+ * - Sight: From the approach lane the board must be visible over `signCheckConfig.sightDistance`
+ *   without a building in the way.
+ *
+ * Runs on load (problems are logged to the console) and in the level editor for the selected sign.
+ */
+
+import { roadGrid, findBuildingColliders } from './buildings.js';
+import { boundsOf } from '../core/spatialIndex.js';
+import { DIRECTIONS } from './roadNetwork.js';
+import { signConfigs, labelMap } from '../data/signData.js';
+import { t, localize } from '../core/i18n.js';
+
+// Check Settings
+export const signCheckConfig = {
+    curbGap: 0.5,           // Suggested fixes stand this far from the asphalt edge (m)
+    poleRadius: 0.3,        // Sign footprint used against building colliders (m)
+    facingTolerance: 30,    // Allowed deviation from facing the drivers (degrees)
+    sightDistance: 40,      // Drivers should see the sign from this far up the lane (m)
+    sightSamples: 4,        // Viewpoints checked along that distance
+    minVisibleSamples: 2    // Viewpoints that need a clear view (nearest first)
+};
+
+// Travel direction of the lane next to a road side (traffic keeps LEFT)
+// North-South road: west side = northbound lane. West-East road: north side = eastbound lane.
+const LANE_BY_SIDE = {
+    vertical: { "-1": "north", "1": "south" },
+    horizontal: { "-1": "east", "1": "west" }
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Road centerlines of the grid (same for X and Z).
+ */
+function gridLines() {
+    const lines = [];
+    for (let v = roadGrid.min; v <= roadGrid.max; v += roadGrid.spacing) lines.push(v);
+    return lines;
+}
+
+/**
+ * Every road of the grid seen from a point, nearest first.
+ * @returns {Array<{ vertical, line, lateral, along, edge }>} lateral: signed offset from the centerline,
+ *   edge: distance from the asphalt edge (negative = on the asphalt)
+ */
+function roadsNear(x, z) {
+    const half = roadGrid.width / 2;
+    const roads = [];
+    gridLines().forEach((line) => {
+        if (Math.abs(z) <= roadGrid.length / 2) roads.push({ vertical: true, line, lateral: x - line, along: z });
+        if (Math.abs(x) <= roadGrid.length / 2) roads.push({ vertical: false, line, lateral: z - line, along: x });
+    });
+    roads.forEach((road) => (road.edge = Math.abs(road.lateral) - half));
+    return roads.sort((a, b) => a.edge - b.edge);
+}
+
+/**
+ * World point at a lateral offset from a road's centerline.
+ */
+function roadPoint(road, lateral, along = road.along) {
+    return road.vertical ? { x: road.line + lateral, z: along } : { x: along, z: road.line + lateral };
+}
+
+/**
+ * Suggested spot on the sidewalk at the given side of a road (just beyond the curb).
+ */
+function curbPoint(road, side, along) {
+    const lateral = side * (roadGrid.width / 2 + signCheckConfig.curbGap);
+    const point = roadPoint(road, lateral, along);
+    return { x: round(point.x), z: round(point.z) };
+}
+
+/**
+ * Building collider that contains a point (with the pole footprint), or null.
+ */
+function colliderAt(x, z) {
+    const r = signCheckConfig.poleRadius;
+    return findBuildingColliders(boundsOf(x, z, r * 2)).find((b) =>
+        Math.abs(x - b.x) < b.width / 2 + r && Math.abs(z - b.z) < b.depth / 2 + r
+    ) || null;
+}
+
+/**
+ * Whether the ground segment a-b passes through a building collider (slab test).
+ */
+function isBlocked(a, b) {
+    const bounds = { minX: Math.min(a.x, b.x), minZ: Math.min(a.z, b.z), maxX: Math.max(a.x, b.x), maxZ: Math.max(a.z, b.z) };
+    return findBuildingColliders(bounds).some((box) => {
+        let t0 = 0;
+        let t1 = 1;
+        for (const [from, to, center, size] of [[a.x, b.x, box.x, box.width], [a.z, b.z, box.z, box.depth]]) {
+            const d = to - from;
+            const lo = center - size / 2;
+            const hi = center + size / 2;
+            if (Math.abs(d) < 1e-9) {
+                if (from < lo || from > hi) return false;
+                continue;
+            }
+            let near = (lo - from) / d;
+            let far = (hi - from) / d;
+            if (near > far) [near, far] = [far, near];
+            t0 = Math.max(t0, near);
+            t1 = Math.min(t1, far);
+            if (t0 > t1) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Count the viewpoints up the approach lane with a clear view of a sign spot.
+ * @param {Object} road - Road the traffic drives on
+ * @param {string} dir - Travel direction of that traffic
+ * @param {{x, z}} spot - Sign position
+ */
+function countVisibleSamples(road, dir, spot) {
+    const d = DIRECTIONS[dir];
+    const step = road.vertical ? d.z : d.x;
+    const laneLateral = (road.vertical ? d.z : -d.x) * (roadGrid.width / 4); // Left of the travel direction
+    const signAlong = road.vertical ? spot.z : spot.x;
+    const cfg = signCheckConfig;
+
+    let visible = 0;
+    for (let i = 1; i <= cfg.sightSamples; i++) {
+        const along = signAlong - step * (cfg.sightDistance * i) / cfg.sightSamples;
+        if (Math.abs(along) > roadGrid.length / 2) break; // Before the road starts: nobody comes from there
+        if (isBlocked(roadPoint(road, laneLateral, along), spot)) break;
+        visible++;
+    }
+    return visible;
+}
+
+/**
+ * Viewpoints that exist up the lane (the road may start closer than sightDistance).
+ */
+function availableSamples(road, dir, spot) {
+    const d = DIRECTIONS[dir];
+    const step = road.vertical ? d.z : d.x;
+    const signAlong = road.vertical ? spot.z : spot.x;
+    let count = 0;
+    for (let i = 1; i <= signCheckConfig.sightSamples; i++) {
+        if (Math.abs(signAlong - step * (signCheckConfig.sightDistance * i) / signCheckConfig.sightSamples) <= roadGrid.length / 2) count++;
+    }
+    return count;
+}
+
+/**
+ * Compass direction nearest to a facing angle (rotationY, 0 = facing South).
+ */
+function compassOf(rotationY) {
+    const x = Math.sin(rotationY);
+    const z = Math.cos(rotationY);
+    if (Math.abs(x) > Math.abs(z)) return x > 0 ? "east" : "west";
+    return z > 0 ? "south" : "north";
+}
+
+/**
+ * Check one sign placement.
+ *
+ * @param {Object} config - `signConfigs` entry { id, x, z, rotationY, rule? }
+ * @returns {Array<Object>} Findings { config, type, fix, ... }; type is one of
+ *   "onRoad", "offRoad", "building", "wrongSide", "facing", "occluded".
+ *   fix is { x, z } (move) or { rotationDeg } (turn), or null when no spot was found.
+ */
+export function checkSign(config) {
+    const findings = [];
+    const roads = roadsNear(config.x, config.z);
+    if (roads.length === 0) return findings;
+
+    // Traffic the sign is meant for: the rule's approach, otherwise the lane beside the nearest road
+    const approach = config.rule && config.rule.approach;
+    const road = approach
+        ? roads.find((r) => r.vertical === (DIRECTIONS[approach].x === 0))
+        : roads[0];
+    const side = Math.sign(road.lateral) || 1;
+    const dir = approach || LANE_BY_SIDE[road.vertical ? "vertical" : "horizontal"][side];
+
+    // Left of the travel direction, as a lateral sign on this road
+    const d = DIRECTIONS[dir];
+    const leftSide = road.vertical ? Math.sign(d.z) : Math.sign(-d.x);
+    const fixSpot = curbPoint(road, leftSide, road.along);
+
+    // 1. Place: sidewalk, not asphalt, not a building
+    const onAsphalt = roads.some((r) => r.edge < 0);
+    if (onAsphalt) {
+        findings.push({ config, type: "onRoad", fix: fixSpot });
+    } else if (road.edge > roadGrid.sidewalkWidth) {
+        findings.push({ config, type: "offRoad", fix: fixSpot });
+    } else if (side !== leftSide) {
+        findings.push({ config, type: "wrongSide", dir, fix: fixSpot });
+    }
+    if (colliderAt(config.x, config.z)) {
+        findings.push({ config, type: "building", fix: colliderAt(fixSpot.x, fixSpot.z) ? null : fixSpot });
+    }
+
+    // 2. Facing: towards the oncoming drivers (against the travel direction)
+    const expected = Math.atan2(-d.x, -d.z);
+    const off = Math.abs(Math.atan2(Math.sin(config.rotationY - expected), Math.cos(config.rotationY - expected)));
+    if (off > (signCheckConfig.facingTolerance * Math.PI) / 180) {
+        findings.push({
+            config,
+            type: "facing",
+            facing: compassOf(config.rotationY),
+            expected: compassOf(expected),
+            fix: { rotationDeg: Math.round((expected * 180) / Math.PI) }
+        });
+    }
+
+    // 3. Sight: clear view from the approach lane (only for signs that stand in a sensible place)
+    if (findings.length === 0) {
+        const needed = Math.min(signCheckConfig.minVisibleSamples, availableSamples(road, dir, config));
+        if (countVisibleSamples(road, dir, config) < needed) {
+            // Try the curb beside the lane, then spots further up the lane
+            const candidates = [0, 5, 10, 15].map((back) => curbPoint(road, leftSide, road.along - back * (road.vertical ? d.z : d.x)));
+            const fix = candidates.find((spot) =>
+                !colliderAt(spot.x, spot.z) &&
+                countVisibleSamples(road, dir, spot) >= Math.min(signCheckConfig.minVisibleSamples, availableSamples(road, dir, spot))
+            ) || null;
+            findings.push({ config, type: "occluded", dir, fix });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Check every sign of the level.
+ * @returns {Array<Object>} Findings of all signs (see checkSign)
+ */
+export function checkSignPlacements(configs = signConfigs) {
+    return configs.flatMap(checkSign);
+}
+
+/**
+ * One finding as a sentence with its suggested fix, in the current language.
+ */
+export function describeFinding(finding) {
+    const { config, fix } = finding;
+    const params = {
+        sign: localize(labelMap[config.id]),
+        x: round(config.x),
+        z: round(config.z),
+        dir: finding.dir ? t(`signCheck.dir.${finding.dir}`) : "",
+        facing: finding.facing ? t(`signCheck.face.${finding.facing}`) : "",
+        expected: finding.expected ? t(`signCheck.face.${finding.expected}`) : ""
+    };
+
+    let fixText = t("signCheck.fixNone");
+    if (fix && fix.rotationDeg !== undefined) fixText = t("signCheck.fixRotate", { rotation: fix.rotationDeg });
+    else if (fix) fixText = t("signCheck.fixMove", { x: fix.x, z: fix.z });
+
+    return `${t(`signCheck.${finding.type}`, params)} ${fixText}`;
+}
+
+/**
+ * Check the level's signs and log every problem to the console. Call once the world is built.
+ * @returns {Array<Object>} The findings
+ */
+export function reportSignPlacements() {
+    const findings = checkSignPlacements();
+    findings.forEach((finding) => console.warn(`[signs] ${describeFinding(finding)}`));
+    return findings;
+}
@@ -0,0 +1,289 @@
+/**
+ * Signals Module
+ *
+ * Intersection signal controllers:
+ * - Grouping: Every signalized junction (see signalData.js) gets one controller that
+ *   owns a vehicle signal head per approach and pedestrian heads at nearby zebra crossings.
+ * - Phase Plan: Greens run in order, each followed by yellow and an all-red clearance.
+ *   An optional walk phase stops all vehicles so pedestrians can cross.
+ * - Heads: Vehicle heads stand on the left curb before the stop line, facing the traffic
+ *   they control (traffic keeps LEFT); pedestrian heads face across the road.
+ *
+ * NPC traffic asks `getSignalState()` for its approach; pedestrians ask `getWalkTimeLeft()`.
+ */
+
+import * as THREE from 'three';
+import { scene } from '../core/scene.js';
+import { roadGrid, zebraCrossings } from './buildings.js';
+import { signalJunctions, defaultSignalTimings } from '../data/signalData.js';
+
+// Compass directions (North is -Z)
+const DIRECTIONS = {
+    north: { x: 0, z: -1 },
+    south: { x: 0, z: 1 },
+    east: { x: 1, z: 0 },
+    west: { x: -1, z: 0 }
+};
+
+// Lamp colors (lit / unlit)
+const LAMP_COLORS = {
+    red: { on: 0xff0000, off: 0x330000 },
+    yellow: { on: 0xffcc00, off: 0x332200 },
+    green: { on: 0x00ff00, off: 0x003300 }
+};
+
+// How far from a junction center a zebra crossing still belongs to it (share of the grid spacing)
+const CROSSING_REACH = 0.4;
+
+// Intersection controllers
+// Entry: { x, z, steps, stepIndex, timer, heads, pedestrianHeads, hasWalk }
+export const intersections = [];
+
+/**
+ * Turn a phase plan into the steps the controller cycles through.
+ * Step: { kind: "green" | "yellow" | "allRed" | "walk", approaches, duration }
+ */
+function buildSteps(config) {
+    const timings = { ...defaultSignalTimings, ...config.timings };
+    const steps = [];
+
+    config.phases.forEach((phase) => {
+        steps.push({ kind: "green", approaches: phase.approaches, duration: phase.green || timings.green });
+        steps.push({ kind: "yellow", approaches: phase.approaches, duration: timings.yellow });
+        steps.push({ kind: "allRed", approaches: [], duration: timings.allRed });
+    });
+
+    if (timings.walk > 0) {
+        steps.push({ kind: "walk", approaches: [], duration: timings.walk });
+        steps.push({ kind: "allRed", approaches: [], duration: timings.allRed });
+    }
+
+    return steps;
+}
+
+/**
+ * Lamp mesh with an emissive material that can be switched on and off.
+ */
+function createLamp(geometry, color) {
+    return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: LAMP_COLORS[color].off, emissive: 0x000000 }));
+}
+
+/**
+ * Switch a lamp on or off.
+ */
+function setLamp(lamp, color, on) {
+    lamp.material.emissive.setHex(on ? LAMP_COLORS[color].on : 0x000000);
+}
+
+/**
+ * Vehicle signal head: pole + box with red/yellow/green lamps on its local -Z face.
+ * @param {number} facing - rotation.y that turns the lamps toward the approaching traffic
+ */
+function createVehicleHead(x, z, facing) {
+    const group = new THREE.Group();
+
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.2, 0.2, 5, 8),
+        new THREE.MeshStandardMaterial({ color: 0x444444 })
+    );
+    pole.position.set(0, 2.5, 0);
+    group.add(pole);
+
+    const box = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 3, 0.8),
+        new THREE.MeshStandardMaterial({ color: 0x222222 })
+    );
+    box.position.set(0, 4.5, 0);
+    group.add(box);
+
+    const lampGeo = new THREE.SphereGeometry(0.25, 12, 12);
+    const red = createLamp(lampGeo, "red");
+    red.position.set(0, 5.6, -0.45);
+    const yellow = createLamp(lampGeo, "yellow");
+    yellow.position.set(0, 4.5, -0.45);
+    const green = createLamp(lampGeo, "green");
+    green.position.set(0, 3.4, -0.45);
+    group.add(red, yellow, green);
+
+    group.position.set(x, 0, z);
+    group.rotation.y = facing;
+    scene.add(group);
+
+    return { red, yellow, green };
+}
+
+/**
+ * Pedestrian signal head: short pole with a red "wait" and a green "walk" lamp.
+ * @param {number} facing - rotation.y that turns the lamps toward the waiting pedestrians
+ */
+function createPedestrianHead(x, z, facing) {
+    const group = new THREE.Group();
+
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.08, 0.08, 2.6, 8),
+        new THREE.MeshStandardMaterial({ color: 0x444444 })
+    );
+    pole.position.set(0, 1.3, 0);
+    group.add(pole);
+
+    const box = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.9, 0.3),
+        new THREE.MeshStandardMaterial({ color: 0x222222 })
+    );
+    box.position.set(0, 2.9, 0);
+    group.add(box);
+
+    const lampGeo = new THREE.BoxGeometry(0.3, 0.3, 0.05);
+    const wait = createLamp(lampGeo, "red");
+    wait.position.set(0, 3.12, -0.16);
+    const walk = createLamp(lampGeo, "green");
+    walk.position.set(0, 2.68, -0.16);
+    group.add(wait, walk);
+
+    group.position.set(x, 0, z);
+    group.rotation.y = facing;
+    scene.add(group);
+
+    return { wait, walk };
+}
+
+/**
+ * Build one controller with its signal heads.
+ */
+function createIntersection(config) {
+    const half = roadGrid.width / 2 + 1; // Just outside the asphalt
+    const steps = buildSteps(config);
+    const intersection = {
+        x: config.x,
+        z: config.z,
+        steps: steps,
+        stepIndex: 0,
+        timer: 0,
+        heads: [],
+        pedestrianHeads: [],
+        hasWalk: steps.some((step) => step.kind === "walk")
+    };
+
+    // One head per approach that appears in the plan
+    const approaches = new Set(config.phases.flatMap((phase) => phase.approaches));
+    approaches.forEach((approach) => {
+        const dir = DIRECTIONS[approach];
+        const left = { x: dir.z, z: -dir.x };
+        const head = createVehicleHead(
+            config.x - dir.x * half + left.x * half,
+            config.z - dir.z * half + left.z * half,
+            Math.atan2(dir.x, dir.z) // Lamps (local -Z) face against the travel direction
+        );
+        intersection.heads.push({ approach, ...head });
+    });
+
+    // Pedestrian heads at both ends of the crossings that belong to this junction
+    if (intersection.hasWalk) {
+        zebraCrossings.forEach((zebra) => {
+            const middle = (zebra.xStart + zebra.xEnd) / 2;
+            if (Math.abs(middle - config.x) > roadGrid.width || Math.abs(zebra.z - config.z) > roadGrid.spacing * CROSSING_REACH) return;
+
+            [-1, 1].forEach((side) => {
+                // Face the pedestrians waiting on the other side of the road
+                const head = createPedestrianHead(config.x + side * half, zebra.z + 1.5, side > 0 ? Math.PI / 2 : -Math.PI / 2);
+                intersection.pedestrianHeads.push(head);
+            });
+        });
+    }
+
+    return intersection;
+}
+
+/**
+ * Light the heads for the current step.
+ */
+function applyStep(intersection) {
+    const step = intersection.steps[intersection.stepIndex];
+
+    intersection.heads.forEach((head) => {
+        const state = getApproachState(intersection, head.approach);
+        setLamp(head.red, "red", state === "red");
+        setLamp(head.yellow, "yellow", state === "yellow");
+        setLamp(head.green, "green", state === "green");
+    });
+
+    intersection.pedestrianHeads.forEach((head) => {
+        setLamp(head.wait, "red", step.kind !== "walk");
+        setLamp(head.walk, "green", step.kind === "walk");
+    });
+}
+
+/**
+ * Signal for one approach of a controller.
+ * @returns {"green"|"yellow"|"red"}
+ */
+function getApproachState(intersection, approach) {
+    const step = intersection.steps[intersection.stepIndex];
+    if (!step.approaches.includes(approach)) return "red";
+    return step.kind === "yellow" ? "yellow" : "green";
+}
+
+/**
+ * Controller of the junction at (x, z), or null if it has no signals.
+ */
+export function getSignalAt(x, z) {
+    return intersections.find((intersection) => intersection.x === x && intersection.z === z) || null;
+}
+
+/**
+ * Signal shown to traffic entering the junction at (x, z) heading `approach`.
+ * @returns {"green"|"yellow"|"red"|null} null when the junction has no signals
+ */
+export function getSignalState(x, z, approach) {
+    const intersection = getSignalAt(x, z);
+    return intersection ? getApproachState(intersection, approach) : null;
+}
+
+/**
+ * Controller with a walk phase that covers a zebra crossing over the road at `roadX`
+ * at height `z`, or null if the crossing is not signalized.
+ */
+export function getCrossingSignal(roadX, z) {
+    return intersections.find((intersection) =>
+        intersection.hasWalk && intersection.x === roadX && Math.abs(intersection.z - z) <= roadGrid.spacing * CROSSING_REACH
+    ) || null;
+}
+
+/**
+ * Seconds of walk phase left (0 outside the walk phase).
+ */
+export function getWalkTimeLeft(intersection) {
+    const step = intersection.steps[intersection.stepIndex];
+    return step.kind === "walk" ? step.duration - intersection.timer : 0;
+}
+
+/**
+ * Create every signalized junction. Call after initWorld() (needs the zebra crossings).
+ */
+export function initSignals() {
+    intersections.length = 0;
+    signalJunctions.forEach((config) => {
+        const intersection = createIntersection(config);
+        applyStep(intersection);
+        intersections.push(intersection);
+    });
+}
+
+/**
+ * Advance every controller through its phase plan. Called every frame.
+ * @param {number} delta - Time since last frame
+ */
+export function updateSignals(delta) {
+    intersections.forEach((intersection) => {
+        intersection.timer += delta;
+
+        let changed = false;
+        while (intersection.timer >= intersection.steps[intersection.stepIndex].duration) {
+            intersection.timer -= intersection.steps[intersection.stepIndex].duration;
+            intersection.stepIndex = (intersection.stepIndex + 1) % intersection.steps.length;
+            changed = true;
+        }
+
+        if (changed) applyStep(intersection);
+    });
+}
@@ -4,16 +4,29 @@
  * Manages the creation and placement of Traffic Signs.
  * - Loads textures for each sign type.
  * - Creates 3D models (Board + Pole) for each sign.
- * - Handles raycasting interaction (finding which sign object was clicked).
+ * - Handles raycasting interaction (finding which sign object was clicked). Only signs
+ *   within reach of the player (spatial index) are raycast.
+ * - Adds and removes single signs at runtime (level editor).
+ *
+ * Poles and back boards are drawn as instances (see core/instancing.js); the front boards
+ * stay regular meshes (transparent) but share one material per sign type.
  */
 
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.0/build/three.module.js';
+import * as THREE from 'three';
 import { scene } from '../core/scene.js';
+import { sharedGeometry, sharedMaterial, instanceObject, updateInstancedObject, removeInstancedObject } from '../core/instancing.js';
+import { createSpatialIndex, boundsOf } from '../core/spatialIndex.js';
 import { signConfigs, signTextures as signTexturePaths } from '../data/signData.js';
 
 // Exported list of clickable sign objects (for Raycasting)
 export const clickableSigns = [];
 
+// Signs can be read and clicked from this close (m)
+export const SIGN_REACH = 12;
+
+// Spatial index over the clickable signs (by pole position)
+const signIndex = createSpatialIndex(SIGN_REACH * 2);
+
 // Cache for loaded textures to prevent re-loading
 const loadedTextures = {};
 
@@ -44,6 +57,7 @@ export function loadSignTextures() {
  * @param x, y, z - World Coordinates
  * @param rotationY - Facing direction
  * @param scale - Size multiplier
+ * @returns {Object} The clickable entry { mesh, id }
  */
 function createTextureSign(id, x, y, z, rotationY = 0, scale = 1.0) {
     const group = new THREE.Group();
@@ -59,34 +73,33 @@ function createTextureSign(id, x, y, z, rotationY = 0, scale = 1.0) {
 
     // 1. Pole (Support post)
     const pole = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.05, 0.05, poleHeight, 12),
-        new THREE.MeshStandardMaterial({ color: 0x333333 })
+        sharedGeometry("sign.pole", () => new THREE.CylinderGeometry(0.05, 0.05, poleHeight, 12)),
+        sharedMaterial("sign.pole", () => new THREE.MeshStandardMaterial({ color: 0x333333 }))
     );
     pole.position.set(0, poleHeight / 2, -0.1);
     pole.castShadow = true;
     group.add(pole);
 
     // 2. Front Board (The visible sign)
-    const frontGeo = new THREE.PlaneGeometry(boardWidth, boardHeight);
-    const frontMat = new THREE.MeshStandardMaterial({
+    const boardGeo = sharedGeometry(`sign.board.${scale}`, () => new THREE.PlaneGeometry(boardWidth, boardHeight));
+    const frontMat = sharedMaterial(`sign.front.${id}`, () => new THREE.MeshStandardMaterial({
         map: loadedTextures[id], // Apply texture here
         color: 0xffffff,
         transparent: true,
         alphaTest: 0.5, // Crisp edges for PNG transparency
         side: THREE.FrontSide
-    });
-    const frontBoard = new THREE.Mesh(frontGeo, frontMat);
+    }));
+    const frontBoard = new THREE.Mesh(boardGeo, frontMat);
     frontBoard.position.set(0, boardCenterY, 0.02);
     frontBoard.castShadow = true;
     group.add(frontBoard);
 
     // 3. Back Board (The back of the sign)
-    const backGeo = new THREE.PlaneGeometry(boardWidth, boardHeight);
-    const backMat = new THREE.MeshStandardMaterial({
+    const backMat = sharedMaterial("sign.back", () => new THREE.MeshStandardMaterial({
         color: 0x666666, // Dark grey back
         side: THREE.FrontSide
-    });
-    const backBoard = new THREE.Mesh(backGeo, backMat);
+    }));
+    const backBoard = new THREE.Mesh(boardGeo, backMat);
     backBoard.position.set(0, boardCenterY, -0.02);
     backBoard.rotation.y = Math.PI; // Face opposite direction
     backBoard.castShadow = true;
@@ -96,9 +109,45 @@ function createTextureSign(id, x, y, z, rotationY = 0, scale = 1.0) {
     group.position.set(x, y, z);
     group.rotation.y = rotationY;
     scene.add(group);
+    instanceObject(group);
 
     // Register for intersection testing
-    clickableSigns.push({ mesh: group, id: id });
+    const entry = { mesh: group, id: id };
+    clickableSigns.push(entry);
+    signIndex.insert(entry, boundsOf(x, z));
+    return entry;
+}
+
+/**
+ * Create the sign of one `signConfigs` entry.
+ * @param {Object} config - Sign placement { id, x, y, z, rotationY, scale }
+ * @returns {Object} The clickable entry { mesh, id, config }
+ */
+export function addSign(config) {
+    const entry = createTextureSign(config.id, config.x, config.y, config.z, config.rotationY, config.scale);
+    entry.config = config;
+    return entry;
+}
+
+/**
+ * Take a sign out of the scene (its `signConfigs` entry is left to the caller).
+ * @param {Object} entry - Clickable entry returned by addSign
+ */
+export function removeSign(entry) {
+    removeInstancedObject(entry.mesh);
+    scene.remove(entry.mesh);
+    signIndex.remove(entry);
+    const index = clickableSigns.indexOf(entry);
+    if (index !== -1) clickableSigns.splice(index, 1);
+}
+
+/**
+ * Follow a sign whose scene object was moved or turned (level editor).
+ * @param {Object} entry - Clickable entry returned by addSign
+ */
+export function updateSign(entry) {
+    updateInstancedObject(entry.mesh);
+    signIndex.update(entry, boundsOf(entry.mesh.position.x, entry.mesh.position.z));
 }
 
 /**
@@ -109,20 +158,31 @@ export function initSigns() {
     loadSignTextures();
 
     // Create all signs from config
-    signConfigs.forEach((config) => {
-        createTextureSign(
-            config.id,
-            config.x,
-            config.y,
-            config.z,
-            config.rotationY,
-            config.scale
-        );
-    });
+    signConfigs.forEach(addSign);
 
     return clickableSigns;
 }
 
+/**
+ * The sign in the middle of the view, if it is within reach.
+ * Only signs near the player are raycast (broad phase through the spatial index).
+ *
+ * @param {THREE.Raycaster} raycaster - Raycaster already set from the camera
+ * @param {THREE.Vector3} position - Player (camera) position
+ * @returns {Object|null} Clickable entry { mesh, id, ... }
+ */
+export function pickSign(raycaster, position) {
+    const nearby = signIndex.queryRadius(position.x, position.z, SIGN_REACH);
+    if (nearby.length === 0) return null;
+
+    const intersects = raycaster.intersectObjects(nearby.map((s) => s.mesh), true);
+    if (intersects.length === 0) return null;
+
+    const found = findClickableSignFromObject(intersects[0].object);
+    if (found && position.distanceTo(found.mesh.position) < SIGN_REACH) return found;
+    return null;
+}
+
 /**
  * Find clickable sign from intersected object
  */
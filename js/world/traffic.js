@@ -0,0 +1,394 @@
+/**
+ * Traffic Module
+ *
+ * NPC cars that bring the road grid to life:
+ * - Lanes: Cars drive junction to junction along the lanes of the road network (roadNetwork.js),
+ *   keeping LEFT like Indonesian traffic.
+ * - Turns: At every junction a car goes straight, left or right (U-turn only at a dead end),
+ *   following a smooth curve through the junction box.
+ * - Traffic Lights: Cars wait at the stop line on red (and on yellow if they can still stop),
+ *   reading the signal for their approach from the intersection controllers (signals.js).
+ * - Signs: Cars come to a full stop at STOP signs and never make a turn banned by a
+ *   No Left/Right Turn sign (both read from the network's junction approaches),
+ *   and keep to speed limits (from the `rule`s in `signConfigs`).
+ * - Following: Cars keep a gap to the car (or player) ahead in their lane,
+ *   and stop for pedestrians on a zebra crossing.
+ *
+ * The number of cars is set with `trafficConfig.carCount` or `setTrafficCarCount()`.
+ */
+
+import * as THREE from 'three';
+import { scene, camera } from '../core/scene.js';
+import { vehicle } from '../core/vehicle.js';
+import { Car } from '../objects/Car.js';
+import { roadNetwork, DIRECTIONS, turnBetween, lanePoint, getLaneExits, getUTurnLane } from './roadNetwork.js';
+import { getSignalState } from './signals.js';
+import { signConfigs } from '../data/signData.js';
+import { getCrossingPedestrians } from './pedestrians.js';
+
+// Traffic Tuning (meters, seconds)
+export const trafficConfig = {
+    carCount: 12,          // NPC cars in the city
+    cruiseSpeed: 9,        // ~32 km/h on straight road
+    turnSpeed: 4,          // Through a junction when turning
+    acceleration: 2.5,     // m/s²
+    braking: 5,            // Comfortable deceleration (m/s²)
+    carLength: 4.4,
+    minGap: 2,             // Bumper-to-bumper distance kept while queueing
+    lookAhead: 20,         // How far a car looks for traffic ahead
+    laneHalfWidth: 2.6,    // Sideways reach of that look (wider than a car, narrower than two lanes)
+    stopSignWait: 1.5,     // Seconds standing still at a STOP sign
+    claimMargin: 3,        // Extra meters beyond the braking distance to claim a junction
+    junctionPatience: 4,   // Seconds stuck inside a junction before squeezing past
+    roadPatience: 20,      // Seconds stuck on the road behind something that is not queueing
+    spawnClearance: 25     // Cars never appear this close to the player
+};
+
+// Car paint colors
+const CAR_COLORS = [0x2255aa, 0xeeeeee, 0x222222, 0x888888, 0x2e7d32, 0xf2c14e, 0x8e24aa, 0xd35400];
+
+// Active NPC cars
+export const trafficCars = [];
+
+// speedLimit rules: { zone, approach, speed (m/s) }, built in initTraffic()
+const speedLimits = [];
+
+// Reusable vectors
+const tmpVec = new THREE.Vector3();
+
+/**
+ * Axis-aligned zone test (zone is center + width/depth, like rules.js).
+ */
+function isInsideZone(x, z, zone) {
+    return Math.abs(x - zone.x) <= zone.width / 2 && Math.abs(z - zone.z) <= zone.depth / 2;
+}
+
+/**
+ * Read the speed limit rules (turn bans and STOP signs live on the road network).
+ */
+function buildSpeedLimits() {
+    speedLimits.length = 0;
+    signConfigs.forEach(({ rule }) => {
+        if (rule && rule.type === "speedLimit") {
+            speedLimits.push({ zone: rule.zone, approach: rule.approach, speed: rule.limitKmh / 3.6 });
+        }
+    });
+}
+
+/**
+ * True when a lane ends at a junction (NPC cars stay inside the grid).
+ */
+function isGridLane(lane) {
+    return lane.from.type === "junction" && lane.to.type === "junction";
+}
+
+/**
+ * Pick where to go at the end of a lane: straight, left or right, never a banned turn
+ * or off the grid. Falls back to a U-turn at a dead end.
+ */
+function chooseExit(lane) {
+    const options = getLaneExits(lane).filter(isGridLane);
+    if (options.length === 0) return getUTurnLane(lane);
+
+    // Prefer going straight so cars cover the long roads
+    const straight = options.find((exit) => exit.dir === lane.dir);
+    if (straight && Math.random() < 0.5) return straight;
+    return options[Math.floor(Math.random() * options.length)];
+}
+
+/**
+ * Put a car on a lane of the road network.
+ * @param {number} s - Distance already driven along the lane
+ */
+function enterRoad(car, lane, s = 0) {
+    car.lane = lane;
+    car.to = lane.to;
+    car.dir = lane.dir;
+    car.phase = "road";
+    car.length = lane.length;
+    car.s = s;
+    car.exit = chooseExit(lane);
+    car.next = car.exit.dir;
+    car.stopped = false; // STOP sign already obeyed on this approach
+    car.stopTimer = 0;
+    car.claimed = false; // Junction ahead claimed (see hasConflictInJunction)
+}
+
+/**
+ * Start the curve through a junction (quadratic Bezier from the stop line to the exit lane).
+ */
+function enterJunction(car, s) {
+    const p0 = car.lane.end;
+    const p2 = car.exit.start;
+    const turn = turnBetween(car.dir, car.next);
+
+    // Control point: where the two lane lines cross (midpoint when going straight)
+    let p1;
+    if (turn === "straight") {
+        p1 = p0.clone().lerp(p2, 0.5);
+    } else if (turn === "uturn") {
+        p1 = new THREE.Vector3(car.to.x, 0, car.to.z);
+    } else if (DIRECTIONS[car.dir].x !== 0) {
+        p1 = new THREE.Vector3(p2.x, 0, p0.z);
+    } else {
+        p1 = new THREE.Vector3(p0.x, 0, p2.z);
+    }
+
+    car.phase = "junction";
+    car.curve = new THREE.QuadraticBezierCurve3(p0, p1, p2);
+    car.length = car.curve.getLength();
+    car.turn = turn;
+    car.s = s;
+}
+
+/**
+ * Create one NPC car on a random lane away from the player.
+ */
+function spawnCar() {
+    const lanes = roadNetwork.lanes.filter(isGridLane);
+    const mesh = new Car(CAR_COLORS[Math.floor(Math.random() * CAR_COLORS.length)]);
+    const car = { mesh, speed: 0, position: new THREE.Vector3(), heading: 0, blockedTime: 0, squeezeDistance: 0, queued: false };
+
+    const player = vehicle.active ? vehicle.position : camera.position;
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        enterRoad(car, lanes[Math.floor(Math.random() * lanes.length)], Math.random() * 20);
+        placeCar(car);
+
+        const clear = trafficCars.every((other) => other.position.distanceTo(car.position) > trafficConfig.carLength * 3);
+        const farFromPlayer = Math.hypot(car.position.x - player.x, car.position.z - player.z) > trafficConfig.spawnClearance;
+        if (clear && farFromPlayer) break;
+    }
+
+    car.speed = trafficConfig.cruiseSpeed * 0.5;
+    scene.add(mesh);
+    trafficCars.push(car);
+    syncMesh(car, 0);
+    return car;
+}
+
+/**
+ * Update position and heading from the car's progress on its road or curve.
+ */
+function placeCar(car) {
+    if (car.phase === "road") {
+        const t = Math.min(1, car.s / car.length);
+        car.position.copy(car.lane.start).lerp(car.lane.end, t);
+        car.heading = car.lane.heading;
+    } else {
+        const t = Math.min(1, car.s / car.length);
+        car.curve.getPoint(t, car.position);
+        car.curve.getTangent(t, tmpVec);
+        car.heading = Math.atan2(tmpVec.x, tmpVec.z);
+    }
+}
+
+/**
+ * Copy the simulated state onto the car model.
+ */
+function syncMesh(car, distance) {
+    car.mesh.position.copy(car.position);
+    car.mesh.rotation.y = car.heading;
+    const steer = car.phase === "junction" ? { left: 0.45, right: -0.45, uturn: 0.6 }[car.turn] || 0 : 0;
+    car.mesh.setSteer(steer);
+    car.mesh.spinWheels(distance);
+}
+
+/**
+ * True when another car has claimed (or is inside) the junction ahead on a path that crosses
+ * this car's path.
+ * Keeping left, a left turn stays in its own corner; going straight only crosses
+ * perpendicular traffic and the opposite right turn.
+ */
+function hasConflictInJunction(car) {
+    const myTurn = turnBetween(car.dir, car.next);
+
+    return trafficCars.some((other) => {
+        if (other === car || (other.phase !== "junction" && !other.claimed)) return false;
+        if (other.to !== car.to) return false;
+
+        const otherTurn = turnBetween(other.dir, other.next);
+        const relation = turnBetween(car.dir, other.dir);
+        if (relation === "straight") return false; // Same approach: following handles it
+        if (relation === "uturn") {
+            // Oncoming traffic: only right turns (and U-turns) cut across
+            return ["right", "uturn"].includes(myTurn) || ["right", "uturn"].includes(otherTurn);
+        }
+        return !(myTurn === "left" && otherTurn === "left");
+    });
+}
+
+/**
+ * True when there is room for one more car just past the junction in the lane this car exits into.
+ */
+function isExitClear(car) {
+    const spot = lanePoint(car.to, car.next, car.to.halfSize + trafficConfig.carLength / 2);
+    const room = trafficConfig.carLength + trafficConfig.minGap / 2;
+
+    return trafficCars.every((other) => other === car || other.position.distanceTo(spot) > room);
+}
+
+/**
+ * Highest speed that still lets the car stop within `distance` meters.
+ */
+function stoppingSpeed(distance) {
+    return Math.sqrt(2 * trafficConfig.braking * Math.max(0, distance));
+}
+
+/**
+ * Speed the car wants this frame, from the road, the junction ahead and the traffic ahead.
+ */
+function targetSpeed(car, delta) {
+    const cfg = trafficConfig;
+    let target = car.phase === "junction" && car.turn !== "straight" ? cfg.turnSpeed : cfg.cruiseSpeed;
+
+    // Speed limit zones
+    speedLimits.forEach((limit) => {
+        if ((!limit.approach || limit.approach === car.dir) && isInsideZone(car.position.x, car.position.z, limit.zone)) {
+            target = Math.min(target, limit.speed);
+        }
+    });
+
+    // Slow down for the turn ahead (v² = v_turn² + 2·a·d)
+    if (car.phase === "road" && car.next !== car.dir) {
+        const toTurn = car.length - car.s;
+        target = Math.min(target, Math.sqrt(cfg.turnSpeed * cfg.turnSpeed + 2 * cfg.braking * toTurn));
+    }
+
+    // Stop line: red light, or STOP sign not yet obeyed
+    let waitingAtLine = false;
+    if (car.phase === "road") {
+        const toLine = car.length - car.s;
+        const signal = getSignalState(car.to.x, car.to.z, car.dir);
+
+        let mustStop = false;
+        if (signal === "red") {
+            mustStop = true;
+        } else if (signal === "yellow") {
+            // Only stop if there is still room to brake
+            mustStop = car.speed * car.speed / (2 * cfg.braking) <= toLine;
+        }
+        if (car.to.approaches[car.dir].stop && !car.stopped) {
+            mustStop = true;
+            if (toLine < 1.5 && car.speed < 0.2) {
+                car.stopTimer += delta;
+                if (car.stopTimer >= cfg.stopSignWait) car.stopped = true;
+            }
+        }
+
+        // Junction claim: before it is too late to brake, a car either claims the junction
+        // or gives way to a crossing car that already claimed it (or is still inside).
+        // It also waits while its exit lane is backed up, so it never blocks the box.
+        if (!mustStop && !car.claimed && toLine < car.speed * car.speed / (2 * cfg.braking) + cfg.claimMargin) {
+            if (hasConflictInJunction(car) || !isExitClear(car)) mustStop = true;
+            else car.claimed = true;
+        }
+        if (mustStop && car.speed < 0.1) car.claimed = false;
+
+        if (mustStop) {
+            target = Math.min(target, stoppingSpeed(toLine - 0.5));
+            waitingAtLine = toLine < 3;
+        }
+    }
+
+    // Traffic ahead in the same lane (other NPCs, the player and people on a zebra crossing)
+    let blocker = null;
+    if (car.squeezeDistance <= 0) {
+        const forward = { x: Math.sin(car.heading), z: Math.cos(car.heading) };
+        const others = trafficCars.map((other) => ({ position: other.position, car: other }));
+        if (vehicle.mesh) others.push({ position: vehicle.position });
+        if (!vehicle.active) others.push({ position: camera.position });
+        getCrossingPedestrians().forEach((position) => others.push({ position }));
+
+        others.forEach((other) => {
+            if (other.car === car) return;
+            const dx = other.position.x - car.position.x;
+            const dz = other.position.z - car.position.z;
+            const ahead = dx * forward.x + dz * forward.z;
+            const side = Math.abs(dx * forward.z - dz * forward.x);
+            if (ahead <= 0 || ahead > cfg.lookAhead || side > cfg.laneHalfWidth) return;
+
+            const speed = stoppingSpeed(ahead - cfg.carLength - cfg.minGap);
+            if (speed < target) {
+                target = speed;
+                blocker = other;
+            }
+        });
+    }
+
+    // Queueing: waiting at the stop line, or behind a car that is queueing
+    car.queued = waitingAtLine || Boolean(blocker && blocker.car && blocker.car.queued);
+
+    // Deadlock guard: crossing cars can block each other inside a junction, and a parked
+    // player car blocks a lane for good. After waiting long enough (but never while
+    // queueing at a light or sign), squeeze past.
+    if (blocker && !car.queued && car.speed < 0.1) {
+        car.blockedTime += delta;
+        const patience = car.phase === "junction" ? cfg.junctionPatience : cfg.roadPatience;
+        if (car.blockedTime > patience) {
+            car.blockedTime = 0;
+            car.squeezeDistance = cfg.carLength * 2;
+        }
+    } else {
+        car.blockedTime = 0;
+    }
+
+    return target;
+}
+
+/**
+ * Spawn the NPC cars. Call after the world, signals and road network are built.
+ * @param {number} count - Number of cars (defaults to trafficConfig.carCount)
+ */
+export function initTraffic(count = trafficConfig.carCount) {
+    buildSpeedLimits();
+    setTrafficCarCount(count);
+}
+
+/**
+ * Change the number of NPC cars (adds or removes cars on the fly).
+ * @param {number} count - New number of cars
+ */
+export function setTrafficCarCount(count) {
+    trafficConfig.carCount = Math.max(0, Math.floor(count));
+
+    while (trafficCars.length > trafficConfig.carCount) {
+        const car = trafficCars.pop();
+        scene.remove(car.mesh);
+    }
+    while (trafficCars.length < trafficConfig.carCount) {
+        spawnCar();
+    }
+}
+
+/**
+ * Move every NPC car. Called every frame.
+ * @param {number} delta - Time since last frame
+ */
+export function updateTraffic(delta) {
+    const cfg = trafficConfig;
+
+    trafficCars.forEach((car) => {
+        const target = targetSpeed(car, delta);
+
+        if (car.speed < target) car.speed = Math.min(target, car.speed + cfg.acceleration * delta);
+        else car.speed = Math.max(target, car.speed - cfg.braking * 2 * delta);
+
+        const distance = car.speed * delta;
+        car.s += distance;
+        car.squeezeDistance -= distance;
+
+        // Hand over to the next piece of the route (road -> junction -> road ...)
+        while (car.s >= car.length) {
+            const overflow = car.s - car.length;
+            if (car.phase === "road") {
+                enterJunction(car, overflow);
+            } else {
+                enterRoad(car, car.exit, overflow);
+            }
+        }
+
+        placeCar(car);
+        syncMesh(car, distance);
+    });
+}
@@ -0,0 +1,257 @@
+/**
+ * Weather Module
+ *
+ * Clear, rain and heavy-fog weather on top of the day/night cycle:
+ * - States: WEATHER_STATES holds the look of each weather (rain, visibility, light, grey sky).
+ *   Changes blend over `transitionTime`, so rain builds up and fog rolls in; the blended
+ *   values in `weather` are read by updateDayNight (light, sky, fog) every frame.
+ * - Rain: Streaks (one LineSegments) in a box that follows the camera. The number of drops
+ *   follows the graphics preset.
+ * - Wet Roads: While it rains the asphalt, markings and sidewalks turn darker and glossy,
+ *   and they dry slowly afterwards. The car brakes and accelerates with less grip on them,
+ *   the slick road the `slippery` sign warns about.
+ * - Schedule: `weatherConfig.schedule` cycles through the weathers; key H switches to the
+ *   next weather by hand (kept for `manualHold` seconds, then the schedule takes over again).
+ *
+ * Rain drops use Math.random(): only the static world is seeded.
+ */
+
+import * as THREE from 'three';
+import { scene, camera } from '../core/scene.js';
+import { roadMaterials } from '../objects/Road.js';
+
+// Look of every weather (all values 0..1)
+export const WEATHER_STATES = {
+    clear: { rain: 0, visibility: 1, light: 1, overcast: 0, wet: 0 },
+    rain: { rain: 1, visibility: 0.55, light: 0.55, overcast: 0.7, wet: 1 },
+    fog: { rain: 0, visibility: 0.25, light: 0.75, overcast: 0.85, wet: 0.2 } // Damp roads
+};
+
+// Order of the weathers for key H
+export const WEATHER_ORDER = ["clear", "rain", "fog"];
+
+// Weather Settings
+export const weatherConfig = {
+    transitionTime: 10,     // Seconds to blend from one weather to the next
+    wetTime: 20,            // Seconds of rain until the roads are fully wet
+    dryTime: 90,            // Seconds until wet roads are dry again
+    schedule: [             // Weather changes over time (seconds of play), repeated
+        { weather: "clear", duration: 240 },
+        { weather: "rain", duration: 120 },
+        { weather: "clear", duration: 180 },
+        { weather: "fog", duration: 90 }
+    ],
+    scheduleEnabled: true,
+    manualHold: 180,        // Seconds a weather chosen with H stays before the schedule continues
+    maxRainDrops: 3000,     // Drops allocated (the graphics preset may use fewer)
+    rainArea: 60,           // Width of the rain box around the camera (m)
+    rainHeight: 30,         // Height of the rain box (m)
+    rainSpeed: 24,          // Falling speed (m/s)
+    streakLength: 0.7,      // Length of a drop streak (m)
+    wind: 2.5,              // Sideways drift along X (m/s)
+    wetDarken: 0.45,        // Share of the surface color lost when fully wet
+    wetRoughness: 0.2,      // Roughness of a fully wet surface (glossy highlights)
+    wetMetalness: 0.3       // Metalness of a fully wet surface (darker, mirror-like)
+};
+
+// Blended weather, read by lighting (light, sky, fog), the car (wetness) and the HUD (state)
+export const weather = {
+    state: "clear",         // Weather we are heading to
+    rain: 0,
+    visibility: 1,
+    light: 1,
+    overcast: 0,
+    wetness: 0              // How wet the roads are (0 = dry)
+};
+
+let scheduleIndex = 0;
+let scheduleTimer = 0;
+
+let rainLines = null;
+let rainDrops = null;       // Head position of every drop (x, y, z)
+let rainDropLimit = weatherConfig.maxRainDrops;
+
+// Dry look of the road materials { material, color, roughness, metalness }
+const drySurfaces = [];
+
+/**
+ * Move a value towards a target by at most `step`.
+ */
+function approach(value, target, step) {
+    if (value < target) return Math.min(target, value + step);
+    return Math.max(target, value - step);
+}
+
+/**
+ * Put a drop at a random spot of the rain box around the camera.
+ * @param {number} i - Drop index
+ * @param {boolean} anyHeight - Anywhere in the box (start) or at the top (respawn)
+ */
+function spawnDrop(i, anyHeight) {
+    const cfg = weatherConfig;
+    rainDrops[i * 3] = camera.position.x + (Math.random() - 0.5) * cfg.rainArea;
+    rainDrops[i * 3 + 1] = anyHeight ? Math.random() * cfg.rainHeight : cfg.rainHeight;
+    rainDrops[i * 3 + 2] = camera.position.z + (Math.random() - 0.5) * cfg.rainArea;
+}
+
+/**
+ * Create the rain streaks (hidden until it rains).
+ */
+function createRain() {
+    const count = weatherConfig.maxRainDrops;
+    rainDrops = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) spawnDrop(i, true);
+
+    const geometry = new THREE.BufferGeometry();
+    const positions = new THREE.BufferAttribute(new Float32Array(count * 6), 3);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute("position", positions);
+    geometry.setDrawRange(0, 0);
+
+    rainLines = new THREE.LineSegments(
+        geometry,
+        new THREE.LineBasicMaterial({ color: 0xaabbcc, transparent: true, opacity: 0.45, depthWrite: false })
+    );
+    rainLines.frustumCulled = false; // The box always surrounds the camera
+    rainLines.visible = false;
+    scene.add(rainLines);
+}
+
+/**
+ * Let the active drops fall and write their streaks.
+ */
+function updateRain(delta) {
+    const cfg = weatherConfig;
+    const active = Math.floor(rainDropLimit * weather.rain);
+    rainLines.visible = active > 0;
+    if (!rainLines.visible) return;
+
+    const half = cfg.rainArea / 2;
+    const slant = (cfg.wind / cfg.rainSpeed) * cfg.streakLength;
+    const positions = rainLines.geometry.attributes.position;
+    const out = positions.array;
+
+    for (let i = 0; i < active; i++) {
+        const p = i * 3;
+        rainDrops[p] += cfg.wind * delta;
+        rainDrops[p + 1] -= cfg.rainSpeed * delta;
+        if (rainDrops[p + 1] < 0) spawnDrop(i, false);
+
+        // Keep the drop inside the box as the camera moves
+        const dx = rainDrops[p] - camera.position.x;
+        const dz = rainDrops[p + 2] - camera.position.z;
+        if (Math.abs(dx) > half) rainDrops[p] -= Math.sign(dx) * cfg.rainArea;
+        if (Math.abs(dz) > half) rainDrops[p + 2] -= Math.sign(dz) * cfg.rainArea;
+
+        const o = i * 6;
+        out[o] = rainDrops[p];
+        out[o + 1] = rainDrops[p + 1];
+        out[o + 2] = rainDrops[p + 2];
+        out[o + 3] = rainDrops[p] - slant;
+        out[o + 4] = rainDrops[p + 1] - cfg.streakLength;
+        out[o + 5] = rainDrops[p + 2];
+    }
+
+    rainLines.geometry.setDrawRange(0, active * 2);
+    positions.needsUpdate = true;
+}
+
+/**
+ * Darken and gloss the road surfaces by the current wetness.
+ */
+function updateWetRoads() {
+    const cfg = weatherConfig;
+    const w = weather.wetness;
+    drySurfaces.forEach(({ material, color, roughness, metalness }) => {
+        material.color.copy(color).multiplyScalar(1 - cfg.wetDarken * w);
+        material.roughness = THREE.MathUtils.lerp(roughness, cfg.wetRoughness, w);
+        material.metalness = THREE.MathUtils.lerp(metalness, Math.max(metalness, cfg.wetMetalness), w);
+    });
+}
+
+/**
+ * Head for a weather (blends over `transitionTime`).
+ * @param {string} name - Key of WEATHER_STATES
+ */
+export function setWeather(name) {
+    if (!WEATHER_STATES[name]) return;
+    weather.state = name;
+}
+
+/**
+ * Switch to the next weather by hand (key H). The schedule waits `manualHold` seconds.
+ */
+export function cycleWeather() {
+    const next = WEATHER_ORDER[(WEATHER_ORDER.indexOf(weather.state) + 1) % WEATHER_ORDER.length];
+    setWeather(next);
+
+    // The running schedule entry ends `manualHold` seconds from now
+    const entry = weatherConfig.schedule[scheduleIndex];
+    if (entry) scheduleTimer = entry.duration - weatherConfig.manualHold;
+}
+
+/**
+ * Most rain drops drawn at once (graphics quality).
+ */
+export function setRainDropLimit(count) {
+    rainDropLimit = Math.min(count, weatherConfig.maxRainDrops);
+}
+
+/**
+ * Create the rain, remember the dry road surfaces and bind key H. Call once the world exists.
+ */
+export function initWeather() {
+    createRain();
+
+    Object.values(roadMaterials).forEach((material) => {
+        drySurfaces.push({
+            material,
+            color: material.color.clone(),
+            roughness: material.roughness,
+            metalness: material.metalness
+        });
+    });
+
+    const first = weatherConfig.schedule[0];
+    if (first) setWeather(first.weather);
+
+    document.addEventListener("keydown", (e) => {
+        if (e.code !== "KeyH" || e.repeat) return;
+        if (e.target.closest && e.target.closest("input, select, textarea")) return;
+        cycleWeather();
+    });
+}
+
+/**
+ * Run the schedule, blend the weather, move the rain and wet or dry the roads. Called every frame.
+ * @param {number} delta - Time since last frame (s)
+ */
+export function updateWeather(delta) {
+    if (!rainLines) return;
+    const cfg = weatherConfig;
+
+    // 1. Schedule
+    if (cfg.scheduleEnabled && cfg.schedule.length > 0) {
+        scheduleTimer += delta;
+        if (scheduleTimer >= cfg.schedule[scheduleIndex].duration) {
+            scheduleTimer = 0;
+            scheduleIndex = (scheduleIndex + 1) % cfg.schedule.length;
+            setWeather(cfg.schedule[scheduleIndex].weather);
+        }
+    }
+
+    // 2. Blend towards the target weather
+    const target = WEATHER_STATES[weather.state];
+    const step = delta / cfg.transitionTime;
+    ["rain", "visibility", "light", "overcast"].forEach((key) => {
+        weather[key] = approach(weather[key], target[key], step);
+    });
+
+    // 3. Roads get wet in the rain and dry slowly
+    const wetness = weather.wetness;
+    const wetStep = delta / (target.wet > wetness ? cfg.wetTime : cfg.dryTime);
+    weather.wetness = approach(wetness, target.wet, wetStep);
+    if (weather.wetness !== wetness) updateWetRoads();
+
+    updateRain(delta);
+}
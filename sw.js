@@ -0,0 +1,168 @@
+/**
+ * Service Worker
+ *
+ * Lets the game start without an internet connection (school labs often have none):
+ * - Install: Caches the app shell below (page, styles, every module, the bundled Three.js,
+ *   the sign catalog and the default level) plus every texture named in the sign catalog.
+ * - Fetch: Network first, so an online game always gets the latest files (and refreshes
+ *   the cache); the cached copy answers when the network fails or is too slow.
+ * - Update: Bump CACHE_VERSION when the file list changes; old caches are removed on activate.
+ *
+ * Every new module must be added to APP_SHELL, or it is only cached after one online start.
+ */
+
+const CACHE_VERSION = 6;
+const CACHE_NAME = `rambu-mini-city-v${CACHE_VERSION}`;
+
+// Give up on the network after this long and answer from the cache (ms)
+const NETWORK_TIMEOUT = 3000;
+
+// Sign catalog (its textures are cached on install)
+const SIGN_CATALOG_URL = "data/signs.json";
+
+// Files the game needs to start (relative to this file)
+const APP_SHELL = [
+    "./",
+    "index.html",
+    "manifest.webmanifest",
+    "css/styles.css",
+    "images/icon-192.png",
+    "images/icon-512.png",
+    SIGN_CATALOG_URL,
+    "levels/default.json",
+    "vendor/three/build/three.module.min.js",
+    "vendor/three/examples/jsm/controls/PointerLockControls.js",
+    "js/core/controls.js",
+    "js/core/editor.js",
+    "js/core/exam.js",
+    "js/core/graphics.js",
+    "js/core/i18n.js",
+    "js/core/instancing.js",
+    "js/core/offline.js",
+    "js/core/quiz.js",
+    "js/core/random.js",
+    "js/core/review.js",
+    "js/core/save.js",
+    "js/core/scene.js",
+    "js/core/spatialIndex.js",
+    "js/core/vehicle.js",
+    "js/data/buildingData.js",
+    "js/data/levelData.js",
+    "js/data/locales/en.js",
+    "js/data/locales/id.js",
+    "js/data/quizData.js",
+    "js/data/signData.js",
+    "js/data/signalData.js",
+    "js/main.js",
+    "js/objects/Bird.js",
+    "js/objects/Building.js",
+    "js/objects/Car.js",
+    "js/objects/Parking.js",
+    "js/objects/Pedestrian.js",
+    "js/objects/Road.js",
+    "js/objects/School.js",
+    "js/objects/Tree.js",
+    "js/objects/ZebraCross.js",
+    "js/ui/hud.js",
+    "js/ui/popup.js",
+    "js/world/buildings.js",
+    "js/world/lighting.js",
+    "js/world/lod.js",
+    "js/world/pedestrians.js",
+    "js/world/roadNetwork.js",
+    "js/world/rules.js",
+    "js/world/signCheck.js",
+    "js/world/signals.js",
+    "js/world/signs.js",
+    "js/world/traffic.js",
+    "js/world/weather.js"
+];
+
+/**
+ * Image files named in the sign catalog (textures and popup images).
+ */
+async function getCatalogImages(cache) {
+    const response = await cache.match(SIGN_CATALOG_URL);
+    const catalog = await response.json();
+    const files = new Set();
+    catalog.signs.forEach((sign) => {
+        files.add(sign.texture);
+        if (sign.popupImage) files.add(sign.popupImage);
+    });
+    return [...files];
+}
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await cache.addAll(await getCatalogImages(cache));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Cache key of a request. Pages are stored without their query (?seed=, ?level=, ...),
+ * so every variant of the game page opens offline.
+ */
+function cacheKey(request) {
+    if (request.mode !== "navigate") return request.url;
+    const url = new URL(request.url);
+    url.search = "";
+    return url.toString();
+}
+
+/**
+ * Fetch from the network, giving up after NETWORK_TIMEOUT.
+ */
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("Network timeout")), NETWORK_TIMEOUT);
+        fetch(request).then(
+            (response) => {
+                clearTimeout(timer);
+                resolve(response);
+            },
+            (error) => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * Network first, cache as fallback. HEAD requests (the catalog's texture check) are
+ * answered from the cached GET response.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = cacheKey(request);
+
+    try {
+        const response = await fetchWithTimeout(request);
+        if (request.method === "GET" && response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (!cached) throw error;
+        if (request.method === "HEAD") return new Response(null, { status: cached.status, headers: cached.headers });
+        return cached;
+    }
+}
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET" && request.method !== "HEAD") return;
+    if (new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(networkFirst(request));
+});